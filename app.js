@@ -12,19 +12,80 @@
 
   const elements = {
     // Preview
+    previewSection: document.querySelector(".preview-section"),
     previewBox: document.getElementById("preview-box"),
     previewContent: document.querySelector(".preview-content"),
     wigglySvg: document.getElementById("wiggly-svg"),
+    pointHandles: document.getElementById("point-handles"),
+    safeArea: document.getElementById("safe-area"),
+    paintDefs: document.getElementById("paint-defs"),
+    shadowPath: document.getElementById("shadow-path"),
     fillPath: document.getElementById("fill-path"),
     strokePath: document.getElementById("stroke-path"),
 
     // Color inputs (picker + text field pairs)
     backgroundColor: document.getElementById("backgroundColor"),
     backgroundColorText: document.getElementById("backgroundColorText"),
+    backgroundColorGroup: document.getElementById("backgroundColorGroup"),
     borderColor: document.getElementById("borderColor"),
     borderColorText: document.getElementById("borderColorText"),
     textColor: document.getElementById("textColor"),
     textColorText: document.getElementById("textColorText"),
+    pageColor: document.getElementById("pageColor"),
+    pageColorText: document.getElementById("pageColorText"),
+
+    // Dark palette
+    darkBackgroundColor: document.getElementById("darkBackgroundColor"),
+    darkBackgroundColorText: document.getElementById("darkBackgroundColorText"),
+    darkBorderColor: document.getElementById("darkBorderColor"),
+    darkBorderColorText: document.getElementById("darkBorderColorText"),
+    darkTextColor: document.getElementById("darkTextColor"),
+    darkTextColorText: document.getElementById("darkTextColorText"),
+    darkPageColor: document.getElementById("darkPageColor"),
+    darkPageColorText: document.getElementById("darkPageColorText"),
+    previewDark: document.getElementById("previewDark"),
+
+    // Contrast checks
+    textContrast: document.getElementById("textContrast"),
+    textContrastRatio: document.getElementById("textContrastRatio"),
+    fixTextContrast: document.getElementById("fixTextContrast"),
+    borderContrastRatio: document.getElementById("borderContrastRatio"),
+    fixBorderContrast: document.getElementById("fixBorderContrast"),
+    contrastBadges: document.querySelectorAll("[data-contrast]"),
+
+    // Gradients, patterns and line styles
+    fillStyle: document.getElementById("fillStyle"),
+    fillStyleGroup: document.getElementById("fillStyleGroup"),
+    backgroundAccentColor: document.getElementById("backgroundAccentColor"),
+    backgroundAccentColorText: document.getElementById("backgroundAccentColorText"),
+    backgroundAccentColorGroup: document.getElementById("backgroundAccentColorGroup"),
+    strokeGradient: document.getElementById("strokeGradient"),
+    borderAccentColor: document.getElementById("borderAccentColor"),
+    borderAccentColorText: document.getElementById("borderAccentColorText"),
+    borderAccentColorGroup: document.getElementById("borderAccentColorGroup"),
+    gradientAngle: document.getElementById("gradientAngle"),
+    gradientAngleValue: document.getElementById("gradientAngleValue"),
+    gradientAngleGroup: document.getElementById("gradientAngleGroup"),
+    strokeDasharray: document.getElementById("strokeDasharray"),
+    strokeLinecap: document.getElementById("strokeLinecap"),
+    strokeLinejoin: document.getElementById("strokeLinejoin"),
+
+    // Offset shadow
+    shadow: document.getElementById("shadow"),
+    shadowColor: document.getElementById("shadowColor"),
+    shadowColorText: document.getElementById("shadowColorText"),
+    shadowColorGroup: document.getElementById("shadowColorGroup"),
+    shadowOffsetX: document.getElementById("shadowOffsetX"),
+    shadowOffsetXValue: document.getElementById("shadowOffsetXValue"),
+    shadowOffsetXGroup: document.getElementById("shadowOffsetXGroup"),
+    shadowOffsetY: document.getElementById("shadowOffsetY"),
+    shadowOffsetYValue: document.getElementById("shadowOffsetYValue"),
+    shadowOffsetYGroup: document.getElementById("shadowOffsetYGroup"),
+    shadowBlur: document.getElementById("shadowBlur"),
+    shadowBlurValue: document.getElementById("shadowBlurValue"),
+    shadowBlurGroup: document.getElementById("shadowBlurGroup"),
+    shadowOutline: document.getElementById("shadowOutline"),
+    shadowOutlineGroup: document.getElementById("shadowOutlineGroup"),
 
     // Range sliders
     borderWidth: document.getElementById("borderWidth"),
@@ -37,8 +98,94 @@
     boxWidthValue: document.getElementById("boxWidthValue"),
     boxHeight: document.getElementById("boxHeight"),
     boxHeightValue: document.getElementById("boxHeightValue"),
+    contentBasedSizingGroup: document.getElementById("contentBasedSizingGroup"),
     boxWidthGroup: document.getElementById("boxWidthGroup"),
     boxHeightGroup: document.getElementById("boxHeightGroup"),
+    contentPadding: document.getElementById("contentPadding"),
+    contentPaddingValue: document.getElementById("contentPaddingValue"),
+    contentPaddingGroup: document.getElementById("contentPaddingGroup"),
+    showSafeArea: document.getElementById("showSafeArea"),
+    showSafeAreaGroup: document.getElementById("showSafeAreaGroup"),
+
+    // Wave style
+    waveStyle: document.getElementById("waveStyle"),
+    tension: document.getElementById("tension"),
+    tensionValue: document.getElementById("tensionValue"),
+    tensionGroup: document.getElementById("tensionGroup"),
+
+    // Lines
+    mode: document.getElementById("mode"),
+    lineShape: document.getElementById("lineShape"),
+    lineShapeGroup: document.getElementById("lineShapeGroup"),
+    lineEnds: document.getElementById("lineEnds"),
+    lineEndsGroup: document.getElementById("lineEndsGroup"),
+    arcHeight: document.getElementById("arcHeight"),
+    arcHeightValue: document.getElementById("arcHeightValue"),
+    arcHeightGroup: document.getElementById("arcHeightGroup"),
+
+    // Shape
+    shape: document.getElementById("shape"),
+    shapeGroup: document.getElementById("shapeGroup"),
+    cornerRadius: document.getElementById("cornerRadius"),
+    cornerRadiusValue: document.getElementById("cornerRadiusValue"),
+    cornerRadiusGroup: document.getElementById("cornerRadiusGroup"),
+    sides: document.getElementById("sides"),
+    sidesValue: document.getElementById("sidesValue"),
+    sidesGroup: document.getElementById("sidesGroup"),
+    path: document.getElementById("path"),
+    pathGroup: document.getElementById("pathGroup"),
+
+    // Tail, tab or notch
+    attachment: document.getElementById("attachment"),
+    attachmentGroup: document.getElementById("attachmentGroup"),
+    attachmentEdge: document.getElementById("attachmentEdge"),
+    attachmentEdgeGroup: document.getElementById("attachmentEdgeGroup"),
+    attachmentPosition: document.getElementById("attachmentPosition"),
+    attachmentPositionValue: document.getElementById("attachmentPositionValue"),
+    attachmentPositionGroup: document.getElementById("attachmentPositionGroup"),
+    attachmentWidth: document.getElementById("attachmentWidth"),
+    attachmentWidthValue: document.getElementById("attachmentWidthValue"),
+    attachmentWidthGroup: document.getElementById("attachmentWidthGroup"),
+    attachmentDepth: document.getElementById("attachmentDepth"),
+    attachmentDepthValue: document.getElementById("attachmentDepthValue"),
+    attachmentDepthGroup: document.getElementById("attachmentDepthGroup"),
+    attachmentLean: document.getElementById("attachmentLean"),
+    attachmentLeanValue: document.getElementById("attachmentLeanValue"),
+    attachmentLeanGroup: document.getElementById("attachmentLeanGroup"),
+
+    // Animation
+    animate: document.getElementById("animate"),
+    frames: document.getElementById("frames"),
+    framesValue: document.getElementById("framesValue"),
+    framesGroup: document.getElementById("framesGroup"),
+    frameRate: document.getElementById("frameRate"),
+    frameRateValue: document.getElementById("frameRateValue"),
+    frameRateGroup: document.getElementById("frameRateGroup"),
+
+    // Sketchy strokes
+    strokes: document.getElementById("strokes"),
+    strokesValue: document.getElementById("strokesValue"),
+    strokeJitter: document.getElementById("strokeJitter"),
+    strokeJitterValue: document.getElementById("strokeJitterValue"),
+    strokeJitterGroup: document.getElementById("strokeJitterGroup"),
+    strokeOvershoot: document.getElementById("strokeOvershoot"),
+    strokeOvershootValue: document.getElementById("strokeOvershootValue"),
+
+    // Per-edge and per-corner settings
+    edgeSettings: document.querySelectorAll(".edge-settings[data-edge]"),
+    cornersGroup: document.getElementById("cornersGroup"),
+    cornerInputs: document.querySelectorAll("[data-corner]"),
+    resetCorners: document.getElementById("resetCorners"),
+
+    // Point editing
+    editPoints: document.getElementById("editPoints"),
+    pinPoint: document.getElementById("pinPoint"),
+    resetPoint: document.getElementById("resetPoint"),
+    resetPoints: document.getElementById("resetPoints"),
+
+    // Seed
+    seed: document.getElementById("seed"),
+    shuffleSeed: document.getElementById("shuffleSeed"),
 
     // Content-based sizing toggle
     contentBasedSizing: document.getElementById("contentBasedSizing"),
@@ -46,8 +193,58 @@
     // Export
     exportSvg: document.getElementById("exportSvg"),
     exportReact: document.getElementById("exportReact"),
+    exportVue: document.getElementById("exportVue"),
+    exportSvelte: document.getElementById("exportSvelte"),
+    exportWebComponent: document.getElementById("exportWebComponent"),
+    exportCss: document.getElementById("exportCss"),
     exportCode: document.getElementById("exportCode"),
+    exportResponsive: document.getElementById("exportResponsive"),
+    exportPlainCss: document.getElementById("exportPlainCss"),
+    precision: document.getElementById("precision"),
+    compactPaths: document.getElementById("compactPaths"),
+    colorTokens: document.getElementById("colorTokens"),
+    exportSize: document.getElementById("exportSize"),
+    downloadSvg: document.getElementById("downloadSvg"),
+
+    // Image export
+    rasterScale: document.getElementById("rasterScale"),
+    rasterSizeGroup: document.getElementById("rasterSizeGroup"),
+    rasterWidth: document.getElementById("rasterWidth"),
+    rasterHeight: document.getElementById("rasterHeight"),
+    rasterTransparent: document.getElementById("rasterTransparent"),
+    rasterBackground: document.getElementById("rasterBackground"),
+    rasterText: document.getElementById("rasterText"),
+    exportPng: document.getElementById("exportPng"),
+    exportWebp: document.getElementById("exportWebp"),
+
+    // Import
+    importCode: document.getElementById("importCode"),
+    importExport: document.getElementById("importExport"),
+
+    // Batch
+    batchVariants: document.getElementById("batchVariants"),
+    batchPreview: document.getElementById("batchPreview"),
+    batchSprite: document.getElementById("batchSprite"),
+    batchManifest: document.getElementById("batchManifest"),
+    batchZip: document.getElementById("batchZip"),
+    batchGallery: document.getElementById("batchGallery"),
     copyCode: document.getElementById("copyCode"),
+
+    // Presets and sharing
+    presetSelect: document.getElementById("presetSelect"),
+    applyPreset: document.getElementById("applyPreset"),
+    savePreset: document.getElementById("savePreset"),
+    renamePreset: document.getElementById("renamePreset"),
+    deletePreset: document.getElementById("deletePreset"),
+    importPresets: document.getElementById("importPresets"),
+    importPresetsFile: document.getElementById("importPresetsFile"),
+    exportPresets: document.getElementById("exportPresets"),
+    copyLink: document.getElementById("copyLink"),
+
+    // Undo history
+    undo: document.getElementById("undo"),
+    redo: document.getElementById("redo"),
+    historyList: document.getElementById("historyList"),
   };
 
   // ---------------------------------------------------------
@@ -58,48 +255,360 @@
     backgroundColor: "#FFF8EA",
     borderColor: "#815A0E",
     textColor: "#4A3F1F",
+    pageColor: "#FFFFFF", // The page the box sits on, for the contrast checks
+
+    // The dark palette, which exports with CSS variables switch to in dark mode
+    darkBackgroundColor: "#2B2620",
+    darkBorderColor: "#E8C27A",
+    darkTextColor: "#F3EBDD",
+    darkPageColor: "#141210",
+
     borderWidth: 4,
     waveAmplitude: 4,
     waveSegmentSize: 25,
     boxWidth: 400,
     boxHeight: 250,
     contentBasedSizing: false,
+    contentPadding: 16, // Space between the border's safe area and the content
+    seed: "wiggly",
+    mode: "box",
+    lineShape: "straight",
+    lineEnds: "taper",
+    arcHeight: 8,
+    shape: "rect",
+    cornerRadius: 24,
+    sides: 6,
+    path: "M 10 10 H 190 V 120 H 80 L 50 160 L 56 120 H 10 Z",
+    attachment: "none",
+    attachmentEdge: "bottom",
+    attachmentPosition: 50, // Percent of the way along the edge
+    attachmentWidth: 32,
+    attachmentDepth: 24,
+    attachmentLean: 0,
+    responsive: false,
+    styling: "tailwind",
+    animate: false,
+    frames: 4,
+    frameRate: 8,
+    waveStyle: "sine",
+    tension: 0.5,
+    strokes: 1,
+    strokeJitter: 1.5,
+    strokeOvershoot: 0,
+    fillStyle: "solid",
+    backgroundAccentColor: "#F2DDB3",
+    strokeGradient: false,
+    borderAccentColor: "#C9973A",
+    gradientAngle: 90,
+    strokeDasharray: "",
+    strokeLinecap: "round",
+    strokeLinejoin: "round",
+    shadow: false,
+    shadowColor: "#E0A33B",
+    shadowOffsetX: 6,
+    shadowOffsetY: 6,
+    shadowBlur: 0,
+    shadowOutline: "same",
+    precision: null, // Decimal places in exported paths; null keeps full precision
+    compactPaths: false,
+    colorTokens: "literal", // Hex colors, or currentColor or CSS variables in exports
+
+    // Per-edge overrides; null (or an empty seed) follows the main setting
+    edges: {
+      top: { wiggle: true, waveAmplitude: null, waveSegmentSize: null, seed: "" },
+      right: { wiggle: true, waveAmplitude: null, waveSegmentSize: null, seed: "" },
+      bottom: { wiggle: true, waveAmplitude: null, waveSegmentSize: null, seed: "" },
+      left: { wiggle: true, waveAmplitude: null, waveSegmentSize: null, seed: "" },
+    },
+    corners: { topLeft: null, topRight: null, bottomRight: null, bottomLeft: null },
+
+    // Points moved by hand in the preview, as {contour, edge, at, dx, dy, pinned}
+    pointOffsets: [],
+  };
+
+  // A copy of the starting state; links and presets only store what differs from it
+  const defaultState = JSON.parse(JSON.stringify(state));
+
+  // Presets that ship with the generator. Applying one starts from the defaults,
+  // so everyone who picks the same preset gets exactly the same border.
+  const BUILT_IN_PRESETS = [
+    {
+      name: "Subtle",
+      settings: { borderWidth: 2, waveAmplitude: 2, waveSegmentSize: 40, tension: 0.6 },
+    },
+    {
+      name: "Playful",
+      settings: {
+        backgroundColor: "#FFF0F5",
+        borderColor: "#C2185B",
+        textColor: "#5C1030",
+        borderWidth: 5,
+        waveAmplitude: 7,
+        waveSegmentSize: 30,
+        shape: "roundedRect",
+        cornerRadius: 40,
+        waveStyle: "scallop",
+        animate: true,
+      },
+    },
+    {
+      name: "Chalky",
+      settings: {
+        backgroundColor: "#2F3B33",
+        borderColor: "#F4F1E8",
+        textColor: "#F4F1E8",
+        borderWidth: 2,
+        waveAmplitude: 2,
+        waveSegmentSize: 15,
+        waveStyle: "ragged",
+        strokes: 3,
+        strokeJitter: 2.5,
+        strokeOvershoot: 8,
+      },
+    },
+  ];
+
+  // Settings chosen from a menu, which only accept the values it offers
+  const SELECT_SETTINGS = [
+    "mode",
+    "lineShape",
+    "lineEnds",
+    "shape",
+    "attachment",
+    "attachmentEdge",
+    "waveStyle",
+    "fillStyle",
+    "strokeDasharray",
+    "strokeLinecap",
+    "strokeLinejoin",
+    "shadowOutline",
+    "colorTokens",
+  ];
+
+  // The dark palette's state keys, by the light color each replaces
+  const DARK_PALETTE = {
+    backgroundColor: "darkBackgroundColor",
+    borderColor: "darkBorderColor",
+    textColor: "darkTextColor",
+    pageColor: "darkPageColor",
+  };
+
+  // localStorage keys for the last state and the user's own presets
+  const STORAGE_KEYS = {
+    state: "wiggly-border:state",
+    presets: "wiggly-border:presets",
   };
 
+  // Presets the user has saved, as {name, settings}
+  let savedPresets = [];
+
+  // Timeout that batches state saves while a slider is being dragged
+  let saveTimer = null;
+
+  // Whether a slider is held, so a whole drag becomes one undo step
+  let sliderHeld = false;
+
+  // Undo steps, each the changed settings as a JSON string. Undo moves
+  // the current step onto future; a new change clears future.
+  const undoHistory = { past: [], current: null, future: [] };
+
+  // Steps kept for undo, and how many thumbnails the history list shows
+  const HISTORY_LIMIT = 50;
+  const HISTORY_THUMBNAILS = 12;
+
+  // Thumbnail images by step, so the list doesn't redraw every border
+  const thumbnailCache = new Map();
+
+  // The export shown in the panel, so export settings can refresh it
+  let currentExport = null;
+
+  // Interval that steps through the preview's animation frames
+  let animationTimer = null;
+
+  // Stroke paths added to the preview for pen passes after the first
+  const extraStrokePaths = [];
+
+  // Whether the preview shows handles for dragging wave points
+  let editingPoints = false;
+
+  // Whether the preview outlines the border's safe area
+  let showingSafeArea = false;
+
+  // Timeout that finds the safe area once the controls settle
+  let safeAreaTimer = null;
+
+  // Whether the preview shows the dark palette instead of the light one
+  let previewingDark = false;
+
+  // Points with a handle, and the one picked for the pin and reset buttons
+  let handlePoints = [];
+  let selectedPoint = null;
+
+  // The point being dragged: its pointer, where it starts from and where it was grabbed
+  let pointDrag = null;
+
   // ---------------------------------------------------------
   // Preview Updates
   // ---------------------------------------------------------
 
+  /**
+   * Collect the generator options from the current state, or another one.
+   * Shared by the preview and every export so they always match.
+   */
+  function getGeneratorOptions(source = state) {
+    return {
+      backgroundColor: source.backgroundColor,
+      borderColor: source.borderColor,
+      borderWidth: source.borderWidth,
+      waveAmplitude: source.waveAmplitude,
+      waveSegmentSize: source.waveSegmentSize,
+      targetWidth: source.boxWidth,
+      targetHeight: source.boxHeight,
+      contentPadding: source.contentPadding,
+      seed: source.seed,
+      shape: source.shape,
+      cornerRadius: source.cornerRadius,
+      sides: source.sides,
+      path: source.path,
+      responsive: source.responsive,
+      styling: source.styling,
+      animate: source.animate,
+      frames: source.frames,
+      frameRate: source.frameRate,
+      waveStyle: source.waveStyle,
+      tension: source.tension,
+      strokes: source.strokes,
+      strokeJitter: source.strokeJitter,
+      strokeOvershoot: source.strokeOvershoot,
+      fillStyle: source.fillStyle,
+      backgroundAccentColor: source.backgroundAccentColor,
+      strokeGradient: source.strokeGradient,
+      borderAccentColor: source.borderAccentColor,
+      gradientAngle: source.gradientAngle,
+      strokeDasharray: source.strokeDasharray,
+      strokeLinecap: source.strokeLinecap,
+      strokeLinejoin: source.strokeLinejoin,
+      shadow: source.shadow,
+      shadowColor: source.shadowColor,
+      shadowOffsetX: source.shadowOffsetX,
+      shadowOffsetY: source.shadowOffsetY,
+      shadowBlur: source.shadowBlur,
+      shadowOutline: source.shadowOutline,
+      precision: source.precision === null ? undefined : source.precision,
+      compactPaths: source.compactPaths,
+      colorTokens: source.colorTokens,
+      ...(source.colorTokens === "variables" && {
+        darkColors: { backgroundColor: source.darkBackgroundColor, borderColor: source.darkBorderColor },
+      }),
+      edges: getEdgeOverrides(source.edges),
+      corners: getCornerOverrides(source.corners),
+      pointOffsets: source.pointOffsets,
+      ...(source.mode === "line" && { lineShape: source.lineShape, lineEnds: source.lineEnds, arcHeight: source.arcHeight }),
+      ...(source.mode !== "line" &&
+        source.attachment !== "none" && {
+          attachments: [
+            {
+              type: source.attachment,
+              edge: source.attachmentEdge,
+              position: source.attachmentPosition / 100,
+              width: source.attachmentWidth,
+              depth: source.attachmentDepth,
+              lean: source.attachmentLean,
+            },
+          ],
+        }),
+    };
+  }
+
+  /**
+   * Return the state key of a palette color in the palette the preview
+   * shows. Colors without a dark version are shared by both palettes.
+   */
+  function getPaletteKey(key) {
+    return previewingDark && DARK_PALETTE[key] ? DARK_PALETTE[key] : key;
+  }
+
+  /**
+   * Collect the per-edge settings that differ from the main ones.
+   */
+  function getEdgeOverrides(edgeSettings) {
+    const edges = {};
+
+    Object.entries(edgeSettings).forEach(([name, edge]) => {
+      const overrides = {};
+      if (!edge.wiggle) overrides.wiggle = false;
+      if (edge.waveAmplitude !== null) overrides.waveAmplitude = edge.waveAmplitude;
+      if (edge.waveSegmentSize !== null) overrides.waveSegmentSize = edge.waveSegmentSize;
+      if (edge.seed) overrides.seed = edge.seed;
+
+      if (Object.keys(overrides).length > 0) edges[name] = overrides;
+    });
+
+    return edges;
+  }
+
+  /**
+   * Collect the corners given their own radius.
+   */
+  function getCornerOverrides(cornerSettings) {
+    const corners = {};
+
+    Object.entries(cornerSettings).forEach(([name, radius]) => {
+      if (radius !== null) corners[name] = radius;
+    });
+
+    return corners;
+  }
+
   /**
    * Regenerate the SVG path and update the preview display.
    * Called whenever any control value changes.
    */
   function updatePreview() {
-    const { pathData, viewBoxWidth, viewBoxHeight } = WigglyBorder.generateWigglyPath({
-      waveAmplitude: state.waveAmplitude,
-      waveSegmentSize: state.waveSegmentSize,
-      borderWidth: state.borderWidth,
-      targetWidth: state.boxWidth,
-      targetHeight: state.boxHeight,
-    });
+    // Exports always start from the light palette; the preview shows the one picked
+    const options = {
+      ...getGeneratorOptions(),
+      backgroundColor: state[getPaletteKey("backgroundColor")],
+      borderColor: state[getPaletteKey("borderColor")],
+    };
+    const layers = WigglyBorder.generateBorderLayers(options);
+    const paints = WigglyBorder.generatePaints({ ...options, defsId: "preview" });
 
     // Update the SVG viewBox to match the dynamic dimensions
-    elements.wigglySvg.setAttribute("viewBox", `0 0 ${viewBoxWidth} ${viewBoxHeight}`);
-
-    // Update the fill (background) path
-    elements.fillPath.setAttribute("d", pathData);
-    elements.fillPath.setAttribute("fill", state.backgroundColor);
-
-    // Update the stroke (border) path
-    elements.strokePath.setAttribute("d", pathData);
-    elements.strokePath.setAttribute("stroke", state.borderColor);
-    elements.strokePath.setAttribute("stroke-width", state.borderWidth);
-    elements.strokePath.setAttribute("stroke-linecap", "round");
-    elements.strokePath.setAttribute("stroke-linejoin", "round");
-    elements.strokePath.setAttribute("fill", "none");
-
-    // Update preview box dimensions based on sizing mode
-    if (state.contentBasedSizing) {
+    elements.wigglySvg.setAttribute("viewBox", `0 0 ${layers.viewBoxWidth} ${layers.viewBoxHeight}`);
+
+    // Start the shadow path afresh, since its filter goes when the blur does.
+    // It stays in place, empty, while the shadow is off
+    elements.shadowPath.getAttributeNames().forEach((name) => {
+      if (name !== "id") elements.shadowPath.removeAttribute(name);
+    });
+    Object.entries(paints.shadow || {}).forEach(([name, value]) => elements.shadowPath.setAttribute(name, value));
+
+    // Update the shadow, fill (background) and stroke (border) paths
+    const strokePaths = getStrokePaths(layers.strokes.length);
+    const shadowPaths = layers.shadow ? [elements.shadowPath] : [];
+    showFrames([...shadowPaths, elements.fillPath, ...strokePaths], WigglyBorder.getLayerFrames(layers));
+    elements.paintDefs.innerHTML = paints.defs;
+    elements.fillPath.setAttribute("fill", paints.fill);
+    layers.strokes.forEach((stroke, i) => {
+      strokePaths[i].setAttribute("stroke", paints.stroke);
+      strokePaths[i].setAttribute("stroke-width", stroke.width);
+      strokePaths[i].setAttribute("stroke-opacity", stroke.opacity);
+      strokePaths[i].setAttribute("stroke-linecap", state.strokeLinecap);
+      strokePaths[i].setAttribute("stroke-linejoin", state.strokeLinejoin);
+      if (state.strokeDasharray) {
+        strokePaths[i].setAttribute("stroke-dasharray", state.strokeDasharray);
+      } else {
+        strokePaths[i].removeAttribute("stroke-dasharray");
+      }
+      strokePaths[i].setAttribute("fill", "none");
+    });
+
+    // Update preview box dimensions based on sizing mode. Lines are
+    // previewed on their own, at the set size
+    const lineMode = state.mode === "line";
+    elements.previewContent.hidden = lineMode;
+    if (state.contentBasedSizing && !lineMode) {
       elements.previewBox.style.width = "";
       elements.previewBox.style.height = "";
       elements.previewBox.classList.add("content-based");
@@ -109,8 +618,122 @@
       elements.previewBox.classList.remove("content-based");
     }
 
-    // Update text color
-    elements.previewContent.style.color = state.textColor;
+    // Keep the content inside the border's safe area, as the exports do.
+    // Finding it takes a while, so it waits until the controls settle
+    clearTimeout(safeAreaTimer);
+    if (lineMode) {
+      updateContentArea(layers, options);
+    } else {
+      safeAreaTimer = setTimeout(() => {
+        updateContentArea(WigglyBorder.generateBorderLayers({ ...options, safeArea: true }), options);
+      }, 150);
+    }
+
+    // Only show the settings that apply to the chosen mode and shape
+    elements.lineShapeGroup.classList.toggle("disabled", !lineMode);
+    elements.lineEndsGroup.classList.toggle("disabled", !lineMode || state.lineShape === "loop");
+    elements.arcHeightGroup.classList.toggle("disabled", !lineMode || state.lineShape !== "arc");
+    ["contentBasedSizingGroup", "shapeGroup", "backgroundColorGroup", "fillStyleGroup"].forEach((group) => {
+      elements[group].classList.toggle("disabled", lineMode);
+    });
+    elements.contentPaddingGroup.classList.toggle("disabled", lineMode);
+    elements.showSafeAreaGroup.classList.toggle("disabled", lineMode);
+    elements.cornerRadiusGroup.classList.toggle("disabled", lineMode || state.shape !== "roundedRect");
+    elements.sidesGroup.classList.toggle("disabled", lineMode || state.shape !== "polygon");
+    elements.pathGroup.classList.toggle("disabled", lineMode || state.shape !== "path");
+    const attachable = !lineMode && ["rect", "roundedRect", "pill"].includes(state.shape);
+    elements.attachmentGroup.classList.toggle("disabled", !attachable);
+    ["attachmentEdgeGroup", "attachmentPositionGroup", "attachmentWidthGroup", "attachmentDepthGroup"].forEach((group) => {
+      elements[group].classList.toggle("disabled", !attachable || state.attachment === "none");
+    });
+    elements.attachmentLeanGroup.classList.toggle("disabled", !attachable || (state.attachment !== "tail" && state.attachment !== "notch"));
+    elements.tensionGroup.classList.toggle("disabled", state.waveStyle !== "sine");
+    elements.backgroundAccentColorGroup.classList.toggle("disabled", lineMode || state.fillStyle === "solid");
+    elements.borderAccentColorGroup.classList.toggle("disabled", !state.strokeGradient);
+    elements.gradientAngleGroup.classList.toggle("disabled", state.fillStyle !== "linear" && !state.strokeGradient);
+    ["shadowColorGroup", "shadowOffsetXGroup", "shadowOffsetYGroup", "shadowBlurGroup", "shadowOutlineGroup"].forEach((group) => {
+      elements[group].classList.toggle("disabled", !state.shadow);
+    });
+    elements.framesGroup.classList.toggle("disabled", !state.animate);
+    elements.frameRateGroup.classList.toggle("disabled", !state.animate);
+    elements.strokeJitterGroup.classList.toggle("disabled", state.strokes < 2);
+    elements.cornersGroup.classList.toggle("disabled", lineMode || (state.shape !== "rect" && state.shape !== "roundedRect"));
+    syncEdgeControls();
+
+    // Update text color, and the page behind the box
+    elements.previewContent.style.color = state[getPaletteKey("textColor")];
+    elements.previewSection.style.backgroundColor = state[getPaletteKey("pageColor")];
+    updateContrastChecks(lineMode);
+
+    updatePointHandles(options);
+
+    // Keep the link and saved state in step with the preview
+    scheduleSave();
+  }
+
+  /**
+   * Show each per-edge and per-corner control's override, or the main
+   * setting it follows when it has none.
+   */
+  function syncEdgeControls() {
+    elements.edgeSettings.forEach((container) => {
+      const edge = state.edges[container.dataset.edge];
+
+      ["waveAmplitude", "waveSegmentSize"].forEach((key) => {
+        container.querySelector(`[data-setting="${key}"]`).value = edge[key] ?? state[key];
+        container.querySelector(`[data-value="${key}"]`).textContent = edge[key] ?? "auto";
+      });
+      container.querySelector('[data-setting="wiggle"]').checked = edge.wiggle;
+      container.querySelector('[data-setting="seed"]').value = edge.seed;
+    });
+
+    const defaultRadius = state.shape === "roundedRect" ? state.cornerRadius : 0;
+    elements.cornerInputs.forEach((input) => {
+      const radius = state.corners[input.dataset.corner];
+      input.value = radius ?? defaultRadius;
+      elements.cornersGroup.querySelector(`[data-value="${input.dataset.corner}"]`).textContent = radius ?? "auto";
+    });
+  }
+
+  /**
+   * Return one stroke path per pen pass, cloning the original
+   * stroke path for extra passes and removing any left over.
+   */
+  function getStrokePaths(count) {
+    while (extraStrokePaths.length < count - 1) {
+      const path = elements.strokePath.cloneNode();
+      path.removeAttribute("id");
+      elements.wigglySvg.insertBefore(path, elements.pointHandles);
+      extraStrokePaths.push(path);
+    }
+
+    while (extraStrokePaths.length > count - 1) {
+      extraStrokePaths.pop().remove();
+    }
+
+    return [elements.strokePath, ...extraStrokePaths];
+  }
+
+  /**
+   * Draw the first frame of every layer, then keep stepping through
+   * the rest at the chosen frame rate when the border is animated.
+   */
+  function showFrames(paths, layerFrames) {
+    const frameCount = layerFrames[0].length;
+    let frame = 0;
+
+    const drawFrame = () => {
+      paths.forEach((path, i) => path.setAttribute("d", layerFrames[i][frame]));
+      frame = (frame + 1) % frameCount;
+    };
+
+    clearInterval(animationTimer);
+    animationTimer = null;
+    drawFrame();
+
+    if (frameCount > 1) {
+      animationTimer = setInterval(drawFrame, 1000 / state.frameRate);
+    }
   }
 
   // ---------------------------------------------------------
@@ -165,6 +788,133 @@
     });
   }
 
+  /**
+   * Set up a checkbox to update state with whether it's ticked.
+   */
+  function setupCheckboxInput(checkbox, stateKey) {
+    checkbox.addEventListener("change", (e) => {
+      state[stateKey] = e.target.checked;
+      updatePreview();
+    });
+  }
+
+  /**
+   * Set up a select menu to update state with its chosen value.
+   */
+  function setupSelectInput(select, stateKey) {
+    select.addEventListener("change", (e) => {
+      state[stateKey] = e.target.value;
+      updatePreview();
+    });
+  }
+
+  /**
+   * Set up the custom path box. Only valid path data reaches the state,
+   * so the preview keeps the last good shape while the user is typing.
+   */
+  function setupPathInput(textarea) {
+    textarea.addEventListener("input", (e) => {
+      const value = e.target.value;
+
+      try {
+        WigglyBorder.wigglifyPath(value);
+      } catch (err) {
+        textarea.classList.add("invalid");
+        return;
+      }
+
+      textarea.classList.remove("invalid");
+      state.path = value;
+      updatePreview();
+    });
+  }
+
+  /**
+   * Set up the seed field and the shuffle button that picks a fresh seed.
+   */
+  function setupSeedInput(seedInput, shuffleButton) {
+    seedInput.addEventListener("input", (e) => {
+      state.seed = e.target.value;
+      updatePreview();
+    });
+
+    shuffleButton.addEventListener("click", () => {
+      state.seed = Math.random().toString(36).slice(2, 8);
+      seedInput.value = state.seed;
+      updatePreview();
+    });
+  }
+
+  /**
+   * Set up the controls of one edge in the per-edge panel.
+   * Reset drops the edge's overrides so it follows the main settings again.
+   */
+  function setupEdgeSettings(container) {
+    const edge = state.edges[container.dataset.edge];
+
+    container.querySelector('[data-setting="wiggle"]').addEventListener("change", (e) => {
+      edge.wiggle = e.target.checked;
+      updatePreview();
+    });
+
+    ["waveAmplitude", "waveSegmentSize"].forEach((key) => {
+      container.querySelector(`[data-setting="${key}"]`).addEventListener("input", (e) => {
+        edge[key] = parseFloat(e.target.value);
+        updatePreview();
+      });
+    });
+
+    container.querySelector('[data-setting="seed"]').addEventListener("input", (e) => {
+      edge.seed = e.target.value;
+      updatePreview();
+    });
+
+    container.querySelector('[data-action="reset"]').addEventListener("click", () => {
+      Object.assign(edge, { wiggle: true, waveAmplitude: null, waveSegmentSize: null, seed: "" });
+      updatePreview();
+    });
+  }
+
+  /**
+   * Set up the per-corner radius sliders and their reset button.
+   */
+  function setupCornerSettings(inputs, resetButton) {
+    inputs.forEach((input) => {
+      input.addEventListener("input", (e) => {
+        state.corners[input.dataset.corner] = parseFloat(e.target.value);
+        updatePreview();
+      });
+    });
+
+    resetButton.addEventListener("click", () => {
+      Object.keys(state.corners).forEach((name) => {
+        state.corners[name] = null;
+      });
+      updatePreview();
+    });
+  }
+
+  /**
+   * Pad the preview content to the border's safe area, and outline the area
+   * while that's switched on.
+   */
+  function updateContentArea(layers, options) {
+    const padding = WigglyBorder.getContentPadding(layers, options);
+    elements.previewContent.style.padding = ["top", "right", "bottom", "left"].map((side) => `${padding[side]}px`).join(" ");
+    updateSafeArea(layers.safeArea || null);
+  }
+
+  /**
+   * Outline the safe area in the preview while it's switched on, or hide it.
+   */
+  function updateSafeArea(area) {
+    const shown = showingSafeArea && Boolean(area);
+    elements.safeArea.style.display = shown ? "" : "none";
+    if (!shown) return;
+
+    ["x", "y", "width", "height"].forEach((key) => elements.safeArea.setAttribute(key, area[key]));
+  }
+
   /**
    * Toggle between fixed dimensions and content-based sizing.
    */
@@ -174,92 +924,1509 @@
   }
 
   // ---------------------------------------------------------
-  // Export Functions
+  // Contrast Checks
   // ---------------------------------------------------------
 
+  // WCAG 2 minimum contrast ratios. Text needs 4.5:1 for AA and 7:1 for AAA;
+  // the border is a graphic, which needs 3:1 and has no AAA level
+  const CONTRAST_LEVELS = {
+    text: { AA: 4.5, AAA: 7 },
+    border: { AA: 3 },
+  };
+
   /**
-   * Generate and display the standalone SVG code.
+   * Split a hex color into its red, green and blue channels, 0 to 255.
    */
-  function exportSvg() {
-    const svg = WigglyBorder.generateSvgString({
-      backgroundColor: state.backgroundColor,
-      borderColor: state.borderColor,
-      borderWidth: state.borderWidth,
-      waveAmplitude: state.waveAmplitude,
-      waveSegmentSize: state.waveSegmentSize,
-      targetWidth: state.boxWidth,
-      targetHeight: state.boxHeight,
+  function hexToRgb(hex) {
+    return [1, 3, 5].map((start) => parseInt(hex.slice(start, start + 2), 16));
+  }
+
+  /**
+   * Work out a color's relative luminance, as WCAG defines it.
+   */
+  function getLuminance(hex) {
+    const [r, g, b] = hexToRgb(hex).map((channel) => {
+      const value = channel / 255;
+      return value <= 0.04045 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
     });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  }
 
-    elements.exportCode.textContent = svg;
-    elements.copyCode.style.display = "inline-block";
+  /**
+   * Work out the contrast ratio of two colors, from 1 to 21.
+   */
+  function getContrastRatio(a, b) {
+    const [lighter, darker] = [getLuminance(a), getLuminance(b)].sort((x, y) => y - x);
+    return (lighter + 0.05) / (darker + 0.05);
   }
 
   /**
-   * Generate and display the React component code.
+   * Convert a hex color to hue (0-360), saturation and lightness (0-100).
    */
-  function exportReact() {
-    const component = WigglyBorder.generateReactComponent({
-      backgroundColor: state.backgroundColor,
-      borderColor: state.borderColor,
-      borderWidth: state.borderWidth,
-      waveAmplitude: state.waveAmplitude,
-      waveSegmentSize: state.waveSegmentSize,
-      targetWidth: state.boxWidth,
-      targetHeight: state.boxHeight,
+  function hexToHsl(hex) {
+    const [r, g, b] = hexToRgb(hex).map((channel) => channel / 255);
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const lightness = (max + min) / 2;
+    const delta = max - min;
+    if (delta === 0) return [0, 0, lightness * 100];
+
+    const saturation = delta / (1 - Math.abs(2 * lightness - 1));
+    const hue = max === r ? ((g - b) / delta) % 6 : max === g ? (b - r) / delta + 2 : (r - g) / delta + 4;
+    return [(hue * 60 + 360) % 360, saturation * 100, lightness * 100];
+  }
+
+  /**
+   * Convert hue, saturation and lightness back to a hex color.
+   */
+  function hslToHex(hue, saturation, lightness) {
+    const l = lightness / 100;
+    const a = (saturation / 100) * Math.min(l, 1 - l);
+    const channel = (n) => {
+      const k = (n + hue / 30) % 12;
+      return l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    };
+    return `#${[0, 8, 4]
+      .map((n) =>
+        Math.round(channel(n) * 255)
+          .toString(16)
+          .padStart(2, "0"),
+      )
+      .join("")}`.toUpperCase();
+  }
+
+  /**
+   * List the color pairs each check covers: the colors it can nudge and the
+   * ones they sit on. Text sits on both ends of a gradient or pattern fill,
+   * and a border gradient puts both of its colors on the page. The checks
+   * cover the palette the preview shows.
+   */
+  function getContrastChecks() {
+    return {
+      text: {
+        keys: [getPaletteKey("textColor")],
+        backgrounds: [state[getPaletteKey("backgroundColor")], ...(state.fillStyle !== "solid" ? [state.backgroundAccentColor] : [])],
+      },
+      border: {
+        keys: [getPaletteKey("borderColor"), ...(state.strokeGradient ? ["borderAccentColor"] : [])],
+        backgrounds: [state[getPaletteKey("pageColor")]],
+      },
+    };
+  }
+
+  /**
+   * Work out the lowest contrast ratio of a check, since every pair must pass.
+   */
+  function getWorstRatio(check) {
+    return Math.min(...check.keys.flatMap((key) => check.backgrounds.map((background) => getContrastRatio(state[key], background))));
+  }
+
+  /**
+   * Show each check's ratio and whether it passes AA and AAA.
+   */
+  function updateContrastChecks(lineMode) {
+    const checks = getContrastChecks();
+    const ratios = { text: getWorstRatio(checks.text), border: getWorstRatio(checks.border) };
+
+    elements.textContrast.classList.toggle("disabled", lineMode);
+    elements.textContrastRatio.textContent = `${ratios.text.toFixed(2)}:1`;
+    elements.borderContrastRatio.textContent = `${ratios.border.toFixed(2)}:1`;
+
+    // Badges say pass or fail in words too, so they don't rely on color
+    elements.contrastBadges.forEach((badge) => {
+      const [check, level] = badge.dataset.contrast.split(":");
+      const passes = ratios[check] >= CONTRAST_LEVELS[check][level];
+      badge.classList.toggle("pass", passes);
+      badge.classList.toggle("fail", !passes);
+      badge.textContent = `${level} ${passes ? "pass" : "fail"}`;
     });
 
-    elements.exportCode.textContent = component;
-    elements.copyCode.style.display = "inline-block";
+    elements.fixTextContrast.disabled = ratios.text >= CONTRAST_LEVELS.text.AA;
+    elements.fixBorderContrast.disabled = ratios.border >= CONTRAST_LEVELS.border.AA;
   }
 
   /**
-   * Copy the current export code to the clipboard.
+   * Find the color nearest to the given one that reaches the ratio against
+   * every background, by stepping its lightness up and down until one side
+   * passes. Hue and saturation stay, so the color keeps its character.
+   * Falls back to black or white, whichever does better, when nothing passes.
    */
-  async function copyToClipboard() {
-    try {
-      await navigator.clipboard.writeText(elements.exportCode.textContent);
+  function nudgeColor(hex, backgrounds, ratio) {
+    const passes = (color) => backgrounds.every((background) => getContrastRatio(color, background) >= ratio);
+    if (passes(hex)) return hex;
 
-      // Show feedback
-      const originalText = elements.copyCode.textContent;
-      elements.copyCode.textContent = "Copied!";
-      setTimeout(() => {
-        elements.copyCode.textContent = originalText;
-      }, 1500);
-    } catch (err) {
-      console.error("Failed to copy:", err);
+    const [hue, saturation, lightness] = hexToHsl(hex);
+    for (let step = 1; step <= 100; step++) {
+      const nearest = [lightness - step, lightness + step]
+        .filter((value) => value >= 0 && value <= 100)
+        .map((value) => hslToHex(hue, saturation, value))
+        .find(passes);
+      if (nearest) return nearest;
     }
+
+    const worst = (color) => Math.min(...backgrounds.map((background) => getContrastRatio(color, background)));
+    return worst("#000000") >= worst("#FFFFFF") ? "#000000" : "#FFFFFF";
+  }
+
+  /**
+   * Nudge the colors of a failing check until it passes AA.
+   */
+  function fixContrast(name) {
+    const check = getContrastChecks()[name];
+    check.keys.forEach((key) => {
+      state[key] = nudgeColor(state[key], check.backgrounds, CONTRAST_LEVELS[name].AA);
+    });
+    syncControls();
+    updatePreview();
   }
 
   // ---------------------------------------------------------
-  // Initialisation
+  // Point Editing
   // ---------------------------------------------------------
 
-  function init() {
-    // Set up color inputs
-    syncColorInputs(elements.backgroundColor, elements.backgroundColorText, "backgroundColor");
-    syncColorInputs(elements.borderColor, elements.borderColorText, "borderColor");
-    syncColorInputs(elements.textColor, elements.textColorText, "textColor");
+  /**
+   * Draw a handle on every wave point while point editing is on. Handles
+   * are zero-length strokes with round caps, so they stay round however
+   * the preview stretches the viewBox.
+   */
+  function updatePointHandles(options) {
+    elements.previewBox.classList.toggle("editing-points", editingPoints);
+    handlePoints = editingPoints ? getWavePoints(options) : [];
 
-    // Set up range sliders
-    setupRangeInput(elements.borderWidth, elements.borderWidthValue, "borderWidth");
-    setupRangeInput(elements.waveAmplitude, elements.waveAmplitudeValue, "waveAmplitude");
-    setupRangeInput(elements.waveSegmentSize, elements.waveSegmentSizeValue, "waveSegmentSize");
-    setupRangeInput(elements.boxWidth, elements.boxWidthValue, "boxWidth");
-    setupRangeInput(elements.boxHeight, elements.boxHeightValue, "boxHeight");
+    while (elements.pointHandles.children.length > handlePoints.length) {
+      elements.pointHandles.lastChild.remove();
+    }
 
-    // Set up content-based sizing toggle
-    elements.contentBasedSizing.addEventListener("change", (e) => {
-      toggleContentBasedSizing(e.target.checked);
+    while (elements.pointHandles.children.length < handlePoints.length) {
+      const handle = document.createElementNS("http://www.w3.org/2000/svg", "path");
+      handle.setAttribute("class", "point-handle");
+      handle.setAttribute("vector-effect", "non-scaling-stroke");
+      elements.pointHandles.appendChild(handle);
+    }
+
+    handlePoints.forEach((point, i) => {
+      const handle = elements.pointHandles.children[i];
+      const offset = state.pointOffsets[point.offset];
+
+      handle.setAttribute("d", `M ${point.x} ${point.y} h 0`);
+      handle.dataset.index = i;
+      handle.classList.toggle("moved", Boolean(offset));
+      handle.classList.toggle("pinned", Boolean(offset && offset.pinned));
+      handle.classList.toggle("selected", isSamePoint(point, selectedPoint));
     });
 
-    // Set up export buttons
-    elements.exportSvg.addEventListener("click", exportSvg);
-    elements.exportReact.addEventListener("click", exportReact);
-    elements.copyCode.addEventListener("click", copyToClipboard);
+    const selected = getSelectedHandle();
+    elements.pinPoint.disabled = !selected;
+    elements.pinPoint.textContent = selected && state.pointOffsets[selected.offset]?.pinned ? "Unpin" : "Pin";
+    elements.resetPoint.disabled = !selected || selected.offset === undefined;
+    elements.resetPoints.disabled = state.pointOffsets.length === 0;
+  }
+
+  /**
+   * List the waved points of every contour, each with its contour's index.
+   * Corners and straight edges aren't waved, so they can't be moved.
+   */
+  function getWavePoints(options) {
+    const generate = options.lineShape ? WigglyBorder.generateWigglyLine : WigglyBorder.generateWigglyPath;
+
+    return generate(options).contours.flatMap((contour, i) =>
+      contour.points.filter((point) => point.edge !== undefined).map((point) => ({ ...point, contour: i })),
+    );
+  }
+
+  /**
+   * Whether two points are the same point of the same edge.
+   */
+  function isSamePoint(a, b) {
+    return Boolean(a && b) && a.contour === b.contour && a.edge === b.edge && a.at === b.at;
+  }
+
+  /**
+   * Find the handle point of the selected point, if it's still there.
+   */
+  function getSelectedHandle() {
+    return handlePoints.find((point) => isSamePoint(point, selectedPoint)) || null;
+  }
+
+  /**
+   * Find where the wave alone puts a point, without any hand-made offsets.
+   */
+  function getUneditedPoint(point) {
+    return getWavePoints({ ...getGeneratorOptions(), pointOffsets: [] }).find((wavePoint) => isSamePoint(wavePoint, point));
+  }
+
+  /**
+   * Get the offset entry for a point, adding one that doesn't move it yet.
+   */
+  function getPointOffset(point) {
+    if (point.offset === undefined) {
+      state.pointOffsets.push({
+        ...(point.contour > 0 && { contour: point.contour }),
+        edge: point.edge,
+        at: roundTo(point.at, 4),
+        dx: 0,
+        dy: 0,
+      });
+      point.offset = state.pointOffsets.length - 1;
+    }
+
+    return state.pointOffsets[point.offset];
+  }
+
+  /**
+   * Round a number to a number of decimal places, to keep links short.
+   */
+  function roundTo(value, places) {
+    const scale = 10 ** places;
+    return Math.round(value * scale) / scale;
+  }
+
+  /**
+   * Convert a pointer position to viewBox coordinates, kept inside the viewBox.
+   */
+  function getViewBoxPoint(e) {
+    const point = new DOMPoint(e.clientX, e.clientY).matrixTransform(elements.wigglySvg.getScreenCTM().inverse());
+    const viewBox = elements.wigglySvg.viewBox.baseVal;
+
+    return {
+      x: Math.min(viewBox.width, Math.max(0, point.x)),
+      y: Math.min(viewBox.height, Math.max(0, point.y)),
+    };
+  }
+
+  /**
+   * Pin the selected point where it is, so the wave no longer moves it,
+   * or unpin it, so the wave moves it again from there.
+   */
+  function togglePinned() {
+    const point = getSelectedHandle();
+    if (!point) return;
+
+    const offset = getPointOffset(point);
+    const from = offset.pinned ? getUneditedPoint(point) : point.base;
+    Object.assign(offset, { dx: roundTo(point.x - from.x, 1), dy: roundTo(point.y - from.y, 1) });
+    if (offset.pinned) {
+      delete offset.pinned;
+    } else {
+      offset.pinned = true;
+    }
+    updatePreview();
+  }
+
+  /**
+   * Set up dragging wave points in the preview, and the buttons that pin and reset them.
+   */
+  function setupPointEditing() {
+    elements.editPoints.addEventListener("change", (e) => {
+      editingPoints = e.target.checked;
+      selectedPoint = null;
+      updatePointHandles(getGeneratorOptions());
+    });
+
+    elements.pointHandles.addEventListener("pointerdown", (e) => {
+      const handle = e.target.closest(".point-handle");
+      if (!handle) return;
+
+      e.preventDefault();
+      handle.setPointerCapture(e.pointerId);
+
+      const point = handlePoints[handle.dataset.index];
+      const offset = state.pointOffsets[point.offset];
+      const grab = getViewBoxPoint(e);
+      selectedPoint = point;
+      pointDrag = {
+        pointerId: e.pointerId,
+        point,
+        origin: offset && offset.pinned ? point.base : getUneditedPoint(point),
+        grab: { x: grab.x - point.x, y: grab.y - point.y },
+      };
+      updatePointHandles(getGeneratorOptions());
+    });
+
+    elements.pointHandles.addEventListener("pointermove", (e) => {
+      if (!pointDrag || e.pointerId !== pointDrag.pointerId) return;
+
+      const { point, origin, grab } = pointDrag;
+      const position = getViewBoxPoint(e);
+      Object.assign(getPointOffset(point), {
+        dx: roundTo(position.x - grab.x - origin.x, 1),
+        dy: roundTo(position.y - grab.y - origin.y, 1),
+      });
+      updatePreview();
+    });
+
+    ["pointerup", "pointercancel"].forEach((type) => {
+      elements.pointHandles.addEventListener(type, () => {
+        pointDrag = null;
+      });
+    });
+
+    elements.pinPoint.addEventListener("click", togglePinned);
+
+    elements.resetPoint.addEventListener("click", () => {
+      const point = getSelectedHandle();
+      if (!point || point.offset === undefined) return;
+
+      state.pointOffsets.splice(point.offset, 1);
+      updatePreview();
+    });
+
+    elements.resetPoints.addEventListener("click", () => {
+      state.pointOffsets = [];
+      selectedPoint = null;
+      updatePreview();
+    });
+  }
+
+  // ---------------------------------------------------------
+  // Export Functions
+  // ---------------------------------------------------------
+
+  /**
+   * Show an export in the panel, with its size next to what it would
+   * weigh at full precision without compact paths.
+   *
+   * @param {Function} generate - WigglyBorder generator for the format
+   * @param {Function} exportFn - Export function to rerun when export settings change
+   */
+  function showExport(generate, exportFn) {
+    const options = getGeneratorOptions();
+    const code = generate(options);
+    const size = getByteSize(code);
+    const fullSize = getByteSize(generate({ ...options, precision: undefined, compactPaths: false }));
+
+    elements.exportCode.textContent = code;
+    elements.exportSize.textContent =
+      size < fullSize
+        ? `${formatByteSize(size)}, down from ${formatByteSize(fullSize)} (${Math.round((1 - size / fullSize) * 100)}% smaller)`
+        : formatByteSize(size);
+    elements.copyCode.style.display = "inline-block";
+    currentExport = exportFn;
+  }
+
+  /**
+   * Count the bytes a piece of text takes up as UTF-8.
+   */
+  function getByteSize(text) {
+    return new Blob([text]).size;
+  }
+
+  /**
+   * Write a byte count the way file sizes are usually shown.
+   */
+  function formatByteSize(bytes) {
+    return bytes < 1024 ? `${bytes} bytes` : `${(bytes / 1024).toFixed(1)} KB`;
+  }
+
+  /**
+   * Generate and display the standalone SVG code.
+   */
+  function exportSvg() {
+    showExport(WigglyBorder.generateSvgString, exportSvg);
+  }
+
+  /**
+   * Generate and display the React component code.
+   */
+  function exportReact() {
+    showExport(WigglyBorder.generateReactComponent, exportReact);
+  }
+
+  /**
+   * Generate and display the Vue single-file component code.
+   */
+  function exportVue() {
+    showExport(WigglyBorder.generateVueComponent, exportVue);
+  }
+
+  /**
+   * Generate and display the Svelte component code.
+   */
+  function exportSvelte() {
+    showExport(WigglyBorder.generateSvelteComponent, exportSvelte);
+  }
+
+  /**
+   * Generate and display the <wiggly-box> custom element code.
+   */
+  function exportWebComponent() {
+    showExport(WigglyBorder.generateWebComponent, exportWebComponent);
+  }
+
+  /**
+   * Generate and display the CSS-only export.
+   * CSS images can't run a script, so this ignores the responsive setting.
+   */
+  function exportCss() {
+    showExport(WigglyBorder.generateCss, exportCss);
+  }
+
+  /**
+   * Copy the current export code to the clipboard.
+   */
+  async function copyToClipboard() {
+    try {
+      await navigator.clipboard.writeText(elements.exportCode.textContent);
+      showCopied(elements.copyCode);
+    } catch (err) {
+      console.error("Failed to copy:", err);
+    }
+  }
+
+  /**
+   * Briefly change a copy button's label to confirm the copy worked.
+   */
+  function showCopied(button) {
+    const originalText = button.textContent;
+    button.textContent = "Copied!";
+    setTimeout(() => {
+      button.textContent = originalText;
+    }, 1500);
+  }
+
+  // ---------------------------------------------------------
+  // Image Export
+  // ---------------------------------------------------------
+
+  /**
+   * Return the size to draw the border at, in CSS pixels, and how many
+   * image pixels each one becomes. A custom size redraws the border at
+   * that size rather than stretching it.
+   */
+  function getRasterSize() {
+    if (elements.rasterScale.value === "custom") {
+      const clamp = (input) => Math.min(Math.max(Math.round(Number(input.value)) || 0, 16), 4096);
+      return { width: clamp(elements.rasterWidth), height: clamp(elements.rasterHeight), scale: 1 };
+    }
+
+    return { width: state.boxWidth, height: state.boxHeight, scale: Number(elements.rasterScale.value) };
+  }
+
+  /**
+   * Load an image and wait until it can be drawn.
+   */
+  function loadImage(src) {
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error("The border image failed to load"));
+      image.src = src;
+    });
+  }
+
+  /**
+   * Split text into lines that fit the given width in the context's current font.
+   */
+  function wrapText(context, text, maxWidth) {
+    const lines = [];
+    let line = "";
+
+    text.split(/\s+/).forEach((word) => {
+      const candidate = line ? `${line} ${word}` : word;
+
+      if (line && context.measureText(candidate).width > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+
+    if (line) lines.push(line);
+    return lines;
+  }
+
+  /**
+   * Draw the preview's text centred in the image, using each block's own
+   * font, so the image reads like the preview. Canvas text can't use the
+   * page's HTML, so each block is wrapped and drawn by hand.
+   */
+  function drawPreviewText(context, width, height) {
+    const containerStyle = getComputedStyle(elements.previewContent);
+    const paddingLeft = parseFloat(containerStyle.paddingLeft) || 0;
+    const paddingRight = parseFloat(containerStyle.paddingRight) || 0;
+
+    // Typing in the preview can leave loose text beside the headings and paragraphs
+    const blocks = Array.from(elements.previewContent.childNodes)
+      .filter((node) => node.textContent.trim())
+      .map((node) => {
+        const style = node.nodeType === Node.ELEMENT_NODE ? getComputedStyle(node) : containerStyle;
+        const fontSize = parseFloat(style.fontSize) || 16;
+        const font = `${style.fontStyle} ${style.fontWeight} ${fontSize}px ${style.fontFamily}`;
+        context.font = font;
+
+        return {
+          font,
+          lines: wrapText(context, node.textContent.trim(), width - paddingLeft - paddingRight),
+          lineHeight: parseFloat(style.lineHeight) || fontSize * 1.2,
+          marginBottom: node === elements.previewContent.lastElementChild ? 0 : parseFloat(style.marginBottom) || 0,
+        };
+      });
+
+    const totalHeight = blocks.reduce((sum, block) => sum + block.lines.length * block.lineHeight + block.marginBottom, 0);
+    let y = (height - totalHeight) / 2;
+
+    context.fillStyle = state.textColor;
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+
+    blocks.forEach((block) => {
+      context.font = block.font;
+      block.lines.forEach((line) => {
+        context.fillText(line, paddingLeft + (width - paddingLeft - paddingRight) / 2, y + block.lineHeight / 2);
+        y += block.lineHeight;
+      });
+      y += block.marginBottom;
+    });
+  }
+
+  /**
+   * Draw the border as a bitmap and download it. Images are a single
+   * frame, so an animated border uses its first one.
+   *
+   * @param {string} type - "image/png" or "image/webp"
+   * @param {string} extension - File extension for the download
+   */
+  async function exportRaster(type, extension) {
+    const { width, height, scale } = getRasterSize();
+    // Images can't see the page's custom properties, so they keep hex colors
+    const svg = WigglyBorder.generateSvgString({
+      ...getGeneratorOptions(),
+      colorTokens: "literal",
+      targetWidth: width,
+      targetHeight: height,
+      pixelSize: true,
+      animate: false,
+      responsive: false,
+    });
+
+    try {
+      const image = await loadImage(`data:image/svg+xml,${encodeURIComponent(svg)}`);
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+
+      const context = canvas.getContext("2d");
+      context.scale(scale, scale);
+
+      if (!elements.rasterTransparent.checked) {
+        context.fillStyle = elements.rasterBackground.value;
+        context.fillRect(0, 0, width, height);
+      }
+
+      context.drawImage(image, 0, 0, width, height);
+
+      // Lines are previewed without the text, so they're saved without it too
+      if (elements.rasterText.checked && state.mode === "box") drawPreviewText(context, width, height);
+
+      // Browsers that can't encode a type quietly fall back to PNG
+      const blob = await new Promise((resolve) => canvas.toBlob(resolve, type));
+      if (!blob || blob.type !== type) {
+        throw new Error(`This browser can't save .${extension} images`);
+      }
+
+      downloadFile(`wiggly-border.${extension}`, blob, type);
+    } catch (err) {
+      console.error("Failed to export image:", err);
+      window.alert(`Couldn't export the image: ${err.message}`);
+    }
+  }
+
+  /**
+   * Set up the image export options and buttons.
+   */
+  function setupRasterExport() {
+    elements.rasterScale.addEventListener("change", (e) => {
+      elements.rasterSizeGroup.classList.toggle("disabled", e.target.value !== "custom");
+    });
+
+    elements.rasterTransparent.addEventListener("change", (e) => {
+      elements.rasterBackground.disabled = e.target.checked;
+    });
+
+    elements.exportPng.addEventListener("click", () => exportRaster("image/png", "png"));
+    elements.exportWebp.addEventListener("click", () => exportRaster("image/webp", "webp"));
+  }
+
+  // ---------------------------------------------------------
+  // Import
+  // ---------------------------------------------------------
+
+  /**
+   * Turn generator options back into settings, the reverse of
+   * getGeneratorOptions. Anything missing or invalid takes its default
+   * when the settings are restored.
+   */
+  function getSettingsFromOptions(options) {
+    const { targetWidth, targetHeight, precision, edges = {}, corners = {}, attachments = [], darkColors = {}, ...settings } = options;
+    const [attachment] = attachments;
+
+    return {
+      ...settings,
+      mode: options.lineShape ? "line" : "box",
+      boxWidth: targetWidth ?? 400,
+      boxHeight: targetHeight ?? 300,
+      precision: precision ?? null,
+      darkBackgroundColor: darkColors.backgroundColor,
+      darkBorderColor: darkColors.borderColor,
+      edges: Object.fromEntries(Object.entries(defaultState.edges).map(([name, edge]) => [name, { ...edge, ...edges[name] }])),
+      corners: { ...defaultState.corners, ...corners },
+      ...(attachment && {
+        attachment: attachment.type,
+        attachmentEdge: attachment.edge,
+        attachmentPosition: (attachment.position ?? 0.5) * 100,
+        attachmentWidth: attachment.width,
+        attachmentDepth: attachment.depth,
+        attachmentLean: attachment.lean,
+      }),
+    };
+  }
+
+  /**
+   * Restore the editor from a pasted SVG or component. Exports carry the
+   * options they were made with; older ones only give up their outline and
+   * colors. Marks the field invalid if nothing can be read from it.
+   */
+  function importExport() {
+    const textarea = elements.importCode;
+
+    try {
+      const settings = getSettingsFromOptions(WigglyBorder.readExportOptions(textarea.value));
+      textarea.classList.remove("invalid");
+      textarea.title = "";
+      restoreState(settings);
+    } catch (err) {
+      textarea.classList.add("invalid");
+      textarea.title = err.message;
+    }
+  }
+
+  // ---------------------------------------------------------
+  // Batch Export
+  // ---------------------------------------------------------
+
+  /**
+   * Generate every variant in the batch field over the current settings.
+   * Marks the field invalid and returns null if the JSON or a variant is bad.
+   */
+  function getBatch() {
+    const textarea = elements.batchVariants;
+
+    try {
+      const batch = WigglyBorder.generateBatch(JSON.parse(textarea.value), getGeneratorOptions());
+      textarea.classList.remove("invalid");
+      textarea.title = "";
+      return batch;
+    } catch (err) {
+      textarea.classList.add("invalid");
+      textarea.title = err.message;
+      return null;
+    }
+  }
+
+  /**
+   * Show a thumbnail of every variant in the batch, captioned with its ID.
+   * Thumbnails are images, so nothing in the markup runs on the page.
+   */
+  function showBatchGallery(batch) {
+    const figures = batch.map((item) => {
+      const figure = document.createElement("figure");
+      const image = document.createElement("img");
+      const caption = document.createElement("figcaption");
+
+      image.src = `data:image/svg+xml,${encodeURIComponent(WigglyBorder.generateSvgString({ ...item.options, responsive: false }))}`;
+      image.width = item.options.targetWidth;
+      image.height = item.options.targetHeight;
+      image.alt = "";
+      caption.textContent = item.id;
+
+      figure.append(image, caption);
+      return figure;
+    });
+
+    elements.batchGallery.replaceChildren(...figures);
+  }
+
+  /**
+   * Save text or bytes as a file through a temporary download link.
+   */
+  function downloadFile(name, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement("a");
+
+    link.href = url;
+    link.download = name;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Set up the batch preview and download buttons.
+   */
+  function setupBatch() {
+    // Each button regenerates the batch, so downloads always match the current settings
+    const withBatch = (action) => () => {
+      const batch = getBatch();
+      if (batch) action(batch);
+    };
+
+    elements.batchPreview.addEventListener("click", withBatch(showBatchGallery));
+    elements.batchSprite.addEventListener(
+      "click",
+      withBatch((batch) => downloadFile("sprite.svg", WigglyBorder.generateSprite(batch), "image/svg+xml")),
+    );
+    elements.batchManifest.addEventListener(
+      "click",
+      withBatch((batch) => downloadFile("manifest.json", WigglyBorder.generateManifest(batch), "application/json")),
+    );
+    elements.batchZip.addEventListener(
+      "click",
+      withBatch((batch) => downloadFile("wiggly-borders.zip", WigglyBorder.generateBundle(batch), "application/zip")),
+    );
+  }
+
+  // ---------------------------------------------------------
+  // Sharing and Presets
+  // ---------------------------------------------------------
+
+  /**
+   * Check a stored value against the default it replaces. Colors must be
+   * hex, numbers finite, and overrides that default to null may be numbers.
+   */
+  function isValidSetting(key, value, fallback) {
+    if (fallback === null) return value === null || Number.isFinite(value);
+    if (typeof fallback === "number") return Number.isFinite(value);
+    if (key.endsWith("Color")) return /^#[0-9A-Fa-f]{6}$/.test(value);
+    return typeof value === typeof fallback;
+  }
+
+  /**
+   * Check one hand-made point offset from a link or preset file.
+   */
+  function isValidPointOffset(offset) {
+    return (
+      Boolean(offset) &&
+      typeof offset.edge === "string" &&
+      [offset.at, offset.dx, offset.dy, offset.contour ?? 0].every(Number.isFinite) &&
+      (offset.pinned === undefined || typeof offset.pinned === "boolean")
+    );
+  }
+
+  /**
+   * Build a complete state from stored settings, falling back to the
+   * default for anything missing or invalid. Links and preset files
+   * come from outside, so nothing reaches the state unchecked.
+   */
+  function getStateFromSettings(settings) {
+    const result = JSON.parse(JSON.stringify(defaultState));
+    if (!settings || typeof settings !== "object") return result;
+
+    Object.keys(defaultState).forEach((key) => {
+      const value = settings[key];
+
+      if (key === "pointOffsets") {
+        if (Array.isArray(value)) result.pointOffsets = value.filter(isValidPointOffset);
+      } else if (key === "edges" || key === "corners") {
+        Object.keys(result[key]).forEach((name) => {
+          const fallback = defaultState[key][name];
+
+          if (key === "corners") {
+            if (isValidSetting(name, value?.[name], fallback)) result.corners[name] = value[name];
+            return;
+          }
+
+          Object.keys(fallback).forEach((field) => {
+            const fieldValue = value?.[name]?.[field];
+            if (isValidSetting(field, fieldValue, fallback[field])) result.edges[name][field] = fieldValue;
+          });
+        });
+      } else if (isValidSetting(key, value, defaultState[key])) {
+        result[key] = value;
+      }
+    });
+
+    SELECT_SETTINGS.forEach((key) => {
+      if (!Array.from(elements[key].options).some((option) => option.value === result[key])) {
+        result[key] = defaultState[key];
+      }
+    });
+
+    // Precision is a number, but only the places the menu offers are allowed
+    if (result.precision !== null && !Array.from(elements.precision.options).some((option) => option.value === String(result.precision))) {
+      result.precision = defaultState.precision;
+    }
+
+    try {
+      WigglyBorder.wigglifyPath(result.path);
+    } catch (err) {
+      result.path = defaultState.path;
+    }
+
+    return result;
+  }
+
+  /**
+   * Collect the settings that differ from the defaults.
+   */
+  function getChangedSettings() {
+    const settings = {};
+
+    Object.keys(defaultState).forEach((key) => {
+      if (JSON.stringify(state[key]) !== JSON.stringify(defaultState[key])) {
+        settings[key] = JSON.parse(JSON.stringify(state[key]));
+      }
+    });
+
+    return settings;
+  }
+
+  /**
+   * Encode settings as a URL hash. Text stays as-is and everything
+   * else is JSON, so links stay readable, e.g. #seed=card&waveAmplitude=6
+   */
+  function settingsToHash(settings) {
+    const params = new URLSearchParams();
+
+    Object.entries(settings).forEach(([key, value]) => {
+      params.set(key, typeof value === "string" ? value : JSON.stringify(value));
+    });
+
+    return params.toString();
+  }
+
+  /**
+   * Decode settings from a URL hash written by settingsToHash.
+   * Unknown keys and values that aren't valid JSON are skipped.
+   */
+  function hashToSettings(hash) {
+    const settings = {};
+
+    new URLSearchParams(hash.replace(/^#/, "")).forEach((value, key) => {
+      if (!(key in defaultState)) return;
+
+      if (typeof defaultState[key] === "string") {
+        settings[key] = value;
+        return;
+      }
+
+      try {
+        settings[key] = JSON.parse(value);
+      } catch (err) {
+        // Leave the default in place
+      }
+    });
+
+    return settings;
+  }
+
+  /**
+   * Replace the whole state with the given settings and bring every
+   * control, the preview and the export panel up to date.
+   */
+  function restoreState(settings) {
+    Object.assign(state, getStateFromSettings(settings));
+    syncControls();
+    updatePreview();
+    if (currentExport) currentExport();
+  }
+
+  /**
+   * Set every control to match the state, for when the state changes
+   * without the user touching the controls.
+   */
+  function syncControls() {
+    [
+      "backgroundColor",
+      "borderColor",
+      "textColor",
+      "pageColor",
+      ...Object.values(DARK_PALETTE),
+      "backgroundAccentColor",
+      "borderAccentColor",
+      "shadowColor",
+    ].forEach((key) => {
+      elements[key].value = state[key];
+      elements[`${key}Text`].value = state[key].toUpperCase();
+    });
+
+    [
+      "borderWidth",
+      "waveAmplitude",
+      "waveSegmentSize",
+      "boxWidth",
+      "boxHeight",
+      "contentPadding",
+      "tension",
+      "cornerRadius",
+      "sides",
+      "frames",
+      "frameRate",
+      "strokes",
+      "strokeJitter",
+      "strokeOvershoot",
+      "gradientAngle",
+      "shadowOffsetX",
+      "shadowOffsetY",
+      "shadowBlur",
+      "arcHeight",
+      "attachmentPosition",
+      "attachmentWidth",
+      "attachmentDepth",
+      "attachmentLean",
+    ].forEach((key) => {
+      elements[key].value = state[key];
+      elements[`${key}Value`].textContent = state[key];
+    });
+
+    SELECT_SETTINGS.forEach((key) => {
+      elements[key].value = state[key];
+    });
+
+    elements.path.value = state.path;
+    elements.path.classList.remove("invalid");
+    elements.seed.value = state.seed;
+    elements.animate.checked = state.animate;
+    elements.strokeGradient.checked = state.strokeGradient;
+    elements.shadow.checked = state.shadow;
+    elements.contentBasedSizing.checked = state.contentBasedSizing;
+    elements.exportResponsive.checked = state.responsive;
+    elements.exportPlainCss.checked = state.styling === "css";
+    elements.precision.value = state.precision === null ? "" : String(state.precision);
+    elements.compactPaths.checked = state.compactPaths;
+  }
+
+  /**
+   * Save the state once the controls settle, or when a held slider is
+   * let go. Browsers limit how often the URL can be replaced, and each
+   * save is one undo step.
+   */
+  function scheduleSave() {
+    clearTimeout(saveTimer);
+    saveTimer = sliderHeld ? null : setTimeout(saveState, 250);
+  }
+
+  /**
+   * Record the changed settings in the undo history, the URL hash and localStorage now.
+   */
+  function saveState() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    const settings = getChangedSettings();
+    const hash = settingsToHash(settings);
+
+    recordHistory(JSON.stringify(settings));
+    history.replaceState(null, "", `${location.pathname}${location.search}${hash ? `#${hash}` : ""}`);
+    writeStorage(STORAGE_KEYS.state, settings);
+  }
+
+  /**
+   * Read a JSON value from localStorage, or null if there's none or
+   * storage is unavailable (e.g. blocked in a private window).
+   */
+  function readStorage(key) {
+    try {
+      return JSON.parse(localStorage.getItem(key));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Write a JSON value to localStorage, ignoring storage being unavailable.
+   */
+  function writeStorage(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch (err) {
+      console.warn("Couldn't save to localStorage:", err);
+    }
+  }
+
+  /**
+   * Copy a link to the current border to the clipboard.
+   */
+  async function copyLink() {
+    saveState();
+
+    try {
+      await navigator.clipboard.writeText(location.href);
+      showCopied(elements.copyLink);
+    } catch (err) {
+      console.error("Failed to copy:", err);
+    }
+  }
+
+  /**
+   * Keep only well-formed presets from storage or an imported file.
+   */
+  function getValidPresets(presets) {
+    if (!Array.isArray(presets)) return [];
+
+    return presets.filter(
+      (preset) => preset && typeof preset.name === "string" && preset.name.trim() && preset.settings && typeof preset.settings === "object",
+    );
+  }
+
+  /**
+   * Find the preset chosen in the menu. Values are "builtin:<index>" or "saved:<index>".
+   */
+  function getSelectedPreset() {
+    const [group, index] = elements.presetSelect.value.split(":");
+    const presets = group === "builtin" ? BUILT_IN_PRESETS : savedPresets;
+    return { preset: presets[index], saved: group === "saved", index: Number(index) };
+  }
+
+  /**
+   * Rebuild the preset menu, keeping the given option selected.
+   * Built-in presets can't be renamed or deleted.
+   */
+  function renderPresets(selectedValue = elements.presetSelect.value) {
+    const createGroup = (label, presets, prefix) => {
+      if (presets.length === 0) return null;
+
+      const group = document.createElement("optgroup");
+      group.label = label;
+      presets.forEach((preset, i) => group.appendChild(new Option(preset.name, `${prefix}:${i}`)));
+      return group;
+    };
+
+    const groups = [createGroup("Built-in", BUILT_IN_PRESETS, "builtin"), createGroup("Saved", savedPresets, "saved")];
+    elements.presetSelect.replaceChildren(...groups.filter(Boolean));
+
+    if (Array.from(elements.presetSelect.options).some((option) => option.value === selectedValue)) {
+      elements.presetSelect.value = selectedValue;
+    }
+
+    const { saved } = getSelectedPreset();
+    elements.renamePreset.disabled = !saved;
+    elements.deletePreset.disabled = !saved;
+  }
+
+  /**
+   * Store the user's presets and refresh the menu.
+   */
+  function savePresets(selectedValue) {
+    writeStorage(STORAGE_KEYS.presets, savedPresets);
+    renderPresets(selectedValue);
+  }
+
+  /**
+   * Ask for a preset name, returning null if the user cancels or leaves it blank.
+   */
+  function promptPresetName(message, name = "") {
+    const value = window.prompt(message, name);
+    return value && value.trim() ? value.trim() : null;
+  }
+
+  /**
+   * Save the current settings as a named preset, replacing a saved
+   * preset of the same name if the user agrees.
+   */
+  function saveCurrentPreset() {
+    const name = promptPresetName("Preset name");
+    if (!name) return;
+
+    const preset = { name, settings: getChangedSettings() };
+    const existing = savedPresets.findIndex((saved) => saved.name === name);
+
+    if (existing === -1) {
+      savedPresets.push(preset);
+      savePresets(`saved:${savedPresets.length - 1}`);
+    } else if (window.confirm(`Replace the preset "${name}"?`)) {
+      savedPresets[existing] = preset;
+      savePresets(`saved:${existing}`);
+    }
+  }
+
+  /**
+   * Set up the preset menu and buttons, and the copy link button.
+   */
+  function setupPresets() {
+    savedPresets = getValidPresets(readStorage(STORAGE_KEYS.presets));
+    renderPresets();
+
+    elements.presetSelect.addEventListener("change", () => renderPresets());
+
+    elements.applyPreset.addEventListener("click", () => {
+      const { preset } = getSelectedPreset();
+      if (preset) restoreState(preset.settings);
+    });
+
+    elements.savePreset.addEventListener("click", saveCurrentPreset);
+
+    elements.renamePreset.addEventListener("click", () => {
+      const { preset, saved } = getSelectedPreset();
+      if (!saved) return;
+
+      const name = promptPresetName("Rename preset", preset.name);
+      if (name) {
+        preset.name = name;
+        savePresets();
+      }
+    });
+
+    elements.deletePreset.addEventListener("click", () => {
+      const { preset, saved, index } = getSelectedPreset();
+      if (!saved || !window.confirm(`Delete the preset "${preset.name}"?`)) return;
+
+      savedPresets.splice(index, 1);
+      savePresets("builtin:0");
+    });
+
+    // Exported files hold only the user's presets; built-ins ship with every copy
+    elements.exportPresets.addEventListener("click", () => {
+      downloadFile("wiggly-presets.json", JSON.stringify({ presets: savedPresets }, null, 2), "application/json");
+    });
+
+    elements.importPresets.addEventListener("click", () => elements.importPresetsFile.click());
+
+    // Imported presets replace saved ones with the same name
+    elements.importPresetsFile.addEventListener("change", async (e) => {
+      const file = e.target.files[0];
+      e.target.value = "";
+      if (!file) return;
+
+      try {
+        const imported = getValidPresets(JSON.parse(await file.text()).presets);
+        if (imported.length === 0) throw new Error("No presets found in the file");
+
+        imported.forEach((preset) => {
+          const copy = { name: preset.name.trim(), settings: preset.settings };
+          const existing = savedPresets.findIndex((saved) => saved.name === copy.name);
+
+          if (existing === -1) savedPresets.push(copy);
+          else savedPresets[existing] = copy;
+        });
+        savePresets();
+      } catch (err) {
+        window.alert(`Couldn't import presets: ${err.message}`);
+      }
+    });
+
+    elements.copyLink.addEventListener("click", copyLink);
+  }
+
+  // ---------------------------------------------------------
+  // Undo History
+  // ---------------------------------------------------------
+
+  /**
+   * Add a step to the undo history unless nothing changed since the last one.
+   */
+  function recordHistory(step) {
+    if (step === undoHistory.current) return;
+
+    if (undoHistory.current !== null) {
+      undoHistory.past.push(undoHistory.current);
+      undoHistory.past.splice(0, undoHistory.past.length - HISTORY_LIMIT);
+    }
+    undoHistory.current = step;
+    undoHistory.future = [];
+    renderHistory();
+  }
+
+  /**
+   * Step back through the history. Changes still waiting to be saved
+   * are recorded first so undo never skips them.
+   */
+  function undo() {
+    if (saveTimer) saveState();
+    if (undoHistory.past.length === 0) return;
+
+    undoHistory.future.push(undoHistory.current);
+    goToStep(undoHistory.past.pop());
+  }
+
+  /**
+   * Step forward again after an undo.
+   */
+  function redo() {
+    if (saveTimer) saveState();
+    if (undoHistory.future.length === 0) return;
+
+    undoHistory.past.push(undoHistory.current);
+    goToStep(undoHistory.future.pop());
+  }
+
+  /**
+   * Make a step current and restore its settings. The save this triggers
+   * matches the current step, so it adds nothing to the history.
+   */
+  function goToStep(step) {
+    undoHistory.current = step;
+    restoreState(JSON.parse(step));
+    renderHistory();
+  }
+
+  /**
+   * Return every step oldest first, with the index of the current one.
+   */
+  function getTimeline() {
+    const timeline = [...undoHistory.past, undoHistory.current, ...undoHistory.future.slice().reverse()];
+    return { timeline, currentIndex: undoHistory.past.length };
+  }
+
+  /**
+   * Jump straight to any step in the timeline, keeping the steps either side for undo and redo.
+   */
+  function jumpToStep(index) {
+    const { timeline } = getTimeline();
+
+    undoHistory.past = timeline.slice(0, index);
+    undoHistory.future = timeline.slice(index + 1).reverse();
+    goToStep(timeline[index]);
+  }
+
+  /**
+   * Return a thumbnail image URL for a step. Thumbnails are never animated
+   * or responsive, since they're drawn once as images.
+   */
+  function getThumbnail(step) {
+    if (!thumbnailCache.has(step)) {
+      const options = getGeneratorOptions(getStateFromSettings(JSON.parse(step)));
+      const svg = WigglyBorder.generateSvgString({ ...options, animate: false, responsive: false });
+      thumbnailCache.set(step, `data:image/svg+xml,${encodeURIComponent(svg)}`);
+    }
+
+    return thumbnailCache.get(step);
+  }
+
+  /**
+   * Update the undo and redo buttons and show thumbnails of the steps
+   * around the current one. Clicking a thumbnail jumps to that step.
+   */
+  function renderHistory() {
+    const { timeline, currentIndex } = getTimeline();
+    const start = Math.max(0, Math.min(currentIndex - Math.floor(HISTORY_THUMBNAILS / 2), timeline.length - HISTORY_THUMBNAILS));
+    const shown = timeline.slice(start, start + HISTORY_THUMBNAILS);
+
+    elements.undo.disabled = undoHistory.past.length === 0;
+    elements.redo.disabled = undoHistory.future.length === 0;
+
+    const items = shown.map((step, i) => {
+      const index = start + i;
+      const item = document.createElement("li");
+      const button = document.createElement("button");
+      const image = document.createElement("img");
+
+      button.type = "button";
+      button.className = "history-step";
+      button.title = index === currentIndex ? "Current" : `Step ${index + 1}`;
+      if (index === currentIndex) button.setAttribute("aria-current", "step");
+      button.addEventListener("click", () => jumpToStep(index));
+
+      image.src = getThumbnail(step);
+      image.alt = button.title;
+
+      button.appendChild(image);
+      item.appendChild(button);
+      return item;
+    });
+
+    elements.historyList.replaceChildren(...items);
+
+    // Forget thumbnails of steps that have dropped out of the history
+    thumbnailCache.forEach((url, step) => {
+      if (!timeline.includes(step)) thumbnailCache.delete(step);
+    });
+  }
+
+  /**
+   * Set up the undo and redo buttons, their keyboard shortcuts, and
+   * slider tracking so a drag is saved as one step when it ends.
+   */
+  function setupHistory() {
+    elements.undo.addEventListener("click", undo);
+    elements.redo.addEventListener("click", redo);
+
+    // Text fields keep their own undo, so the shortcuts skip them
+    document.addEventListener("keydown", (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target.closest('input[type="text"], textarea, [contenteditable="true"]')) return;
+
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redo();
+      }
+    });
+
+    document.addEventListener("pointerdown", (e) => {
+      if (e.target.matches('input[type="range"], .point-handle')) sliderHeld = true;
+    });
+
+    ["pointerup", "pointercancel"].forEach((type) => {
+      window.addEventListener(type, () => {
+        if (!sliderHeld) return;
+        sliderHeld = false;
+        scheduleSave();
+      });
+    });
+  }
+
+  // ---------------------------------------------------------
+  // Initialisation
+  // ---------------------------------------------------------
+
+  function init() {
+    // Set up color inputs
+    syncColorInputs(elements.backgroundColor, elements.backgroundColorText, "backgroundColor");
+    syncColorInputs(elements.borderColor, elements.borderColorText, "borderColor");
+    syncColorInputs(elements.textColor, elements.textColorText, "textColor");
+    syncColorInputs(elements.pageColor, elements.pageColorText, "pageColor");
+
+    // Set up the dark palette, and the toggle that previews it
+    Object.values(DARK_PALETTE).forEach((key) => syncColorInputs(elements[key], elements[`${key}Text`], key));
+    elements.previewDark.addEventListener("change", (e) => {
+      previewingDark = e.target.checked;
+      updatePreview();
+    });
+
+    // Set up contrast fixes
+    elements.fixTextContrast.addEventListener("click", () => fixContrast("text"));
+    elements.fixBorderContrast.addEventListener("click", () => fixContrast("border"));
+
+    // Set up gradient, pattern and line style controls
+    setupSelectInput(elements.fillStyle, "fillStyle");
+    syncColorInputs(elements.backgroundAccentColor, elements.backgroundAccentColorText, "backgroundAccentColor");
+    setupCheckboxInput(elements.strokeGradient, "strokeGradient");
+    syncColorInputs(elements.borderAccentColor, elements.borderAccentColorText, "borderAccentColor");
+    setupRangeInput(elements.gradientAngle, elements.gradientAngleValue, "gradientAngle");
+    setupSelectInput(elements.strokeDasharray, "strokeDasharray");
+    setupSelectInput(elements.strokeLinecap, "strokeLinecap");
+    setupSelectInput(elements.strokeLinejoin, "strokeLinejoin");
+
+    // Set up offset shadow controls
+    setupCheckboxInput(elements.shadow, "shadow");
+    syncColorInputs(elements.shadowColor, elements.shadowColorText, "shadowColor");
+    setupRangeInput(elements.shadowOffsetX, elements.shadowOffsetXValue, "shadowOffsetX");
+    setupRangeInput(elements.shadowOffsetY, elements.shadowOffsetYValue, "shadowOffsetY");
+    setupRangeInput(elements.shadowBlur, elements.shadowBlurValue, "shadowBlur");
+    setupSelectInput(elements.shadowOutline, "shadowOutline");
+
+    // Set up range sliders
+    setupRangeInput(elements.borderWidth, elements.borderWidthValue, "borderWidth");
+    setupRangeInput(elements.waveAmplitude, elements.waveAmplitudeValue, "waveAmplitude");
+    setupRangeInput(elements.waveSegmentSize, elements.waveSegmentSizeValue, "waveSegmentSize");
+    setupRangeInput(elements.boxWidth, elements.boxWidthValue, "boxWidth");
+    setupRangeInput(elements.boxHeight, elements.boxHeightValue, "boxHeight");
+    setupRangeInput(elements.contentPadding, elements.contentPaddingValue, "contentPadding");
+
+    // Set up wave style controls
+    setupSelectInput(elements.waveStyle, "waveStyle");
+    setupRangeInput(elements.tension, elements.tensionValue, "tension");
+
+    // Set up line controls
+    setupSelectInput(elements.mode, "mode");
+    setupSelectInput(elements.lineShape, "lineShape");
+    setupSelectInput(elements.lineEnds, "lineEnds");
+    setupRangeInput(elements.arcHeight, elements.arcHeightValue, "arcHeight");
+
+    // Set up shape controls
+    setupSelectInput(elements.shape, "shape");
+    setupRangeInput(elements.cornerRadius, elements.cornerRadiusValue, "cornerRadius");
+    setupRangeInput(elements.sides, elements.sidesValue, "sides");
+    setupPathInput(elements.path);
+
+    // Set up tail, tab and notch controls
+    setupSelectInput(elements.attachment, "attachment");
+    setupSelectInput(elements.attachmentEdge, "attachmentEdge");
+    setupRangeInput(elements.attachmentPosition, elements.attachmentPositionValue, "attachmentPosition");
+    setupRangeInput(elements.attachmentWidth, elements.attachmentWidthValue, "attachmentWidth");
+    setupRangeInput(elements.attachmentDepth, elements.attachmentDepthValue, "attachmentDepth");
+    setupRangeInput(elements.attachmentLean, elements.attachmentLeanValue, "attachmentLean");
+
+    // Set up animation controls
+    setupCheckboxInput(elements.animate, "animate");
+    setupRangeInput(elements.frames, elements.framesValue, "frames");
+    setupRangeInput(elements.frameRate, elements.frameRateValue, "frameRate");
+
+    // Set up sketchy stroke controls
+    setupRangeInput(elements.strokes, elements.strokesValue, "strokes");
+    setupRangeInput(elements.strokeJitter, elements.strokeJitterValue, "strokeJitter");
+    setupRangeInput(elements.strokeOvershoot, elements.strokeOvershootValue, "strokeOvershoot");
+
+    // Set up per-edge and per-corner controls
+    elements.edgeSettings.forEach(setupEdgeSettings);
+    setupCornerSettings(elements.cornerInputs, elements.resetCorners);
+
+    // Set up dragging points in the preview
+    setupPointEditing();
+
+    // Set up seed controls
+    setupSeedInput(elements.seed, elements.shuffleSeed);
+
+    // Set up content-based sizing toggle
+    elements.contentBasedSizing.addEventListener("change", (e) => {
+      toggleContentBasedSizing(e.target.checked);
+    });
+
+    // Set up the safe area outline, which is only a preview aid
+    elements.showSafeArea.addEventListener("change", (e) => {
+      showingSafeArea = e.target.checked;
+      updatePreview();
+    });
+
+    // Set up export buttons
+    elements.exportSvg.addEventListener("click", exportSvg);
+    elements.exportReact.addEventListener("click", exportReact);
+    elements.exportVue.addEventListener("click", exportVue);
+    elements.exportSvelte.addEventListener("click", exportSvelte);
+    elements.exportWebComponent.addEventListener("click", exportWebComponent);
+    elements.exportCss.addEventListener("click", exportCss);
+    elements.copyCode.addEventListener("click", copyToClipboard);
+    elements.downloadSvg.addEventListener("click", () => {
+      downloadFile("wiggly-border.svg", WigglyBorder.generateSvgString(getGeneratorOptions()), "image/svg+xml");
+    });
+    elements.exportResponsive.addEventListener("change", (e) => {
+      state.responsive = e.target.checked;
+      currentExport();
+      scheduleSave();
+    });
+    elements.exportPlainCss.addEventListener("change", (e) => {
+      state.styling = e.target.checked ? "css" : "tailwind";
+      currentExport();
+      scheduleSave();
+    });
+    elements.precision.addEventListener("change", (e) => {
+      state.precision = e.target.value === "" ? null : Number(e.target.value);
+      updatePreview();
+      if (currentExport) currentExport();
+      scheduleSave();
+    });
+    elements.compactPaths.addEventListener("change", (e) => {
+      state.compactPaths = e.target.checked;
+      if (currentExport) currentExport();
+      scheduleSave();
+    });
+    elements.colorTokens.addEventListener("change", (e) => {
+      state.colorTokens = e.target.value;
+      if (currentExport) currentExport();
+      scheduleSave();
+    });
+
+    // Set up image export
+    setupRasterExport();
+
+    // Set up importing an export
+    elements.importExport.addEventListener("click", importExport);
+
+    // Set up batch export
+    setupBatch();
+
+    // Set up presets and sharing
+    setupPresets();
+
+    // Set up undo and redo
+    setupHistory();
+
+    // Restore from a shared link, or else from the last visit
+    restoreState(location.hash ? hashToSettings(location.hash) : readStorage(STORAGE_KEYS.state));
+    window.addEventListener("hashchange", () => restoreState(hashToSettings(location.hash)));
 
-    // Initial render
-    updatePreview();
     exportSvg(); // Pre-populate export panel
   }
 
@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+/**
+ * Wiggly Border command-line tool
+ *
+ * Generates a border at build time without opening the page, e.g.
+ *   wiggly-border --width 320 --height 200 --seed card-1 --format svg -o card.svg
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const WigglyBorder = require("./wiggly-border.js");
+
+// ---------------------------------------------------------
+// Formats and Flags
+// ---------------------------------------------------------
+
+const FORMATS = {
+  svg: WigglyBorder.generateSvgString,
+  react: WigglyBorder.generateReactComponent,
+  vue: WigglyBorder.generateVueComponent,
+  svelte: WigglyBorder.generateSvelteComponent,
+  "web-component": WigglyBorder.generateWebComponent,
+  css: WigglyBorder.generateCss,
+};
+
+// Picked from the output file's extension when --format isn't given
+const EXTENSION_FORMATS = {
+  ".svg": "svg",
+  ".tsx": "react",
+  ".vue": "vue",
+  ".svelte": "svelte",
+  ".js": "web-component",
+  ".mjs": "web-component",
+  ".css": "css",
+};
+
+// Flags that map straight onto generator options
+const NUMBER_FLAGS = {
+  width: "targetWidth",
+  height: "targetHeight",
+  amplitude: "waveAmplitude",
+  "segment-size": "waveSegmentSize",
+  "border-width": "borderWidth",
+  "corner-radius": "cornerRadius",
+  sides: "sides",
+  tension: "tension",
+  strokes: "strokes",
+  "gradient-angle": "gradientAngle",
+  "shadow-offset-x": "shadowOffsetX",
+  "shadow-offset-y": "shadowOffsetY",
+  "shadow-blur": "shadowBlur",
+  "arc-height": "arcHeight",
+  precision: "precision",
+  "content-padding": "contentPadding",
+  frames: "frames",
+  "frame-rate": "frameRate",
+};
+
+const STRING_FLAGS = {
+  seed: "seed",
+  shape: "shape",
+  path: "path",
+  line: "lineShape",
+  "line-ends": "lineEnds",
+  "wave-style": "waveStyle",
+  "background-color": "backgroundColor",
+  "border-color": "borderColor",
+  "fill-style": "fillStyle",
+  "background-accent-color": "backgroundAccentColor",
+  "border-accent-color": "borderAccentColor",
+  dasharray: "strokeDasharray",
+  linecap: "strokeLinecap",
+  linejoin: "strokeLinejoin",
+  "shadow-color": "shadowColor",
+  "shadow-outline": "shadowOutline",
+  styling: "styling",
+  "color-tokens": "colorTokens",
+};
+
+const BOOLEAN_FLAGS = {
+  "stroke-gradient": "strokeGradient",
+  shadow: "shadow",
+  animate: "animate",
+  responsive: "responsive",
+  compact: "compactPaths",
+};
+
+const USAGE = `Usage: wiggly-border [options]
+
+Options:
+  --format <name>            ${Object.keys(FORMATS).join(", ")} (default: from the output extension, else svg)
+  -o, --output <file>        Write to a file instead of stdout, and report its size
+  --config <file>            JSON file of generator options; flags override it
+  --width <px>               Target width (default: 400)
+  --height <px>              Target height (default: 300, or 40 for lines)
+  --seed <text>              Seed for a reproducible wobble
+  --shape <name>             rect, roundedRect, pill, ellipse, polygon or path
+  --corner-radius <n>        Corner radius for roundedRect
+  --sides <n>                Number of sides for polygon
+  --path <d>                 SVG path data for the path shape
+  --line <shape>             Draw a straight, arc or loop line instead of a box
+  --line-ends <name>         taper, wobble or pinned, for straight and arc lines
+  --arc-height <px>          How far an arc dips in the middle (default: 8)
+  --amplitude <n>            Wave amplitude
+  --segment-size <n>         Distance between wave points
+  --wave-style <name>        sine, zigzag, scallop, square or ragged
+  --tension <n>              Curve tightness for sine waves (0-1)
+  --border-width <n>         Stroke width
+  --background-color <hex>   Fill color
+  --border-color <hex>       Stroke color
+  --fill-style <name>        solid, linear, radial, dots, hatch or grain
+  --background-accent-color <hex>
+                             Gradient end, or the color of pattern marks
+  --stroke-gradient          Blend the border into --border-accent-color
+  --border-accent-color <hex>
+                             Gradient end for the border
+  --gradient-angle <deg>     Direction of linear gradients (default: 90, top to bottom)
+  --dasharray <list>         Dash pattern, e.g. "12 8" for dashes or "1 8" for dots
+  --linecap <name>           round, butt or square
+  --linejoin <name>          round, miter or bevel
+  --shadow                   Offset shadow behind the border
+  --shadow-offset-x <n>      Shadow offset to the right (default: 6); write
+                             negative offsets as --shadow-offset-x=-6
+  --shadow-offset-y <n>      Shadow offset downwards (default: 6)
+  --shadow-color <hex>       Shadow color
+  --shadow-blur <n>          Shadow blur radius (default: 0, a crisp edge)
+  --shadow-outline <name>    same, or fresh for a shadow with its own wobble
+  --precision <n>            Decimal places to keep in the path data (default: full)
+  --compact                  Shorten the path data with relative and shorthand commands
+  --content-padding <px>     Space between the border's safe area and the content (default: 16)
+  --strokes <n>              Number of sketchy pen passes
+  --animate                  Boiling line animation
+  --frames <n>               Frames when animating
+  --frame-rate <n>           Frames per second when animating
+  --responsive               Regenerate the path at the rendered size
+  --styling <name>           tailwind or css, for the React format
+  --color-tokens <name>      literal, currentColor or variables; set darkColors in --config
+                             for a dark palette, which is all the CSS format's images follow
+  -h, --help                 Show this help`;
+
+// ---------------------------------------------------------
+// Argument Parsing
+// ---------------------------------------------------------
+
+/**
+ * Turn command-line arguments into an output format, file and generator options.
+ *
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {{help: boolean, format: string, output: string|undefined, options: Object}}
+ * @throws {Error} If a flag is unknown or a value is invalid
+ */
+function parseCommandLine(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      format: { type: "string" },
+      output: { type: "string", short: "o" },
+      config: { type: "string" },
+      help: { type: "boolean", short: "h" },
+      ...Object.fromEntries(Object.keys({ ...NUMBER_FLAGS, ...STRING_FLAGS }).map((flag) => [flag, { type: "string" }])),
+      ...Object.fromEntries(Object.keys(BOOLEAN_FLAGS).map((flag) => [flag, { type: "boolean" }])),
+    },
+  });
+
+  const options = values.config ? JSON.parse(fs.readFileSync(values.config, "utf8")) : {};
+
+  Object.entries(NUMBER_FLAGS).forEach(([flag, key]) => {
+    if (values[flag] === undefined) return;
+
+    const value = Number(values[flag]);
+    if (!Number.isFinite(value)) {
+      throw new Error(`--${flag} must be a number, got "${values[flag]}"`);
+    }
+    options[key] = value;
+  });
+
+  Object.entries(STRING_FLAGS).forEach(([flag, key]) => {
+    if (values[flag] !== undefined) options[key] = values[flag];
+  });
+
+  Object.entries(BOOLEAN_FLAGS).forEach(([flag, key]) => {
+    if (values[flag] !== undefined) options[key] = values[flag];
+  });
+
+  // The React output is TypeScript, which won't compile as plain JSX
+  const extension = path.extname(values.output || "");
+  if (extension === ".jsx") {
+    throw new Error("The react format is TypeScript, so write it to a .tsx file");
+  }
+
+  const format = values.format || EXTENSION_FORMATS[extension] || "svg";
+  if (!FORMATS[format]) {
+    throw new Error(`Unknown format "${format}"; use one of ${Object.keys(FORMATS).join(", ")}`);
+  }
+
+  return { help: Boolean(values.help), format, output: values.output, options };
+}
+
+// ---------------------------------------------------------
+// Main
+// ---------------------------------------------------------
+
+function main() {
+  try {
+    const { help, format, output, options } = parseCommandLine(process.argv.slice(2));
+
+    if (help) {
+      console.log(USAGE);
+      return;
+    }
+
+    const result = FORMATS[format](options);
+
+    if (output) {
+      fs.writeFileSync(output, `${result}\n`);
+      console.error(`Wrote ${output} (${fs.statSync(output).size} bytes)`);
+    } else {
+      process.stdout.write(`${result}\n`);
+    }
+  } catch (err) {
+    console.error(`wiggly-border: ${err.message}`);
+    console.error("Run wiggly-border --help for usage.");
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -0,0 +1,103 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+const WigglyBorder = require("../wiggly-border.js");
+
+const EXPORTS = [
+  "generateSvgString",
+  "generateReactComponent",
+  "generateVueComponent",
+  "generateSvelteComponent",
+  "generateWebComponent",
+  "generateCss",
+];
+
+// The contrast checks live inside the page's controller, which needs a
+// document to run, so their functions are lifted out of it on their own
+function loadAppFunctions(names) {
+  const source = fs.readFileSync(path.join(__dirname, "../app.js"), "utf8");
+  const context = {};
+  for (const name of names) {
+    vm.runInNewContext(source.match(new RegExp(`^  function ${name}\\([\\s\\S]*?^  }$`, "m"))[0], context);
+  }
+  return context;
+}
+
+// The SVG in each of the CSS export's data URIs is decoded to read its rules
+function generate(name, options) {
+  return WigglyBorder[name](options).replace(/data:image\/svg\+xml,([^"]*)/g, (_, svg) => decodeURIComponent(svg));
+}
+
+const { getContrastRatio, hexToHsl, hslToHex, nudgeColor } = loadAppFunctions([
+  "hexToRgb",
+  "getLuminance",
+  "getContrastRatio",
+  "hexToHsl",
+  "hslToHex",
+  "nudgeColor",
+]);
+
+test("every export gives up its colors to forced colors", () => {
+  for (const name of EXPORTS) {
+    const code = generate(name, { shadow: true });
+
+    assert.match(code, /forced-colors/, name);
+    assert.match(code, /Canvas\b/, name);
+    assert.match(code, /CanvasText/, name);
+  }
+});
+
+test("every animated export holds still for reduced motion", () => {
+  for (const name of EXPORTS) {
+    assert.match(generate(name, { animate: true }), /prefers-reduced-motion: reduce/, name);
+    assert.doesNotMatch(generate(name, {}), /prefers-reduced-motion/, name);
+  }
+});
+
+test("an animated SVG swaps in a still frame for reduced motion", () => {
+  const svg = WigglyBorder.generateSvgString({ animate: true, frames: 3 });
+  const still = svg.match(/<g class="wiggly-still">([\s\S]*?)<\/g>/)[1];
+
+  assert.match(svg, /@media \(prefers-reduced-motion: reduce\) \{\s*\.wiggly-moving \{\s*display: none;/);
+  assert.match(svg, /<g class="wiggly-moving">[\s\S]*<animate/);
+  assert.doesNotMatch(still, /<animate/);
+  assert.equal(
+    still.match(/class="wiggly-stroke"\s+d="([^"]+)"/)[1],
+    WigglyBorder.generateWigglyFrames({ animate: true, frames: 3 }).frames[0],
+  );
+});
+
+test("a line in currentColor needs no style rules", () => {
+  assert.doesNotMatch(WigglyBorder.generateSvgString({ lineShape: "straight", borderColor: "currentColor" }), /<style>/);
+  assert.match(WigglyBorder.generateSvgString({ lineShape: "straight" }), /<style>/);
+});
+
+test("contrast ratios run from 1 to 21", () => {
+  assert.equal(getContrastRatio("#000000", "#FFFFFF"), 21);
+  assert.equal(getContrastRatio("#FFFFFF", "#000000"), 21);
+  assert.equal(getContrastRatio("#815A0E", "#815A0E"), 1);
+  assert.ok(Math.abs(getContrastRatio("#777777", "#FFFFFF") - 4.48) < 0.01);
+});
+
+test("colors survive a trip through hue, saturation and lightness", () => {
+  for (const hex of ["#815A0E", "#FFF8EA", "#000000", "#FFFFFF", "#3366CC"]) {
+    assert.equal(hslToHex(...hexToHsl(hex)), hex);
+  }
+});
+
+test("a nudged color passes against every background and keeps its hue", () => {
+  assert.equal(nudgeColor("#815A0E", ["#FFFFFF"], 3), "#815A0E");
+
+  const backgrounds = ["#FFF8EA", "#F0E0C0"];
+  const nudged = nudgeColor("#D0A050", backgrounds, 4.5);
+  for (const background of backgrounds) assert.ok(getContrastRatio(nudged, background) >= 4.5);
+  assert.ok(Math.abs(hexToHsl(nudged)[0] - hexToHsl("#D0A050")[0]) < 2);
+  assert.ok(hexToHsl(nudged)[2] < hexToHsl("#D0A050")[2]);
+});
+
+test("a color that can't pass falls back to black or white", () => {
+  assert.equal(nudgeColor("#808080", ["#FFFFFF"], 22), "#000000");
+  assert.equal(nudgeColor("#808080", ["#000000"], 22), "#FFFFFF");
+});
@@ -0,0 +1,45 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const WigglyBorder = require("../wiggly-border.js");
+
+const commands = (d) => d.replace(/[^A-Za-z]/g, "");
+
+test("each frame is a new wobble over the same outline", () => {
+  const { frames } = WigglyBorder.generateWigglyFrames({ animate: true, frames: 4, seed: "boil" });
+
+  assert.equal(frames.length, 4);
+  assert.equal(new Set(frames).size, 4);
+  for (const frame of frames) {
+    assert.equal(commands(frame), commands(frames[0]));
+  }
+});
+
+test("the first frame is the still border", () => {
+  const { frames } = WigglyBorder.generateWigglyFrames({ animate: true, frames: 3, seed: "boil" });
+
+  assert.equal(frames[0], WigglyBorder.generateWigglyPath({ seed: "boil" }).pathData);
+});
+
+test("without animate there is one frame, and frame counts are whole", () => {
+  assert.equal(WigglyBorder.generateWigglyFrames({ frames: 6 }).frames.length, 1);
+  assert.equal(WigglyBorder.generateWigglyFrames({ animate: true, frames: 2.6 }).frames.length, 3);
+  assert.equal(WigglyBorder.generateWigglyFrames({ animate: true, frames: 0 }).frames.length, 1);
+});
+
+test("the SVG steps through the frames at the frame rate", () => {
+  const svg = WigglyBorder.generateSvgString({ animate: true, frames: 3, frameRate: 6, seed: "boil" });
+  const { frames } = WigglyBorder.generateWigglyFrames({ animate: true, frames: 3, seed: "boil" });
+  const [values] = svg.match(/values="[^"]*"/);
+
+  assert.equal(values, `values="${frames.join(";")}"`);
+  assert.match(svg, /dur="0\.5s"\s+calcMode="discrete"\s+repeatCount="indefinite"/);
+  assert.doesNotMatch(WigglyBorder.generateSvgString({ seed: "boil" }), /<animate/);
+});
+
+test("the React component cycles the frames with a timer", () => {
+  const component = WigglyBorder.generateReactComponent({ animate: true, frames: 5, frameRate: 10 });
+
+  assert.match(component, /const FRAME_COUNT = 5;\nconst FRAME_RATE = 10;/);
+  assert.match(component, /setInterval\(/);
+  assert.match(component, /clearInterval\(timer\)/);
+});
@@ -0,0 +1,61 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const WigglyBorder = require("../wiggly-border.js");
+
+// Without waves every point sits on the outline, so the detours can be read off directly
+const getEdge = (name, options) =>
+  WigglyBorder.generateWigglyPath({ waveAmplitude: 0, ...options }).contours[0].points.filter((point) => point.edge === name);
+
+test("a tail runs out to a point, with the outline inset to make room", () => {
+  const plain = getEdge("bottom", {});
+  const bottom = getEdge("bottom", { attachments: [{ type: "tail", edge: "bottom", position: 0.25, width: 28, depth: 30, lean: -12 }] });
+  const tip = bottom.reduce((lowest, point) => (point.y > lowest.y ? point : lowest));
+  const top = getEdge("top", {});
+  const left = top[0].x;
+  const length = top.at(-1).x - left;
+
+  assert.equal(tip.y, plain[0].y);
+  assert.ok(Math.abs(tip.x - (left + length * 0.25 - 12)) < 1e-9);
+  assert.equal(Math.min(...bottom.map((point) => point.y)), plain[0].y - 30);
+});
+
+test("a tab steps out to a flat top", () => {
+  const top = getEdge("top", { attachments: [{ type: "tab", edge: "top", width: 32, depth: 24 }] });
+  const raised = top.filter((point) => point.y === Math.min(...top.map((point) => point.y)));
+
+  assert.equal(raised.length, 2);
+  assert.equal(raised[1].x - raised[0].x, 16);
+  assert.equal(top[0].y - raised[0].y, 24);
+});
+
+test("a notch cuts inwards without moving the outline", () => {
+  const plain = getEdge("right", {});
+  const right = getEdge("right", { attachments: [{ type: "notch", edge: "right", depth: 10 }] });
+  const deepest = Math.min(...right.map((point) => point.x));
+
+  assert.equal(right[0].x, plain[0].x);
+  assert.equal(deepest, plain[0].x - 10);
+});
+
+test("the point of a tail stays sharp and still under the waves", () => {
+  const attachments = [{ type: "tail", edge: "bottom", position: 0.25, depth: 30 }];
+  const tips = ["a", "b"].map((seed) =>
+    WigglyBorder.generateWigglyPath({ seed, attachments })
+      .contours[0].points.filter((point) => point.edge === "bottom")
+      .reduce((lowest, point) => (point.y > lowest.y ? point : lowest)),
+  );
+
+  assert.deepEqual([tips[0].x, tips[0].y], [tips[0].base.x, tips[0].base.y]);
+  assert.deepEqual([tips[1].x, tips[1].y], [tips[0].x, tips[0].y]);
+});
+
+test("an attachment overlapping one before it on the same edge is left out", () => {
+  const first = { type: "tab", edge: "top", position: 0.5, width: 40 };
+  const overlapping = { type: "notch", edge: "top", position: 0.52, width: 40 };
+
+  assert.deepEqual(getEdge("top", { attachments: [first, overlapping] }), getEdge("top", { attachments: [first] }));
+});
+
+test("an unknown attachment type is an error", () => {
+  assert.throws(() => WigglyBorder.generateWigglyPath({ attachments: [{ type: "flag" }] }), /Unknown attachment type "flag"/);
+});
@@ -0,0 +1,112 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+const WigglyBorder = require("../wiggly-border.js");
+
+// Read a stored zip back into its files, checking each one's CRC
+function readZip(zip) {
+  const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+  const end = zip.byteLength - 22;
+  assert.equal(view.getUint32(end, true), 0x06054b50);
+
+  const files = {};
+  let position = view.getUint32(end + 16, true);
+  for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+    assert.equal(view.getUint32(position, true), 0x02014b50);
+    const crc = view.getUint32(position + 16, true);
+    const size = view.getUint32(position + 24, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const local = view.getUint32(position + 42, true);
+    const name = Buffer.from(zip.subarray(position + 46, position + 46 + nameLength)).toString();
+    const start = local + 30 + view.getUint16(local + 26, true);
+    const data = Buffer.from(zip.subarray(start, start + size));
+
+    // gunzip checks the CRC it's given against the data
+    const trailer = Buffer.alloc(8);
+    trailer.writeUInt32LE(crc, 0);
+    trailer.writeUInt32LE(size, 4);
+    zlib.gunzipSync(Buffer.concat([Buffer.from([0x1f, 0x8b, 8, 0, 0, 0, 0, 0, 0, 0xff]), zlib.deflateRawSync(data), trailer]));
+
+    files[name] = data.toString();
+    position += 46 + nameLength;
+  }
+
+  return files;
+}
+
+test("a grid makes every combination, laid over the shared options", () => {
+  const batch = WigglyBorder.generateBatch({ seed: ["a", "b"], targetWidth: [240, 320] }, { borderWidth: 2 });
+
+  assert.deepEqual(
+    batch.map(({ id }) => id),
+    ["wiggly-seed-a-targetWidth-240", "wiggly-seed-a-targetWidth-320", "wiggly-seed-b-targetWidth-240", "wiggly-seed-b-targetWidth-320"],
+  );
+  for (const item of batch) {
+    assert.equal(item.options.borderWidth, 2);
+    assert.equal(item.pathData, WigglyBorder.generateWigglyPath(item.options).pathData);
+  }
+});
+
+test("IDs follow the variant rather than its place in the batch", () => {
+  const forwards = WigglyBorder.generateBatch([{ seed: "a" }, { seed: "b", id: "hero" }], { idPrefix: "card" });
+  const backwards = WigglyBorder.generateBatch([{ seed: "b", id: "hero" }, { seed: "a" }], { idPrefix: "card" });
+
+  assert.deepEqual(
+    forwards.map(({ id }) => id),
+    ["card-seed-a", "hero"],
+  );
+  assert.deepEqual(backwards.map(({ id }) => id).sort(), forwards.map(({ id }) => id).sort());
+});
+
+test("repeated variants are numbered", () => {
+  const batch = WigglyBorder.generateBatch([{ seed: "a" }, { seed: "a" }, {}]);
+
+  assert.deepEqual(
+    batch.map(({ id }) => id),
+    ["wiggly-seed-a", "wiggly-seed-a-2", "wiggly-3"],
+  );
+});
+
+test("the sprite has a symbol per variant", () => {
+  const batch = WigglyBorder.generateBatch([{ seed: "a" }, { seed: "b", targetWidth: 200, targetHeight: 100 }]);
+  const sprite = WigglyBorder.generateSprite(batch);
+  const symbols = [...sprite.matchAll(/<symbol id="([^"]+)" viewBox="([^"]+)"/g)].map(([, id, viewBox]) => ({ id, viewBox }));
+
+  assert.deepEqual(
+    symbols,
+    batch.map(({ id, viewBoxWidth, viewBoxHeight }) => ({ id, viewBox: `0 0 ${viewBoxWidth} ${viewBoxHeight}` })),
+  );
+  for (const { pathData } of batch) {
+    assert.ok(sprite.includes(`d="${pathData}"`));
+  }
+});
+
+test("the manifest lists every variant's path and options", () => {
+  const batch = WigglyBorder.generateBatch([{ seed: "a" }], { targetWidth: 320 });
+  const { variants } = JSON.parse(WigglyBorder.generateManifest(batch));
+
+  assert.deepEqual(variants, [
+    {
+      id: "wiggly-seed-a",
+      viewBox: `0 0 ${batch[0].viewBoxWidth} ${batch[0].viewBoxHeight}`,
+      pathData: batch[0].pathData,
+      options: { targetWidth: 320, seed: "a" },
+    },
+  ]);
+});
+
+test("the zip holds an SVG per variant, the sprite and the manifest", () => {
+  const batch = WigglyBorder.generateBatch({ seed: ["a", "b"] });
+  const files = readZip(WigglyBorder.generateBundle(batch));
+
+  assert.deepEqual(Object.keys(files), ["wiggly-seed-a.svg", "wiggly-seed-b.svg", "sprite.svg", "manifest.json"]);
+  assert.equal(files["wiggly-seed-a.svg"], WigglyBorder.generateSvgString(batch[0].options));
+  assert.equal(files["sprite.svg"], WigglyBorder.generateSprite(batch));
+  assert.equal(files["manifest.json"], WigglyBorder.generateManifest(batch));
+});
+
+test("the same batch always zips to the same bytes", () => {
+  const batch = WigglyBorder.generateBatch({ seed: ["a", "b"] });
+
+  assert.deepEqual(WigglyBorder.generateBundle(batch), WigglyBorder.generateBundle(batch));
+});
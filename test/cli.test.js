@@ -0,0 +1,94 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const WigglyBorder = require("../wiggly-border.js");
+
+const CLI = path.join(__dirname, "../cli.js");
+
+function run(...args) {
+  return spawnSync(process.execPath, [CLI, ...args], { encoding: "utf8" });
+}
+
+function withTempDir(callback) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wiggly-border-"));
+  try {
+    callback(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test("flags become generator options", () => {
+  const { status, stdout } = run("--width", "320", "--height", "200", "--seed", "card-1", "--border-width", "6");
+
+  assert.equal(status, 0);
+  assert.equal(stdout, `${WigglyBorder.generateSvgString({ targetWidth: 320, targetHeight: 200, borderWidth: 6, seed: "card-1" })}\n`);
+});
+
+test("the same flags print the same border", () => {
+  assert.equal(run("--seed", "card-1", "--format", "css").stdout, run("--seed", "card-1", "--format", "css").stdout);
+});
+
+test("flags override the config file", () => {
+  withTempDir((dir) => {
+    const config = path.join(dir, "options.json");
+    fs.writeFileSync(config, JSON.stringify({ seed: "from-config", borderWidth: 6 }));
+    const { status, stdout } = run("--config", config, "--seed", "from-flag", "--format", "vue");
+
+    assert.equal(status, 0);
+    assert.equal(stdout, `${WigglyBorder.generateVueComponent({ seed: "from-flag", borderWidth: 6 })}\n`);
+  });
+});
+
+test("the format comes from the output file's extension", () => {
+  withTempDir((dir) => {
+    const expected = {
+      "border.svg": WigglyBorder.generateSvgString,
+      "Border.tsx": WigglyBorder.generateReactComponent,
+      "Border.vue": WigglyBorder.generateVueComponent,
+      "Border.svelte": WigglyBorder.generateSvelteComponent,
+      "border.js": WigglyBorder.generateWebComponent,
+      "border.css": WigglyBorder.generateCss,
+    };
+
+    for (const [name, generate] of Object.entries(expected)) {
+      const output = path.join(dir, name);
+      const { status, stderr } = run("--seed", "card-1", "-o", output);
+
+      assert.equal(status, 0, stderr);
+      assert.match(stderr, new RegExp(`Wrote .*${name} \\(\\d+ bytes\\)`));
+      assert.equal(fs.readFileSync(output, "utf8"), `${generate({ seed: "card-1" })}\n`);
+    }
+  });
+});
+
+test("the React component isn't written to a .jsx file", () => {
+  withTempDir((dir) => {
+    const output = path.join(dir, "Border.jsx");
+    const { status, stderr } = run("-o", output);
+
+    assert.equal(status, 1);
+    assert.match(stderr, /write it to a \.tsx file/);
+    assert.equal(fs.existsSync(output), false);
+  });
+});
+
+test("bad flags are reported with a pointer to the help", () => {
+  for (const args of [["--width", "wide"], ["--format", "png"], ["--no-such-flag"]]) {
+    const { status, stdout, stderr } = run(...args);
+
+    assert.equal(status, 1, args.join(" "));
+    assert.equal(stdout, "");
+    assert.match(stderr, /^wiggly-border: .+\nRun wiggly-border --help for usage\.\n$/);
+  }
+});
+
+test("--help prints the usage", () => {
+  const { status, stdout } = run("--help");
+
+  assert.equal(status, 0);
+  assert.match(stdout, /^Usage: wiggly-border \[options\]/);
+});
@@ -0,0 +1,101 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const vm = require("vm");
+const WigglyBorder = require("../wiggly-border.js");
+
+const OPTIONS = { seed: "box", backgroundColor: "#FFEEDD", borderColor: "#223344", borderWidth: 3 };
+
+// Just enough of the DOM for the custom element to render into
+function loadWebComponent(code) {
+  class FakeElement {
+    constructor(tagName) {
+      this.tagName = tagName;
+      this.attributes = {};
+      this.children = [];
+    }
+
+    setAttribute(name, value) {
+      this.attributes[name] = String(value);
+    }
+
+    getAttribute(name) {
+      return this.attributes[name] ?? null;
+    }
+
+    replaceChildren(...children) {
+      this.children = children;
+    }
+  }
+
+  class HTMLElement extends FakeElement {
+    attachShadow() {
+      const svg = new FakeElement("svg");
+      this.shadowRoot = { innerHTML: "", querySelector: () => svg };
+      return this.shadowRoot;
+    }
+  }
+
+  const registry = new Map();
+  const context = vm.createContext({
+    HTMLElement,
+    document: { createElementNS: (namespace, tagName) => new FakeElement(tagName) },
+    customElements: { get: (name) => registry.get(name), define: (name, element) => registry.set(name, element) },
+    window: { matchMedia: () => ({ matches: false }) },
+  });
+  vm.runInContext(code, context);
+  return registry;
+}
+
+test("the Vue component takes its colors and width as props", () => {
+  const component = WigglyBorder.generateVueComponent(OPTIONS);
+
+  assert.match(component, /backgroundColor: \{ type: String, default: "#FFEEDD" \}/);
+  assert.match(component, /borderColor: \{ type: String, default: "#223344" \}/);
+  assert.match(component, /borderWidth: \{ type: Number, default: 3 \}/);
+  assert.ok(component.includes(JSON.stringify(WigglyBorder.generateWigglyPath(OPTIONS).pathData)));
+});
+
+test("the Svelte component takes its colors and width as props", () => {
+  const component = WigglyBorder.generateSvelteComponent(OPTIONS);
+
+  assert.match(component, /export let backgroundColor = "#FFEEDD";\nexport let borderColor = "#223344";\nexport let borderWidth = 3;/);
+  assert.match(component, /<slot \/>/);
+});
+
+test("Vue and Svelte number each instance's gradient IDs without framework helpers", () => {
+  for (const component of [
+    WigglyBorder.generateVueComponent({ strokeGradient: true }),
+    WigglyBorder.generateSvelteComponent({ strokeGradient: true }),
+  ]) {
+    assert.match(component, /^<script( context="module")?>\nlet instanceCount = 0;\n<\/script>/);
+    assert.match(component, /const id = `wiggly-box-\$\{\+\+instanceCount\}`;/);
+    assert.doesNotMatch(component, /useId/);
+  }
+
+  assert.doesNotMatch(WigglyBorder.generateVueComponent(), /instanceCount/);
+});
+
+test("the custom element renders its paths and follows its attributes", () => {
+  const WigglyBox = loadWebComponent(WigglyBorder.generateWebComponent(OPTIONS)).get("wiggly-box");
+  const box = new WigglyBox();
+  box.connectedCallback();
+
+  const [fill, stroke] = box.svg.children;
+  assert.equal(fill.attributes.d, WigglyBorder.generateWigglyPath(OPTIONS).pathData);
+  assert.equal(fill.attributes.fill, "#FFEEDD");
+  assert.equal(stroke.attributes.stroke, "#223344");
+  assert.equal(stroke.attributes["stroke-width"], "3");
+
+  box.setAttribute("border-color", "#000000");
+  box.setAttribute("border-width", "8");
+  box.attributeChangedCallback();
+  assert.equal(box.svg.children[1].attributes.stroke, "#000000");
+  assert.equal(box.svg.children[1].attributes["stroke-width"], "8");
+});
+
+test("the custom element is only defined once", () => {
+  const code = WigglyBorder.generateWebComponent();
+
+  assert.doesNotThrow(() => vm.runInContext(code, vm.createContext({ HTMLElement: class {}, customElements: { get: () => true } })));
+  assert.equal(loadWebComponent(code).size, 1);
+});
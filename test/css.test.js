@@ -0,0 +1,65 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const WigglyBorder = require("../wiggly-border.js");
+
+// The SVG behind each url() in a stylesheet, keyed by the rule it's in
+function getImages(css) {
+  const images = {};
+  for (const [, selector, body] of css.matchAll(/^\.([\w-]+) \{\n([\s\S]*?)\n\}/gm)) {
+    const url = body.match(/url\("data:image\/svg\+xml,([^"]*)"\)/);
+    if (url) images[selector] = decodeURIComponent(url[1]);
+  }
+  return images;
+}
+
+test("the stylesheet has a background, a mask and a border-image rule", () => {
+  const images = getImages(WigglyBorder.generateCss({ seed: "css", className: "card" }));
+
+  assert.deepEqual(Object.keys(images), ["card", "card-mask", "card-frame"]);
+  for (const svg of Object.values(images)) {
+    assert.match(svg, /^<svg .*<\/svg>$/);
+  }
+});
+
+test("the background is the SVG export, without its options", () => {
+  const { "wiggly-border": background } = getImages(WigglyBorder.generateCss({ seed: "css" }));
+  const { pathData } = WigglyBorder.generateWigglyPath({ seed: "css" });
+
+  assert.ok(background.includes(`d='${pathData}'`));
+  assert.doesNotMatch(background, /<metadata>/);
+});
+
+test("the mask is drawn in solid black", () => {
+  const { "wiggly-border-mask": mask } = getImages(WigglyBorder.generateCss({ backgroundColor: "#FFEEDD", shadow: true }));
+
+  assert.doesNotMatch(mask, /#FFEEDD/);
+  assert.match(mask, /fill='#000'/);
+  assert.doesNotMatch(mask, /wiggly-shadow/);
+});
+
+test("the border-image keeps whole-pixel corners", () => {
+  const css = WigglyBorder.generateCss({ targetWidth: 320, targetHeight: 200 });
+  const [, width, slice, outset] = css.match(
+    /border: (\d+)px solid transparent;\n\s*border-image: url\("[^"]*"\) (\d+) fill \/ (\d+)px stretch;/,
+  );
+  const { "wiggly-border-frame": frame } = getImages(css);
+
+  assert.equal(slice, width);
+  assert.equal(outset, width);
+  assert.match(frame, /width='\d+(\.\d+)?' height='\d+(\.\d+)?'/);
+});
+
+test("characters that would end the url() or the CSS are encoded", () => {
+  const css = WigglyBorder.generateCss({ fillStyle: "dots" });
+
+  for (const [, uri] of css.matchAll(/url\("(data:[^"]*)"\)/g)) {
+    assert.doesNotMatch(uri, /[#<>{}"]/);
+  }
+});
+
+test("the background rule pads the content clear of the waves", () => {
+  const css = WigglyBorder.generateCss({ waveAmplitude: 10, contentPadding: 8 });
+
+  assert.match(css, /\.wiggly-border \{\n[^}]*padding: \d+px/);
+  assert.notEqual(css.match(/padding: ([^;]+);/)[1], "8px");
+});
@@ -0,0 +1,54 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const WigglyBorder = require("../wiggly-border.js");
+
+function getEdgePoints(options, edge) {
+  return WigglyBorder.generateWigglyPath({ seed: "edges", ...options }).contours[0].points.filter((point) => point.edge === edge);
+}
+
+const largestOffset = (points) => Math.max(...points.map(({ x, y, base }) => Math.hypot(x - base.x, y - base.y)));
+
+test("wiggle: false draws an edge straight and leaves the rest alone", () => {
+  const options = { edges: { top: { wiggle: false } } };
+
+  assert.ok(getEdgePoints(options, "top").every(({ y, base }) => y === base.y));
+  for (const edge of ["right", "bottom", "left"]) {
+    assert.deepEqual(getEdgePoints(options, edge), getEdgePoints({}, edge), edge);
+  }
+});
+
+test("an edge can have bigger waves, and the padding grows to fit them", () => {
+  const options = { waveAmplitude: 3, edges: { bottom: { waveAmplitude: 12 } } };
+  const top = getEdgePoints(options, "top");
+  const bottom = getEdgePoints(options, "bottom");
+
+  assert.ok(largestOffset(bottom) > 3);
+  assert.ok(largestOffset(top) <= 3 * 2);
+  assert.ok(top[0].base.y > getEdgePoints({ waveAmplitude: 3 }, "top")[0].base.y);
+});
+
+test("an edge's own seed only changes that edge", () => {
+  const options = { edges: { left: { seed: "left" } } };
+
+  assert.notDeepEqual(getEdgePoints(options, "left"), getEdgePoints({}, "left"));
+  assert.deepEqual(getEdgePoints(options, "top"), getEdgePoints({}, "top"));
+});
+
+test("corners can have their own radius", () => {
+  const reachesCorner = (options, corner) => {
+    const { contours } = WigglyBorder.generateWigglyPath({ waveAmplitude: 0, ...options });
+    const xs = contours[0].points.map(({ base }) => base.x);
+    const ys = contours[0].points.map(({ base }) => base.y);
+    const x = corner.includes("Left") ? Math.min(...xs) : Math.max(...xs);
+    const y = corner.startsWith("top") ? Math.min(...ys) : Math.max(...ys);
+    return contours[0].points.some(({ base }) => base.x === x && base.y === y);
+  };
+
+  const rounded = { shape: "roundedRect", cornerRadius: 30, corners: { topLeft: 0 } };
+  assert.equal(reachesCorner(rounded, "topLeft"), true);
+  assert.equal(reachesCorner(rounded, "bottomRight"), false);
+
+  const rect = { shape: "rect", corners: { bottomRight: 20 } };
+  assert.equal(reachesCorner(rect, "topLeft"), true);
+  assert.equal(reachesCorner(rect, "bottomRight"), false);
+});
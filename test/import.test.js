@@ -0,0 +1,75 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const WigglyBorder = require("../wiggly-border.js");
+
+const GENERATORS = [
+  "generateSvgString",
+  "generateReactComponent",
+  "generateVueComponent",
+  "generateSvelteComponent",
+  "generateWebComponent",
+  "generateCss",
+];
+
+// A fixed defsId keeps the gradient IDs the same from one export to the next
+const OPTIONS = { seed: "card-1", waveStyle: "scallop", borderWidth: 3, targetWidth: 320, strokeGradient: true, defsId: "card" };
+
+for (const generator of GENERATORS) {
+  test(`${generator} output imports back to the same border`, () => {
+    const code = WigglyBorder[generator](OPTIONS);
+    const options = WigglyBorder.readExportOptions(code);
+
+    assert.deepEqual(options, OPTIONS);
+    assert.equal(WigglyBorder[generator](options), code);
+  });
+}
+
+test("an export with all the defaults keeps empty options", () => {
+  const svg = WigglyBorder.generateSvgString();
+
+  assert.match(svg, /<metadata>\{\}<\/metadata>/);
+  assert.match(WigglyBorder.generateReactComponent(), /\/\/ wiggly-border options: \{\}\n/);
+  assert.deepEqual(WigglyBorder.readExportOptions(svg), {});
+});
+
+test("metadata: false leaves the options out", () => {
+  for (const generator of GENERATORS) {
+    assert.doesNotMatch(WigglyBorder[generator]({ ...OPTIONS, metadata: false }), /<metadata>|wiggly-border options:/, generator);
+  }
+});
+
+test("code without options gives up its outline and colors", () => {
+  const options = { seed: "old", backgroundColor: "#ABCDEF", borderColor: "#123456", metadata: false };
+  const { pathData } = WigglyBorder.generateWigglyPath(options);
+
+  for (const generator of GENERATORS.slice(0, -1)) {
+    assert.deepEqual(
+      WigglyBorder.readExportOptions(WigglyBorder[generator](options)),
+      { shape: "path", path: pathData, waveAmplitude: 0, backgroundColor: "#ABCDEF", borderColor: "#123456" },
+      generator,
+    );
+  }
+});
+
+test("colors written as custom properties give up their fallback", () => {
+  const svg = WigglyBorder.generateSvgString({ colorTokens: "variables", borderColor: "#123456", shadow: true, metadata: false });
+  const { backgroundColor, borderColor } = WigglyBorder.readExportOptions(svg);
+
+  assert.equal(backgroundColor, "#FFF8EA");
+  assert.equal(borderColor, "#123456");
+});
+
+test("a foreign SVG gives up its first path and colors, and a gradient fill has no color", () => {
+  const foreign = '<svg viewBox="0 0 10 10"><path d="M0 0 L10 10 Z" fill="url(#g)" stroke="#333333" /></svg>';
+
+  assert.deepEqual(WigglyBorder.readExportOptions(foreign), {
+    shape: "path",
+    path: "M0 0 L10 10 Z",
+    waveAmplitude: 0,
+    borderColor: "#333333",
+  });
+});
+
+test("code with neither options nor a path can't be imported", () => {
+  assert.throws(() => WigglyBorder.readExportOptions("nothing here"), /No wiggly border options or path found/);
+});
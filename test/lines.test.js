@@ -0,0 +1,62 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const WigglyBorder = require("../wiggly-border.js");
+
+const getPoints = (options) => WigglyBorder.generateWigglyLine(options).contours[0].points;
+const getOffset = (point) => Math.hypot(point.x - point.base.x, point.y - point.base.y);
+
+test("a line is drawn in CSS pixels, 40 high by default", () => {
+  const line = WigglyBorder.generateWigglyLine({ targetWidth: 300 });
+
+  assert.equal(line.viewBoxWidth, 300);
+  assert.equal(line.viewBoxHeight, 40);
+  assert.equal(line.contours.length, 1);
+});
+
+test("straight lines and arcs are open, loops are closed", () => {
+  assert.doesNotMatch(WigglyBorder.generateWigglyLine({ lineShape: "straight" }).pathData, /Z/);
+  assert.doesNotMatch(WigglyBorder.generateWigglyLine({ lineShape: "arc" }).pathData, /Z/);
+  assert.match(WigglyBorder.generateWigglyLine({ lineShape: "loop" }).pathData, /Z$/);
+});
+
+test("a straight line runs along the middle and an arc dips by its height", () => {
+  for (const point of getPoints({ lineShape: "straight" })) assert.equal(point.base.y, 20);
+
+  const arc = getPoints({ lineShape: "arc", arcHeight: 8, waveAmplitude: 0 });
+  const middle = arc[Math.floor(arc.length / 2)];
+  assert.equal(arc[0].y, 16);
+  assert.equal(arc.at(-1).y, 16);
+  assert.ok(Math.abs(middle.y - 24) < 1e-9);
+
+  const arched = getPoints({ lineShape: "arc", arcHeight: -8, waveAmplitude: 0 });
+  assert.ok(arched[Math.floor(arched.length / 2)].y < arched[0].y);
+});
+
+test("pinned and tapered ends stay put, wobbly ends wander", () => {
+  for (const lineEnds of ["pinned", "taper"]) {
+    const points = getPoints({ lineEnds });
+    assert.equal(getOffset(points[0]), 0, lineEnds);
+    assert.equal(getOffset(points.at(-1)), 0, lineEnds);
+  }
+
+  const wobble = getPoints({ lineEnds: "wobble" });
+  assert.ok(getOffset(wobble[0]) > 0);
+  assert.ok(getOffset(wobble.at(-1)) > 0);
+});
+
+test("a taper eases the waves in from the ends", () => {
+  const tapered = getPoints({ lineEnds: "taper" });
+  const pinned = getPoints({ lineEnds: "pinned" });
+  const middle = Math.floor(tapered.length / 2);
+
+  assert.ok(getOffset(tapered[1]) < getOffset(pinned[1]));
+  assert.ok(Math.abs(getOffset(tapered[middle]) - getOffset(pinned[middle])) < 1e-9);
+});
+
+test("exports stroke a line without filling it", () => {
+  const svg = WigglyBorder.generateSvgString({ lineShape: "straight", targetWidth: 300 });
+
+  assert.match(svg, /viewBox="0 0 300 40"/);
+  assert.match(svg, /class="wiggly-fill" d="[^"]+" fill="none"/);
+  assert.match(svg, /class="wiggly-stroke"/);
+});
@@ -0,0 +1,21 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const WigglyBorder = require("../wiggly-border.js");
+
+test("every export is declared", () => {
+  const declarations = fs.readFileSync(path.join(__dirname, "../wiggly-border.d.ts"), "utf8");
+  const declared = [...declarations.matchAll(/^export function (\w+)/gm)].map(([, name]) => name);
+
+  assert.deepEqual(declared.sort(), Object.keys(WigglyBorder).sort());
+});
+
+test("the ES module re-exports the CommonJS build", async () => {
+  const esm = await import("../wiggly-border.mjs");
+
+  for (const name of Object.keys(WigglyBorder)) {
+    assert.equal(esm[name], WigglyBorder[name], name);
+  }
+  assert.equal(esm.default, WigglyBorder);
+});
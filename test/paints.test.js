@@ -0,0 +1,78 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const WigglyBorder = require("../wiggly-border.js");
+
+const getIds = (markup) => [...markup.matchAll(/\sid="([^"]+)"/g)].map(([, id]) => id);
+const getReferences = (markup) => [...markup.matchAll(/url\(#([^)]+)\)/g)].map(([, id]) => id);
+
+test("each fill style is drawn with its own definition", () => {
+  const definitions = {
+    linear: /<linearGradient /,
+    radial: /<radialGradient /,
+    dots: /<circle /,
+    hatch: /patternTransform="rotate\(45\)"/,
+    grain: /<feTurbulence /,
+  };
+
+  for (const [fillStyle, definition] of Object.entries(definitions)) {
+    const svg = WigglyBorder.generateSvgString({ fillStyle });
+
+    assert.match(svg, definition, fillStyle);
+    assert.match(svg, /class="wiggly-fill" d="[^"]+" fill="url\(#[^)]+-fill\)"/, fillStyle);
+  }
+  assert.doesNotMatch(WigglyBorder.generateSvgString(), /<defs>/);
+});
+
+test("every reference points at a definition in the same SVG", () => {
+  const svg = WigglyBorder.generateSvgString({ fillStyle: "grain", strokeGradient: true });
+
+  assert.deepEqual([...new Set(getReferences(svg))].sort(), getIds(svg).sort());
+});
+
+test("the stroke can take a gradient and a line style", () => {
+  const svg = WigglyBorder.generateSvgString({
+    strokeGradient: true,
+    borderAccentColor: "#112233",
+    strokeDasharray: "12 8",
+    strokeLinecap: "butt",
+    strokeLinejoin: "miter",
+  });
+
+  assert.match(svg, /<stop offset="1" stop-color="#112233" \/>/);
+  assert.match(svg, /stroke="url\(#[^)]+-stroke\)"/);
+  assert.match(svg, /stroke-linecap="butt"\s+stroke-linejoin="miter"\s+stroke-dasharray="12 8"/);
+});
+
+test("two copies of the same border don't share IDs", () => {
+  const options = { fillStyle: "linear", strokeGradient: true };
+  const first = getIds(WigglyBorder.generateSvgString(options));
+  const second = getIds(WigglyBorder.generateSvgString(options));
+
+  assert.equal(first.length, 2);
+  assert.deepEqual(
+    first.filter((id) => second.includes(id)),
+    [],
+  );
+});
+
+test("defsId names the definitions", () => {
+  const svg = WigglyBorder.generateSvgString({ fillStyle: "dots", defsId: "card" });
+
+  assert.deepEqual(getIds(svg), ["card-fill"]);
+  assert.equal(WigglyBorder.generatePaints({ fillStyle: "dots", defsId: "card" }).fill, "url(#card-fill)");
+});
+
+test("the sprite is hidden without stopping its definitions from rendering", () => {
+  const batch = WigglyBorder.generateBatch([{ seed: "a" }, { seed: "b" }], { fillStyle: "linear" });
+  const sprite = WigglyBorder.generateSprite(batch);
+
+  assert.match(sprite, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="0" height="0" style="position: absolute">/);
+  assert.doesNotMatch(sprite, /display: ?none">/);
+  assert.deepEqual(getIds(sprite), ["wiggly-seed-a", "wiggly-seed-a-fill", "wiggly-seed-b", "wiggly-seed-b-fill"]);
+});
+
+test("the components keep their IDs unique per instance", () => {
+  assert.match(WigglyBorder.generateReactComponent({ fillStyle: "dots" }), /const id = useId\(\)/);
+  assert.match(WigglyBorder.generateVueComponent({ fillStyle: "dots" }), /:fill="`url\(#\$\{id\}-fill\)`"/);
+  assert.match(WigglyBorder.generateSvelteComponent({ fillStyle: "dots" }), /fill=\{`url\(#\$\{id\}-fill\)`\}/);
+});
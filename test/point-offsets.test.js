@@ -0,0 +1,57 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const WigglyBorder = require("../wiggly-border.js");
+
+const getPoints = (options) => WigglyBorder.generateWigglyPath(options).contours[0].points;
+
+test("an offset moves the nearest point on its edge from where the wave put it", () => {
+  const before = getPoints({});
+  const after = getPoints({ pointOffsets: [{ edge: "top", at: 0.26, dx: 3, dy: 12 }] });
+  const moved = after.findIndex((point) => point.offset === 0);
+  const nearest = before
+    .map((point, i) => ({ i, distance: point.edge === "top" ? Math.abs(point.at - 0.26) : Infinity }))
+    .reduce((best, candidate) => (candidate.distance < best.distance ? candidate : best)).i;
+
+  assert.equal(moved, nearest);
+  assert.equal(after[moved].x, before[moved].x + 3);
+  assert.equal(after[moved].y, before[moved].y + 12);
+  for (const [i, point] of after.entries()) if (i !== moved) assert.deepEqual(point, before[i]);
+});
+
+test("a pinned point is moved from the unwaved edge, whatever the seed", () => {
+  const pointOffsets = [{ edge: "right", at: 0.5, dx: -4, dy: 0, pinned: true }];
+  const places = ["a", "b", "c"].map((seed) => {
+    const point = getPoints({ seed, pointOffsets }).find((point) => point.offset === 0);
+    return [point.x, point.y];
+  });
+  const { base } = getPoints({ pointOffsets }).find((point) => point.offset === 0);
+
+  assert.deepEqual(places[0], [base.x - 4, base.y]);
+  assert.deepEqual(places[1], places[0]);
+  assert.deepEqual(places[2], places[0]);
+});
+
+test("an offset keeps its place along the edge when the box is resized", () => {
+  const pointOffsets = [{ edge: "bottom", at: 0.5, dx: 0, dy: 5 }];
+
+  for (const targetWidth of [300, 533, 900]) {
+    const point = getPoints({ targetWidth, pointOffsets }).find((point) => point.offset === 0);
+    assert.equal(point.edge, "bottom");
+    assert.ok(Math.abs(point.at - 0.5) < 0.1, `${targetWidth}`);
+  }
+});
+
+test("offsets for other edges, contours or missing edges are left alone", () => {
+  const plain = getPoints({ shape: "ellipse" });
+
+  assert.deepEqual(getPoints({ shape: "ellipse", pointOffsets: [{ edge: "left", at: 0.5, dx: 9 }] }), plain);
+  assert.deepEqual(getPoints({ pointOffsets: [{ contour: 1, edge: "top", at: 0.5, dx: 9 }] }), getPoints({}));
+});
+
+test("every animation frame holds a pinned point still", () => {
+  const pointOffsets = [{ edge: "top", at: 0.5, dx: 0, dy: 10, pinned: true }];
+  const point = getPoints({ pointOffsets }).find((point) => point.offset === 0);
+  const { frames } = WigglyBorder.generateWigglyFrames({ animate: true, frames: 4, pointOffsets });
+
+  for (const frame of frames) assert.ok(frame.includes(`${point.x} ${point.y}`));
+});
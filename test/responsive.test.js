@@ -0,0 +1,86 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const vm = require("vm");
+const ts = require("typescript");
+const WigglyBorder = require("../wiggly-border.js");
+
+const OPTION_SETS = [
+  {},
+  { shape: "roundedRect", corners: { topLeft: 0 } },
+  { shape: "ellipse" },
+  { shape: "polygon", sides: 5 },
+  { shape: "path", path: "M0 0 L100 0 A 20 20 0 0 1 100 50 Z M 20 20 Q 30 20 30 30 Z" },
+  { lineShape: "arc" },
+  { lineShape: "loop", strokeOvershoot: 6 },
+  { waveStyle: "scallop", attachments: [{ type: "tail" }] },
+  { waveStyle: "zigzag", strokes: 3, precision: 1, compactPaths: true },
+  { waveStyle: "ragged", animate: true, frames: 3, shadow: true, shadowOutline: "fresh" },
+  { waveStyle: "square", pointOffsets: [{ edge: "top", at: 0.5, dx: 3, dy: 4 }], precision: 2 },
+];
+
+const RESIZED = { targetWidth: 613, targetHeight: 217, pixelViewBox: true };
+
+// Run a runtime's source and hand back its generateBorderLayers
+function loadRuntime(source) {
+  const context = vm.createContext({});
+  vm.runInContext(`${source}\nthis.generateBorderLayers = generateBorderLayers;`, context);
+  return context.generateBorderLayers;
+}
+
+function getReactRuntime(options) {
+  const component = WigglyBorder.generateReactComponent({ ...options, responsive: true });
+  const start = component.indexOf("// Wiggly border runtime");
+  return component.slice(component.indexOf("\n", start), component.indexOf("const WIGGLY_OPTIONS"));
+}
+
+test("the SVG runtime redraws exactly what the library does", () => {
+  for (const options of OPTION_SETS) {
+    const svg = WigglyBorder.generateSvgString({ ...options, responsive: true });
+    const runtime = svg.match(/<script>\n\(function \(\) \{\n([\s\S]*?)\n\n\/\/ The runtime/)[1];
+    const resized = { ...options, ...RESIZED };
+
+    assert.equal(
+      JSON.stringify(loadRuntime(runtime)(resized)),
+      JSON.stringify(WigglyBorder.generateBorderLayers(resized)),
+      JSON.stringify(options),
+    );
+  }
+});
+
+test("the runtime only carries the functions its options use", () => {
+  const plain = WigglyBorder.generateSvgString({ responsive: true });
+  const custom = WigglyBorder.generateSvgString({ responsive: true, shape: "path", path: "M0 0 H10 V10 Z", compactPaths: true });
+
+  assert.doesNotMatch(plain, /function parsePathData|function formatPathData|function getSafeArea/);
+  assert.match(custom, /function parsePathData/);
+  assert.match(custom, /function formatPathData/);
+});
+
+test("the React runtime compiles under strict TypeScript", () => {
+  // One program for every option set, each runtime in a module of its own
+  const files = new Map(OPTION_SETS.map((options, i) => [`runtime${i}.ts`, `${getReactRuntime(options)}\nexport {};\n`]));
+  const compilerOptions = { strict: true, noEmit: true, target: ts.ScriptTarget.ES2022, lib: ["lib.es2022.d.ts"], types: [] };
+  const host = ts.createCompilerHost(compilerOptions);
+  const getSourceFile = host.getSourceFile;
+  host.getSourceFile = (name, ...rest) =>
+    files.has(name) ? ts.createSourceFile(name, files.get(name), ts.ScriptTarget.ES2022) : getSourceFile(name, ...rest);
+
+  const program = ts.createProgram([...files.keys()], compilerOptions, host);
+  const diagnostics = ts
+    .getPreEmitDiagnostics(program)
+    .map((diagnostic) => `${diagnostic.file?.fileName}: ${ts.flattenDiagnosticMessageText(diagnostic.messageText, "\n")}`);
+  assert.deepEqual(diagnostics, []);
+});
+
+test("the React runtime redraws exactly what the library does", () => {
+  for (const options of OPTION_SETS) {
+    const { outputText } = ts.transpileModule(getReactRuntime(options), { compilerOptions: { target: ts.ScriptTarget.ES2022 } });
+    const resized = { ...options, ...RESIZED };
+
+    assert.equal(
+      JSON.stringify(loadRuntime(outputText)(resized)),
+      JSON.stringify(WigglyBorder.generateBorderLayers(resized)),
+      JSON.stringify(options),
+    );
+  }
+});
@@ -0,0 +1,69 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const WigglyBorder = require("../wiggly-border.js");
+
+const contains = (outer, inner) =>
+  inner.x >= outer.x - 1e-9 &&
+  inner.y >= outer.y - 1e-9 &&
+  inner.x + inner.width <= outer.x + outer.width + 1e-9 &&
+  inner.y + inner.height <= outer.y + outer.height + 1e-9;
+
+test("the safe area is only found when asked for", () => {
+  assert.equal(WigglyBorder.generateWigglyPath({}).safeArea, undefined);
+  assert.equal(WigglyBorder.generateBorderLayers({}).safeArea, undefined);
+  assert.ok(WigglyBorder.generateWigglyPath({ safeArea: true }).safeArea);
+});
+
+test("the safe area keeps clear of every waved point and the stroke", () => {
+  for (const options of [{}, { waveAmplitude: 12, waveStyle: "zigzag" }, { shape: "ellipse" }, { shape: "roundedRect", borderWidth: 8 }]) {
+    const { safeArea, contours } = WigglyBorder.generateWigglyPath({ ...options, safeArea: true });
+    const clearance = (options.borderWidth ?? 4) / 2 - 1e-9;
+
+    for (const { x, y } of contours[0].points) {
+      const inside =
+        x > safeArea.x - clearance &&
+        x < safeArea.x + safeArea.width + clearance &&
+        y > safeArea.y - clearance &&
+        y < safeArea.y + safeArea.height + clearance;
+      assert.ok(!inside, JSON.stringify(options));
+    }
+  }
+});
+
+test("bigger waves leave a smaller safe area", () => {
+  const gentle = WigglyBorder.generateWigglyPath({ waveAmplitude: 2, safeArea: true }).safeArea;
+  const wild = WigglyBorder.generateWigglyPath({ waveAmplitude: 16, safeArea: true }).safeArea;
+
+  assert.ok(wild.width * wild.height < gentle.width * gentle.height);
+});
+
+test("an animated border's safe area fits every frame", () => {
+  const still = WigglyBorder.generateWigglyPath({ safeArea: true }).safeArea;
+  const layers = WigglyBorder.generateBorderLayers({ animate: true, frames: 4, safeArea: true });
+
+  assert.ok(contains(still, layers.safeArea));
+});
+
+test("lines have no safe area", () => {
+  assert.equal(WigglyBorder.generateBorderLayers({ lineShape: "straight", safeArea: true }).safeArea, undefined);
+});
+
+test("content padding reaches the safe area, scaled to the target size", () => {
+  const options = { targetWidth: 320, targetHeight: 200, waveAmplitude: 10, contentPadding: 8 };
+  const layers = WigglyBorder.generateBorderLayers({ ...options, safeArea: true });
+  const { safeArea, viewBoxWidth, viewBoxHeight } = layers;
+  const padding = WigglyBorder.getContentPadding(layers, options);
+
+  assert.equal(padding.top, Math.ceil((safeArea.y * 200) / viewBoxHeight + 8));
+  assert.equal(padding.left, Math.ceil((safeArea.x * 320) / viewBoxWidth + 8));
+  assert.equal(padding.right, Math.ceil(((viewBoxWidth - safeArea.x - safeArea.width) * 320) / viewBoxWidth + 8));
+  assert.equal(padding.bottom, Math.ceil(((viewBoxHeight - safeArea.y - safeArea.height) * 200) / viewBoxHeight + 8));
+  for (const value of Object.values(padding)) assert.ok(Number.isInteger(value));
+});
+
+test("without a safe area the content just gets the content padding", () => {
+  const layers = WigglyBorder.generateBorderLayers({ lineShape: "straight" });
+
+  assert.deepEqual(WigglyBorder.getContentPadding(layers), { top: 16, right: 16, bottom: 16, left: 16 });
+  assert.deepEqual(WigglyBorder.getContentPadding(layers, { contentPadding: 4 }), { top: 4, right: 4, bottom: 4, left: 4 });
+});
@@ -0,0 +1,36 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const WigglyBorder = require("../wiggly-border.js");
+
+test("the same seed draws the same border", () => {
+  const options = { seed: "card-1", targetWidth: 320, targetHeight: 200 };
+
+  assert.deepEqual(WigglyBorder.generateWigglyPath(options), WigglyBorder.generateWigglyPath(options));
+  assert.equal(WigglyBorder.generateSvgString(options), WigglyBorder.generateSvgString(options));
+  assert.equal(WigglyBorder.generateReactComponent(options), WigglyBorder.generateReactComponent(options));
+});
+
+test("borders don't depend on what was drawn before them", () => {
+  const first = WigglyBorder.generateWigglyPath({ seed: "card-1" }).pathData;
+  WigglyBorder.generateWigglyPath({ seed: "something else" });
+
+  assert.equal(WigglyBorder.generateWigglyPath({ seed: "card-1" }).pathData, first);
+});
+
+test("different seeds draw different borders", () => {
+  const paths = ["card-1", "card-2", 7, 8].map((seed) => WigglyBorder.generateWigglyPath({ seed }).pathData);
+
+  assert.equal(new Set(paths).size, paths.length);
+});
+
+test("without a seed the border is still reproducible", () => {
+  assert.equal(WigglyBorder.generateWigglyPath().pathData, WigglyBorder.generateWigglyPath().pathData);
+});
+
+test("the seed changes the wobble but not the size", () => {
+  const first = WigglyBorder.generateWigglyPath({ seed: "card-1", targetWidth: 320, targetHeight: 200 });
+  const second = WigglyBorder.generateWigglyPath({ seed: "card-2", targetWidth: 320, targetHeight: 200 });
+
+  assert.equal(first.viewBoxWidth, second.viewBoxWidth);
+  assert.equal(first.viewBoxHeight, second.viewBoxHeight);
+});
@@ -0,0 +1,59 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const WigglyBorder = require("../wiggly-border.js");
+
+// The outline's extent before the waves are added
+function getBounds(options) {
+  const points = WigglyBorder.generateWigglyPath(options).contours.flatMap((contour) => contour.points);
+  const xs = points.map((point) => point.base.x);
+  const ys = points.map((point) => point.base.y);
+  return { left: Math.min(...xs), right: Math.max(...xs), top: Math.min(...ys), bottom: Math.max(...ys) };
+}
+
+test("the outline is inset by the offset on the sides the shadow moves towards, and by the blur all round", () => {
+  const plain = getBounds({});
+  const shadowed = getBounds({ shadow: true, shadowOffsetX: -5, shadowOffsetY: 6, shadowBlur: 2 });
+
+  assert.ok(Math.abs(shadowed.left - (plain.left + 5 + 6)) < 1e-9);
+  assert.ok(Math.abs(shadowed.bottom - (plain.bottom - 6 - 6)) < 1e-9);
+  assert.ok(Math.abs(shadowed.right - (plain.right - 6)) < 1e-9);
+  assert.ok(Math.abs(shadowed.top - (plain.top + 6)) < 1e-9);
+});
+
+test("the shadow casts the border's outline unless it is fresh", () => {
+  const same = WigglyBorder.generateBorderLayers({ shadow: true });
+  const fresh = WigglyBorder.generateBorderLayers({ shadow: true, shadowOutline: "fresh" });
+
+  assert.deepEqual(same.shadow, same.fill);
+  assert.equal(fresh.shadow.length, fresh.fill.length);
+  assert.notEqual(fresh.shadow[0], fresh.fill[0]);
+  assert.equal(WigglyBorder.generateBorderLayers({}).shadow, undefined);
+});
+
+test("the shadow is drawn offset, blurred and behind the border", () => {
+  const options = { shadow: true, shadowOffsetX: -4, shadowBlur: 2, shadowColor: "#E0A33B" };
+  const svg = WigglyBorder.generateSvgString(options);
+  const id = svg.match(/<filter id="([^"]+)"/)[1];
+
+  assert.match(svg, /<feGaussianBlur stdDeviation="2" \/>/);
+  assert.match(
+    svg,
+    new RegExp(`class="wiggly-shadow"[^>]*fill="#E0A33B"[^>]*filter="url\\(#${id}\\)"[^>]*transform="translate\\(-4 6\\)"`),
+  );
+  assert.ok(svg.indexOf('class="wiggly-shadow"') < svg.indexOf('class="wiggly-fill"'));
+  assert.doesNotMatch(WigglyBorder.generateSvgString({ shadow: true }), /<filter/);
+
+  assert.deepEqual(WigglyBorder.generatePaints({ shadow: true, shadowOffsetX: 4 }).shadow.transform, "translate(4 6)");
+  assert.equal(WigglyBorder.generatePaints({}).shadow, null);
+});
+
+test("every component draws the shadow", () => {
+  const options = { shadow: true, shadowOffsetX: -4, shadowBlur: 2 };
+
+  for (const name of ["generateReactComponent", "generateVueComponent", "generateSvelteComponent", "generateWebComponent"]) {
+    const code = WigglyBorder[name](options);
+
+    assert.match(code, /<feGaussianBlur stdDeviation="2" \/>/, name);
+    assert.match(code, /translate\(-4 6\)/, name);
+  }
+});
@@ -0,0 +1,75 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const WigglyBorder = require("../wiggly-border.js");
+
+// The outline each point was pushed off, before the waves
+function getBasePoints(options) {
+  const { contours } = WigglyBorder.generateWigglyPath({ targetWidth: 300, targetHeight: 200, ...options });
+  assert.equal(contours.length, 1);
+  return contours[0].points;
+}
+
+function getExtents(points) {
+  const xs = points.map(({ base }) => base.x);
+  const ys = points.map(({ base }) => base.y);
+  return { left: Math.min(...xs), top: Math.min(...ys), right: Math.max(...xs), bottom: Math.max(...ys) };
+}
+
+test("each shape is split into its own edges", () => {
+  const edgeNames = (shape, options) => [...new Set(getBasePoints({ shape, ...options }).map(({ edge }) => edge))];
+
+  assert.deepEqual(edgeNames("rect"), ["top", "right", "bottom", "left"]);
+  assert.deepEqual(edgeNames("roundedRect", { cornerRadius: 30 }), [
+    "top",
+    "topRight",
+    "right",
+    "bottomRight",
+    "bottom",
+    "bottomLeft",
+    "left",
+    "topLeft",
+  ]);
+  assert.deepEqual(edgeNames("ellipse"), ["topRight", "bottomRight", "bottomLeft", "topLeft"]);
+  assert.deepEqual(edgeNames("polygon", { sides: 6 }), ["side1", "side2", "side3", "side4", "side5", "side6"]);
+});
+
+test("rectangles reach their corners and rounded rectangles don't", () => {
+  const reachesCorner = (points) => {
+    const { left, top } = getExtents(points);
+    return points.some(({ base }) => base.x === left && base.y === top);
+  };
+
+  assert.equal(reachesCorner(getBasePoints({ shape: "rect" })), true);
+  assert.equal(reachesCorner(getBasePoints({ shape: "roundedRect", cornerRadius: 30 })), false);
+});
+
+test("ellipse points lie on the ellipse that fills the box", () => {
+  // The arc is sampled as short chords, so points can sit just inside it
+  const points = getBasePoints({ shape: "ellipse" });
+  const { left, top, right, bottom } = getExtents(points);
+  const [cx, cy, rx, ry] = [(left + right) / 2, (top + bottom) / 2, (right - left) / 2, (bottom - top) / 2];
+
+  for (const { base } of points) {
+    assert.ok(Math.abs(((base.x - cx) / rx) ** 2 + ((base.y - cy) / ry) ** 2 - 1) < 0.01);
+  }
+});
+
+test("pill ends are half circles as tall as the box", () => {
+  const points = getBasePoints({ shape: "pill" });
+  const { left, top, bottom } = getExtents(points);
+  const leftmost = points.find(({ base }) => base.x === left).base;
+
+  assert.ok(Math.abs(leftmost.y - (top + bottom) / 2) < 1e-9);
+});
+
+test("polygons start at the top and round their side count", () => {
+  const points = getBasePoints({ shape: "polygon", sides: 4.6 });
+  const { top } = getExtents(points);
+
+  assert.equal(new Set(points.map(({ edge }) => edge)).size, 5);
+  assert.equal(points[0].base.y, top);
+});
+
+test("unknown shapes are reported", () => {
+  assert.throws(() => WigglyBorder.generateWigglyPath({ shape: "blob" }), /Unknown shape "blob"/);
+});
@@ -0,0 +1,57 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const WigglyBorder = require("../wiggly-border.js");
+
+test("the first pass is the clean line and the rest are lighter and thinner", () => {
+  const layers = WigglyBorder.generateBorderLayers({ strokes: 3, borderWidth: 5 });
+
+  assert.deepEqual(
+    layers.strokes.map(({ width, opacity }) => ({ width, opacity })),
+    [
+      { width: 5, opacity: 1 },
+      { width: 3, opacity: 0.7 },
+      { width: 3, opacity: 0.7 },
+    ],
+  );
+  assert.equal(layers.strokes[0].frames[0], layers.fill[0]);
+});
+
+test("passes after the first wander off the line, each its own way", () => {
+  const [clean, second, third] = WigglyBorder.generateBorderLayers({ strokes: 3 }).strokes.map(({ frames }) => frames[0]);
+
+  assert.equal(new Set([clean, second, third]).size, 3);
+});
+
+test("without jitter every pass follows the line", () => {
+  const layers = WigglyBorder.generateBorderLayers({ strokes: 2, strokeJitter: 0 });
+
+  assert.equal(layers.strokes[1].frames[0], layers.fill[0]);
+});
+
+test("overshooting passes are left open while the fill stays closed", () => {
+  const layers = WigglyBorder.generateBorderLayers({ strokes: 2, strokeOvershoot: 10 });
+
+  assert.match(layers.fill[0], /Z\s*$/);
+  for (const stroke of layers.strokes) {
+    assert.doesNotMatch(stroke.frames[0], /Z/);
+  }
+});
+
+test("passes can be listed one by one, taking the defaults for what they leave out", () => {
+  const layers = WigglyBorder.generateBorderLayers({ strokes: [{}, { jitter: 3, width: 1.5, opacity: 0.5 }], borderWidth: 4 });
+
+  assert.deepEqual(
+    layers.strokes.map(({ width, opacity }) => ({ width, opacity })),
+    [
+      { width: 4, opacity: 1 },
+      { width: 1.5, opacity: 0.5 },
+    ],
+  );
+});
+
+test("the SVG draws every pass", () => {
+  const svg = WigglyBorder.generateSvgString({ strokes: 3 });
+
+  assert.equal(svg.match(/class="wiggly-stroke"/g).length, 3);
+  assert.equal(svg.match(/stroke-opacity="0\.7"/g).length, 2);
+});
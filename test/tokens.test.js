@@ -0,0 +1,66 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const WigglyBorder = require("../wiggly-border.js");
+
+const COMPONENTS = ["generateReactComponent", "generateVueComponent", "generateSvelteComponent", "generateWebComponent"];
+const DARK = { colorTokens: "variables", darkColors: { backgroundColor: "#2B2620", borderColor: "#E8C27A" } };
+
+test("variables read every color from a custom property, with the color as fallback", () => {
+  const svg = WigglyBorder.generateSvgString({ colorTokens: "variables", borderColor: "#112233", fillStyle: "linear", shadow: true });
+
+  assert.match(svg, /stroke="var\(--wiggly-border, #112233\)"/);
+  assert.match(svg, /stop-color="var\(--wiggly-fill, #FFF8EA\)"/);
+  assert.match(svg, /stop-color="var\(--wiggly-fill-accent, #F2DDB3\)"/);
+  assert.match(svg, /class="wiggly-shadow"[^>]*fill="var\(--wiggly-shadow, #E0A33B\)"/);
+});
+
+test("currentColor draws only the border in the text color", () => {
+  const svg = WigglyBorder.generateSvgString({ colorTokens: "currentColor", backgroundColor: "#ABCDEF" });
+
+  assert.match(svg, /stroke="currentColor"/);
+  assert.match(svg, /fill="#ABCDEF"/);
+});
+
+test("every component takes the tokens as its default colors", () => {
+  for (const name of COMPONENTS) {
+    const variables = WigglyBorder[name]({ colorTokens: "variables" });
+    assert.match(variables, /"var\(--wiggly-fill, #FFF8EA\)"/, name);
+    assert.match(variables, /"var\(--wiggly-border, #815A0E\)"/, name);
+    assert.doesNotMatch(variables, /"#815A0E"/, name);
+
+    assert.match(WigglyBorder[name]({ colorTokens: "currentColor" }), /"currentColor"/, name);
+  }
+});
+
+test("a gradient's colors follow the tokens in every component", () => {
+  for (const name of COMPONENTS) {
+    assert.match(WigglyBorder[name]({ colorTokens: "variables", fillStyle: "linear" }), /var\(--wiggly-fill-accent, #F2DDB3\)/, name);
+  }
+});
+
+test("the dark palette sets the custom properties in a dark color scheme", () => {
+  const rules = (root) =>
+    new RegExp(`@media \\(prefers-color-scheme: dark\\) \\{\\s*${root} \\{\\s*--wiggly-fill: #2B2620;\\s*--wiggly-border: #E8C27A;\\s*\\}`);
+
+  assert.match(WigglyBorder.generateSvgString(DARK), rules(":where\\(:root\\)"));
+  assert.match(WigglyBorder.generateReactComponent(DARK), rules(":where\\(:root\\)"));
+  assert.match(WigglyBorder.generateVueComponent(DARK), rules(":global\\(:where\\(:root\\)\\)"));
+  assert.match(WigglyBorder.generateSvelteComponent(DARK), rules(":global\\(:where\\(:root\\)\\)"));
+  assert.match(WigglyBorder.generateWebComponent(DARK), rules(":host"));
+});
+
+test("the dark palette only comes with variables", () => {
+  for (const name of ["generateSvgString", ...COMPONENTS]) {
+    assert.doesNotMatch(WigglyBorder[name]({ ...DARK, colorTokens: "literal" }), /prefers-color-scheme/, name);
+    assert.doesNotMatch(WigglyBorder[name]({ colorTokens: "variables" }), /prefers-color-scheme/, name);
+  }
+});
+
+test("the CSS images keep their fallbacks and follow the dark palette, and the mask stays black", () => {
+  const css = WigglyBorder.generateCss(DARK);
+  const [background, mask] = [...css.matchAll(/data:image\/svg\+xml,([^"]*)/g)].map(([, svg]) => decodeURIComponent(svg));
+
+  assert.match(background, /fill='var\(--wiggly-fill, #FFF8EA\)'/);
+  assert.match(background, /prefers-color-scheme: dark/);
+  assert.doesNotMatch(mask, /var\(/);
+});
@@ -0,0 +1,37 @@
+// Type-checked by `npm run typecheck`, never run: the declarations have to
+// accept the documented usage and reject obvious mistakes.
+
+import WigglyBorder, {
+  generateBorderLayers,
+  generateSvgString,
+  readExportOptions,
+  type SvgOptions,
+  type WigglyPath,
+} from "../wiggly-border.mjs";
+
+const options: SvgOptions = {
+  seed: "card-1",
+  shape: "roundedRect",
+  waveStyle: "scallop",
+  safeArea: true,
+  precision: 1,
+  compactPaths: true,
+};
+
+const svg: string = generateSvgString(options);
+const imported: SvgOptions = readExportOptions(svg);
+const path: WigglyPath = WigglyBorder.generateWigglyPath({ ...imported, edges: { top: { wiggle: false } } });
+const layers = generateBorderLayers({ animate: true, frames: 3, pixelViewBox: true });
+const frames: string[] = layers.fill;
+
+const tsx: string = WigglyBorder.generateReactComponent({ styling: "css", responsive: true });
+const vue: string = WigglyBorder.generateVueComponent({ colorTokens: "variables", darkColors: { borderColor: "#E8C27A" } });
+const css: string = WigglyBorder.generateCss({ className: "card-border", colorTokens: "variables" });
+
+// @ts-expect-error Unknown wave style
+generateSvgString({ waveStyle: "wobbly" });
+
+// @ts-expect-error CSS borders can't regenerate at their rendered size
+WigglyBorder.generateCss({ responsive: true });
+
+export { path, frames, tsx, vue, css };
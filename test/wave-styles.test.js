@@ -0,0 +1,55 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const WigglyBorder = require("../wiggly-border.js");
+
+const draw = (waveStyle, options) => WigglyBorder.generateWigglyPath({ seed: "waves", waveAmplitude: 6, waveStyle, ...options });
+const commands = (d) => new Set(d.replace(/[^A-Za-z]/g, ""));
+
+// The waved points of the top edge, without its fixed ends
+function getTopPoints(waveStyle) {
+  const points = draw(waveStyle).contours[0].points.filter(({ edge }) => edge === "top");
+  return points.slice(1, -1);
+}
+
+test("each style joins its points its own way", () => {
+  assert.deepEqual(commands(draw("sine").pathData), new Set(["M", "C", "Z"]));
+  assert.deepEqual(commands(draw("scallop").pathData), new Set(["M", "A", "Z"]));
+  for (const waveStyle of ["zigzag", "square", "ragged"]) {
+    assert.deepEqual(commands(draw(waveStyle).pathData), new Set(["M", "L", "Z"]), waveStyle);
+  }
+});
+
+test("zigzag points alternate sides of the edge", () => {
+  const sides = getTopPoints("zigzag").map(({ y, base }) => Math.sign(y - base.y));
+
+  assert.ok(sides.length > 4);
+  sides.slice(1).forEach((side, i) => assert.equal(side, -sides[i]));
+});
+
+test("square teeth are flat runs", () => {
+  const points = getTopPoints("square");
+
+  assert.equal(points.length % 2, 0);
+  for (let i = 0; i < points.length; i += 2) {
+    assert.equal(points[i].y, points[i + 1].y);
+  }
+});
+
+test("ragged edges have three times the points", () => {
+  const sine = draw("sine").contours[0].points.filter(({ edge }) => edge === "top").length - 1;
+  const ragged = draw("ragged").contours[0].points.filter(({ edge }) => edge === "top").length - 1;
+
+  assert.equal(ragged, sine * 3);
+});
+
+test("tension changes the curves but not the points", () => {
+  const loose = draw("sine", { tension: 1 });
+  const tight = draw("sine", { tension: 0 });
+
+  assert.notEqual(loose.pathData, tight.pathData);
+  assert.deepEqual(loose.contours, tight.contours);
+});
+
+test("unknown wave styles are reported", () => {
+  assert.throws(() => draw("wobbly"), /Unknown wave style "wobbly"/);
+});
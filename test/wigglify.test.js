@@ -0,0 +1,79 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const WigglyBorder = require("../wiggly-border.js");
+
+const BUBBLE = "M 10 10 H 190 V 120 H 80 L 50 160 L 56 120 H 10 Z";
+
+// Where each command of the path data ends
+function getEndPoints(d) {
+  return d
+    .split(/[MLCZ]/)
+    .map((segment) => segment.match(/-?[\d.]+(?:e[-+]?\d+)?/g))
+    .filter(Boolean)
+    .map((numbers) => ({ x: Number(numbers.at(-2)), y: Number(numbers.at(-1)) }));
+}
+
+test("sharp corners stay where they were", () => {
+  const points = getEndPoints(WigglyBorder.wigglifyPath(BUBBLE, { seed: "bubble", waveAmplitude: 6 }));
+  const corners = [
+    [10, 10],
+    [190, 10],
+    [190, 120],
+    [80, 120],
+    [50, 160],
+    [56, 120],
+    [10, 120],
+  ];
+
+  for (const [x, y] of corners) {
+    assert.ok(
+      points.some((point) => Math.abs(point.x - x) < 1e-9 && Math.abs(point.y - y) < 1e-9),
+      `${x} ${y}`,
+    );
+  }
+});
+
+test("without waves the path keeps its outline", () => {
+  const points = getEndPoints(WigglyBorder.wigglifyPath("M 10 10 H 190 V 120 H 10 Z", { waveAmplitude: 0 }));
+  const onOutline = ({ x, y }) =>
+    ((Math.abs(y - 10) < 1e-9 || Math.abs(y - 120) < 1e-9) && x >= 10 && x <= 190) ||
+    ((Math.abs(x - 10) < 1e-9 || Math.abs(x - 190) < 1e-9) && y >= 10 && y <= 120);
+
+  assert.ok(points.length > 4);
+  assert.ok(points.every(onOutline));
+});
+
+test("the wobble moves points off the original outline", () => {
+  const d = WigglyBorder.wigglifyPath("M 0 0 L 200 0", { waveAmplitude: 4 });
+
+  assert.ok(getEndPoints(d).some(({ y }) => Math.abs(y) > 0.5));
+  assert.ok(getEndPoints(d).every(({ y }) => Math.abs(y) <= 4 + 1e-9));
+});
+
+test("open and closed subpaths keep their kind", () => {
+  const d = WigglyBorder.wigglifyPath("M 0 0 L 100 0 M 0 50 H 100 V 100 H 0 Z");
+
+  assert.equal(d.match(/M/g).length, 2);
+  assert.equal(d.match(/Z/g).length, 1);
+  assert.ok(d.trimEnd().endsWith("Z"));
+});
+
+test("the same seed wiggles a path the same way", () => {
+  assert.equal(WigglyBorder.wigglifyPath(BUBBLE, { seed: "a" }), WigglyBorder.wigglifyPath(BUBBLE, { seed: "a" }));
+  assert.notEqual(WigglyBorder.wigglifyPath(BUBBLE, { seed: "a" }), WigglyBorder.wigglifyPath(BUBBLE, { seed: "b" }));
+});
+
+test("path data that can't be read is reported", () => {
+  assert.throws(() => WigglyBorder.wigglifyPath("hello"), /Invalid path data/);
+});
+
+test("a custom path is stretched to fill the box like the built-in shapes", () => {
+  const extents = (options) => {
+    const { contours } = WigglyBorder.generateWigglyPath({ targetWidth: 300, targetHeight: 200, ...options });
+    const xs = contours[0].points.map(({ base }) => base.x);
+    const ys = contours[0].points.map(({ base }) => base.y);
+    return [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+  };
+
+  assert.deepEqual(extents({ shape: "path", path: BUBBLE }), extents({ shape: "rect" }));
+});
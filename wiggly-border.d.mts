@@ -0,0 +1,4 @@
+import WigglyBorder from "./wiggly-border.js";
+
+export * from "./wiggly-border.js";
+export default WigglyBorder;
@@ -0,0 +1,341 @@
+/**
+ * Type definitions for the wiggly border generator.
+ */
+
+export type Shape = "rect" | "roundedRect" | "pill" | "ellipse" | "polygon" | "path";
+
+export type WaveStyle = "sine" | "zigzag" | "scallop" | "square" | "ragged";
+
+export type LineShape = "straight" | "arc" | "loop";
+
+export type FillStyle = "solid" | "linear" | "radial" | "dots" | "hatch" | "grain";
+
+export type CornerName = "topLeft" | "topRight" | "bottomRight" | "bottomLeft";
+
+export type Seed = string | number;
+
+/** Overrides for a single edge of the border. */
+export interface EdgeOptions {
+  waveAmplitude?: number;
+  waveSegmentSize?: number;
+  seed?: Seed;
+  /** Set to false to draw the edge straight. */
+  wiggle?: boolean;
+}
+
+/** One pen pass of a sketchy stroke. */
+export interface StrokePass {
+  seed?: Seed;
+  jitter?: number;
+  opacity?: number;
+  width?: number;
+  overshoot?: number;
+}
+
+/** A hand-made move of one wave point, in viewBox units. */
+export interface PointOffset {
+  /** Index of the contour, for paths with several. Default 0. */
+  contour?: number;
+  /** Name of the edge the point is on, as in Point.edge. */
+  edge: string;
+  /** How far along the edge the point belongs, 0 to 1; the nearest point is moved. */
+  at: number;
+  dx?: number;
+  dy?: number;
+  /** Move the point from its spot on the unwaved edge, so the wave no longer moves it. */
+  pinned?: boolean;
+}
+
+/** A speech-bubble tail, folder tab or notch woven into one straight edge of the outline. */
+export interface Attachment {
+  type: "tail" | "tab" | "notch";
+  /** Edge to attach to. Default "bottom". */
+  edge?: "top" | "right" | "bottom" | "left";
+  /** Place of the middle along the edge, 0 to 1, left to right or top to bottom. Default 0.5. */
+  position?: number;
+  /** Width where it meets the edge, in viewBox units. Default 32. */
+  width?: number;
+  /** How far it reaches out, or in for a notch, in viewBox units. Default 24. */
+  depth?: number;
+  /** How far the point of a tail or notch moves along the edge, in viewBox units. Default 0. */
+  lean?: number;
+}
+
+export interface WigglyPathOptions {
+  /** How far waves extend from the edge. Default 4. */
+  waveAmplitude?: number;
+  /** Distance between wave points. Default 25. */
+  waveSegmentSize?: number;
+  /** Stroke width, which also sets the inset. Default 4. */
+  borderWidth?: number;
+  /** Display width in pixels. Default 400. */
+  targetWidth?: number;
+  /** Display height in pixels. Default 300. */
+  targetHeight?: number;
+  /** The same seed always gives the same border. Default "wiggly". */
+  seed?: Seed;
+  shape?: Shape;
+  /** Corner radius for "roundedRect". Default 24. */
+  cornerRadius?: number;
+  /** Per-corner radius for "rect" and "roundedRect". */
+  corners?: Partial<Record<CornerName, number>>;
+  /** Per-edge overrides keyed by edge name: "top", "right", "bottom" or "left". */
+  edges?: Record<string, EdgeOptions>;
+  /** Number of sides for "polygon". Default 6. */
+  sides?: number;
+  /** SVG path data for "path". */
+  path?: string;
+  waveStyle?: WaveStyle;
+  /** Curve tightness for "sine" waves, 0 to 1. Default 0.5. */
+  tension?: number;
+  /** Use the target size as the viewBox, so sizes are in CSS pixels. */
+  pixelViewBox?: boolean;
+  /** Number of pen passes, or a list of passes. Default 1. */
+  strokes?: number | StrokePass[];
+  /** How far passes after the first drift off the line. Default 1.5. */
+  strokeJitter?: number;
+  /** How far each pass runs past its start; negative leaves a gap. Default 0. */
+  strokeOvershoot?: number;
+  /** Add an offset shadow behind the border; the outline is inset to make room for it. */
+  shadow?: boolean;
+  /** How far right the shadow sits, in viewBox units; negative moves it left. Default 6. */
+  shadowOffsetX?: number;
+  /** How far down the shadow sits, in viewBox units; negative moves it up. Default 6. */
+  shadowOffsetY?: number;
+  /** Blur radius (standard deviation) in viewBox units. Default 0, a crisp edge. */
+  shadowBlur?: number;
+  /** "same" casts the border's own outline; "fresh" gives the shadow its own wobble. Default "same". */
+  shadowOutline?: "same" | "fresh";
+  /** Decimal places to keep in the path data. Default: full precision. */
+  precision?: number;
+  /** Write the path data as short as it goes, with relative and shorthand commands. Default false. */
+  compactPaths?: boolean;
+  /** Hand-made moves of single points, which keep their place along the edge when resized. */
+  pointOffsets?: PointOffset[];
+  /** Tails, tabs and notches on the straight edges of "rect", "roundedRect" and "pill". */
+  attachments?: Attachment[];
+  /** Also find the safe area for content, which is slow enough to leave out when nothing needs it. Default false. */
+  safeArea?: boolean;
+}
+
+export interface WigglyLineOptions extends WigglyPathOptions {
+  /** Draw a line of this shape instead of a box border. */
+  lineShape?: LineShape;
+  /** How far an arc's middle dips below its ends, in pixels; negative arches it up. Default 8. */
+  arcHeight?: number;
+  /** "taper" eases the waves out at the ends, "wobble" lets the ends wander, "pinned" fixes them. Default "taper". */
+  lineEnds?: "taper" | "wobble" | "pinned";
+}
+
+export interface FrameOptions extends WigglyLineOptions {
+  /** Generate several frames for a "boiling line" animation. */
+  animate?: boolean;
+  /** Number of frames when animating. Default 4. */
+  frames?: number;
+}
+
+/** Gradient, pattern and line styles shared by every export. */
+export interface PaintOptions extends Pick<
+  WigglyLineOptions,
+  "borderWidth" | "shadow" | "shadowOffsetX" | "shadowOffsetY" | "shadowBlur" | "lineShape"
+> {
+  backgroundColor?: string;
+  borderColor?: string;
+  /** How the inside is filled. Default "solid". */
+  fillStyle?: FillStyle;
+  /** Gradient end, or the color of the pattern's marks. Default "#F2DDB3". */
+  backgroundAccentColor?: string;
+  /** Blend the border from borderColor to borderAccentColor. Default false. */
+  strokeGradient?: boolean;
+  /** Gradient end for the border. Default "#C9973A". */
+  borderAccentColor?: string;
+  /** Direction of linear gradients in degrees; 0 runs left to right, 90 top to bottom. Default 90. */
+  gradientAngle?: number;
+  /** SVG dash array, e.g. "12 8" for dashes. Default "" (a solid line). */
+  strokeDasharray?: string;
+  strokeLinecap?: "round" | "butt" | "square";
+  strokeLinejoin?: "round" | "miter" | "bevel";
+  /** Shadow color. Default "#E0A33B". */
+  shadowColor?: string;
+  /** Prefix for gradient and pattern IDs. Default: a hash of the options and a count of the exports made. */
+  defsId?: string;
+}
+
+export interface ExportOptions extends FrameOptions, PaintOptions {
+  /** Space between the safe area and the content, in CSS pixels. Default 16. */
+  contentPadding?: number;
+  /** Regenerate the path at the rendered size instead of stretching it. */
+  responsive?: boolean;
+  /** Frames per second when animating. Default 8. */
+  frameRate?: number;
+  /** Keep the options in the export, so the editor can import it again. Default true. */
+  metadata?: boolean;
+}
+
+/** Colors of the dark palette, keyed like the color options. */
+export type DarkColors = Pick<
+  PaintOptions,
+  "backgroundColor" | "borderColor" | "backgroundAccentColor" | "borderAccentColor" | "shadowColor"
+>;
+
+/**
+ * Colors that follow the page's theme, for every export. The CSS export's images can't see the page's
+ * custom properties or text color, so there only the dark palette switches the colors.
+ */
+export interface ThemeOptions {
+  /**
+   * "currentColor" draws the border in the surrounding text color; "variables" reads every color
+   * from a custom property such as `--wiggly-fill`, falling back to the color given. Default "literal".
+   */
+  colorTokens?: "literal" | "currentColor" | "variables";
+  /** Colors set in a `prefers-color-scheme: dark` block, when colorTokens is "variables". */
+  darkColors?: DarkColors;
+}
+
+export interface SvgOptions extends ExportOptions, ThemeOptions {
+  /** Draw in CSS pixels and give the SVG an intrinsic width and height. */
+  pixelSize?: boolean;
+}
+
+export interface ReactOptions extends ExportOptions, ThemeOptions {
+  /** "tailwind" for utility classes, or "css" for inline styles. Default "tailwind". */
+  styling?: "tailwind" | "css";
+}
+
+/** Options for the Vue, Svelte and Web Component exports. */
+export type ComponentOptions = ExportOptions & ThemeOptions;
+
+export interface CssOptions extends Omit<ExportOptions, "responsive">, ThemeOptions {
+  /** Base class name. Default "wiggly-border". */
+  className?: string;
+}
+
+export interface BatchOptions extends ExportOptions {
+  /** Prefix for the generated variant IDs. Default "wiggly". */
+  idPrefix?: string;
+}
+
+/** A list of option sets, or a grid whose array values are combined. */
+export type BatchVariants = Array<SvgOptions & { id?: string }> | { [K in keyof SvgOptions]?: SvgOptions[K] | Array<SvgOptions[K]> };
+
+export interface BatchItem {
+  id: string;
+  options: SvgOptions;
+  pathData: string;
+  viewBoxWidth: number;
+  viewBoxHeight: number;
+}
+
+export interface Paints {
+  /** Markup for the inside of a `<defs>` element; empty for solid paints. */
+  defs: string;
+  /** Value for the fill path's `fill` attribute. */
+  fill: string;
+  /** Value for the stroke paths' `stroke` attribute. */
+  stroke: string;
+  /** Attributes for the shadow path, or null without a shadow. */
+  shadow: Record<string, string> | null;
+}
+
+export interface WigglifyOptions {
+  waveAmplitude?: number;
+  waveSegmentSize?: number;
+  seed?: Seed;
+  waveStyle?: WaveStyle;
+  tension?: number;
+  precision?: number;
+  compactPaths?: boolean;
+}
+
+export interface Point {
+  x: number;
+  y: number;
+}
+
+/** A point of a generated contour. */
+export interface WavePoint extends Point {
+  /** Drawn with a straight line from the point before. */
+  straight?: boolean;
+  /** Name of the edge a waved point is on. */
+  edge?: string;
+  /** How far along its edge a waved point belongs, 0 to 1. */
+  at?: number;
+  /** The spot on the unwaved edge the point was pushed from. */
+  base?: Point;
+  /** Index of the pointOffsets entry that moved the point. */
+  offset?: number;
+}
+
+export interface Contour {
+  points: WavePoint[];
+  closed: boolean;
+}
+
+/** An axis-aligned box in viewBox units. */
+export interface Box {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+/** Padding in whole CSS pixels. */
+export interface Padding {
+  top: number;
+  right: number;
+  bottom: number;
+  left: number;
+}
+
+export interface WigglyPath {
+  pathData: string;
+  viewBoxWidth: number;
+  viewBoxHeight: number;
+  contours: Contour[];
+  /** With `safeArea`, the largest box inside the outline that clears the inward waves and the stroke, or null if none fits. */
+  safeArea?: Box | null;
+}
+
+export interface WigglyFrames {
+  frames: string[];
+  viewBoxWidth: number;
+  viewBoxHeight: number;
+}
+
+export interface StrokeLayer {
+  width: number;
+  opacity: number;
+  frames: string[];
+}
+
+export interface BorderLayers {
+  viewBoxWidth: number;
+  viewBoxHeight: number;
+  fill: string[];
+  strokes: StrokeLayer[];
+  /** Frames of the shadow path, when there is a shadow. */
+  shadow?: string[];
+  /** With `safeArea`, for borders, the safe area every frame leaves for content. */
+  safeArea?: Box | null;
+}
+
+export function generateWigglyPath(options?: WigglyPathOptions): WigglyPath;
+export function generateWigglyLine(options?: WigglyLineOptions): WigglyPath;
+export function generateWigglyFrames(options?: FrameOptions): WigglyFrames;
+export function generateBorderLayers(options?: FrameOptions): BorderLayers;
+export function getLayerFrames(layers: BorderLayers): string[][];
+export function getContentPadding(layers: BorderLayers, options?: ExportOptions): Padding;
+export function generateSvgString(options?: SvgOptions): string;
+export function generateReactComponent(options?: ReactOptions): string;
+export function generateVueComponent(options?: ComponentOptions): string;
+export function generateSvelteComponent(options?: ComponentOptions): string;
+export function generateWebComponent(options?: ComponentOptions): string;
+export function generateCss(options?: CssOptions): string;
+export function generateBatch(variants: BatchVariants, options?: BatchOptions): BatchItem[];
+export function generateSprite(batch: BatchItem[]): string;
+export function generateManifest(batch: BatchItem[]): string;
+export function generateBundle(batch: BatchItem[]): Uint8Array;
+export function generatePaints(options?: PaintOptions): Paints;
+export function readExportOptions(code: string): SvgOptions & ReactOptions & CssOptions;
+export function wigglifyPath(d: string, options?: WigglifyOptions): string;
+export function calculateViewBox(targetWidth: number, targetHeight: number): { width: number; height: number };
@@ -14,69 +14,242 @@
 // Base unit for viewBox calculations - we scale from this
 const BASE_VIEWBOX_SIZE = 400;
 
-// Each edge gets a unique seed for consistent but varied wave patterns
-const EDGE_SEEDS = {
-  top: 1.23,
-  right: 4.56,
-  bottom: 7.89,
-  left: 2.34,
+// Seed used when none is given, so output is stable between builds
+const DEFAULT_SEED = "wiggly";
+
+// How the points of each wave style are joined up
+const WAVE_STYLE_JOINS = {
+  sine: "smooth",
+  zigzag: "linear",
+  scallop: "arc",
+  square: "linear",
+  ragged: "linear",
 };
 
+/**
+ * Hash a seed (string or number) into a 32-bit unsigned integer.
+ *
+ * Uses FNV-1a over the string form, so `42` and `"42"` give the same result.
+ *
+ * @param {string|number} seed - Any seed value
+ * @returns {number} 32-bit unsigned hash
+ */
+function hashSeed(seed) {
+  const text = String(seed);
+  let hash = 2166136261;
+
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32).
+ *
+ * The same seed always produces the same sequence, which keeps generated
+ * borders reproducible between builds.
+ *
+ * @param {string|number} seed - Seed for the sequence
+ * @returns {function(): number} Function returning floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = hashSeed(seed);
+
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Create a one-dimensional gradient noise function.
+ *
+ * Random gradients are drawn from the given generator and blended with a
+ * quintic fade, giving smooth values that wander between roughly -1 and 1.
+ *
+ * @param {function(): number} random - Seeded random number generator
+ * @returns {function(number): number} Noise function of one variable
+ */
+function createNoise(random) {
+  const gradients = [];
+  for (let i = 0; i < 256; i++) {
+    gradients.push(random() * 2 - 1);
+  }
+
+  return function noise(x) {
+    const cell = Math.floor(x);
+    const t = x - cell;
+    const g0 = gradients[cell & 255];
+    const g1 = gradients[(cell + 1) & 255];
+    const fade = t * t * t * (t * (t * 6 - 15) + 10);
+
+    // Scale up so the output spans roughly -1 to 1
+    return (g0 * t + (g1 * (t - 1) - g0 * t) * fade) * 2;
+  };
+}
+
 /**
  * Calculate an organic wave offset for a point along an edge.
  *
- * Uses overlapping sine waves with different frequencies to create
- * natural-looking variation rather than uniform waves.
+ * Samples two octaves of seeded noise (a slow drift plus finer detail)
+ * to create natural-looking variation rather than uniform waves.
  *
  * @param {number} index - Position along the edge
  * @param {number} baseAmplitude - Maximum wave height
- * @param {number} seed - Unique seed for this edge
+ * @param {function(number): number} noise - Noise source for this edge
  * @returns {number} The offset distance from the edge
  */
-function getOrganicOffset(index, baseAmplitude, seed) {
-  const variation =
-    Math.sin(index * 1.7 + seed) * 0.3 + Math.sin(index * 2.3 + seed * 1.5) * 0.2 + Math.sin(index * 0.9 + seed * 0.7) * 0.25;
+function getOrganicOffset(index, baseAmplitude, noise) {
+  const variation = noise(index * 0.37) * 0.5 + noise(index * 0.91 + 31.7) * 0.25;
 
   return baseAmplitude * (0.5 + variation);
 }
 
+/**
+ * Measure the total length of a polyline.
+ *
+ * @param {Array<{x: number, y: number}>} points - Polyline vertices
+ * @returns {number} Length in viewBox units
+ */
+function getPolylineLength(points) {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+  }
+  return length;
+}
+
+/**
+ * Resample a polyline into evenly spaced points, each with the normal
+ * of the polyline at that spot.
+ *
+ * The normal is the tangent rotated a quarter turn counter-clockwise, which
+ * points outward for outlines that run clockwise on screen.
+ *
+ * @param {Array<{x: number, y: number}>} points - Polyline vertices
+ * @param {number} segments - Number of equal-length segments to produce
+ * @returns {Array<{x: number, y: number, nx: number, ny: number}>} segments + 1 samples
+ */
+function resamplePolyline(points, segments) {
+  const total = getPolylineLength(points);
+  const samples = [];
+  let index = 1;
+  let travelled = 0;
+
+  for (let i = 0; i <= segments; i++) {
+    const target = (total * i) / segments;
+
+    // Advance to the polyline segment that contains the target distance
+    while (
+      index < points.length - 1 &&
+      travelled + Math.hypot(points[index].x - points[index - 1].x, points[index].y - points[index - 1].y) < target
+    ) {
+      travelled += Math.hypot(points[index].x - points[index - 1].x, points[index].y - points[index - 1].y);
+      index++;
+    }
+
+    const a = points[index - 1];
+    const b = points[index];
+    const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+    const t = Math.min(1, Math.max(0, (target - travelled) / length));
+
+    samples.push({
+      x: a.x + (b.x - a.x) * t,
+      y: a.y + (b.y - a.y) * t,
+      nx: (b.y - a.y) / length,
+      ny: -(b.x - a.x) / length,
+    });
+  }
+
+  return samples;
+}
+
 /**
  * Generate points along a single edge with wave offsets applied.
  *
- * @param {number} startX - Starting X coordinate
- * @param {number} startY - Starting Y coordinate
- * @param {number} endX - Ending X coordinate
- * @param {number} endY - Ending Y coordinate
+ * The wave style decides where the points go:
+ * - "sine" and "zigzag" alternate points out and in (smoothed or straight)
+ * - "scallop" keeps points near the edge; each gap becomes an outward semicircle
+ * - "square" steps between outer and inner levels for crenellated teeth
+ * - "ragged" jitters many closely spaced points for a torn-paper look
+ *
+ * @param {Array<{x: number, y: number}>} edge - Polyline the edge follows
  * @param {number} segments - Number of segments to divide the edge into
  * @param {number} amplitude - Wave amplitude (how far waves extend)
- * @param {number} seed - Seed for organic variation
- * @param {Object} perpDirection - Unit vector perpendicular to the edge {x, y}
- * @returns {Array<{x: number, y: number}>} Array of points along the edge
+ * @param {function(number): number} noise - Noise source for organic variation
+ * @param {string} [waveStyle="sine"] - "sine", "zigzag", "scallop", "square" or "ragged"
+ * @param {string} [ends="pinned"] - "pinned" keeps the end points fixed, like corners; "taper" also
+ *   eases the waves in and out over the first and last quarter; "wobble" lets the ends wander too
+ * @returns {Array<{x: number, y: number, at: number, base: {x: number, y: number}}>} Points along the edge,
+ *   each with how far along the edge it belongs (0 to 1) and the spot on the edge it was pushed from
  */
-function generateEdgePoints(startX, startY, endX, endY, segments, amplitude, seed, perpDirection) {
-  const points = [];
-  const dx = (endX - startX) / segments;
-  const dy = (endY - startY) / segments;
+function generateEdgePoints(edge, segments, amplitude, noise, waveStyle = "sine", ends = "pinned") {
+  const offsetPoint = (sample, offset, at) => ({
+    x: sample.x + sample.nx * offset,
+    y: sample.y + sample.ny * offset,
+    at,
+    base: { x: sample.x, y: sample.y },
+  });
+  const pinned = ends !== "wobble";
 
-  for (let i = 0; i <= segments; i++) {
-    const baseX = startX + dx * i;
-    const baseY = startY + dy * i;
+  // How much of the wave is kept a fraction `t` of the way along the edge
+  const envelope = (t) => {
+    if (ends !== "taper") return 1;
+    const ramp = Math.min(1, Math.min(t, 1 - t) * 4);
+    return ramp * ramp * (3 - 2 * ramp);
+  };
 
-    // Keep corner points fixed, only wave the points in between
-    if (i === 0 || i === segments) {
-      points.push({ x: baseX, y: baseY });
-    } else {
-      const offset = getOrganicOffset(i, amplitude, seed);
-      const direction = i % 2 === 0 ? 1 : -1; // Alternate wave direction
+  if (waveStyle === "square") {
+    const samples = resamplePolyline(edge, segments);
+    const points = pinned ? [offsetPoint(samples[0], 0, 0)] : [];
 
-      points.push({
-        x: baseX + perpDirection.x * offset * direction,
-        y: baseY + perpDirection.y * offset * direction,
-      });
+    // Each segment is a flat run at its own level, alternating out and in.
+    // Its two corners share a place along the edge with the next run's, so
+    // they're told apart as belonging a quarter of the way in from each end
+    for (let i = 0; i < segments; i++) {
+      const level = getOrganicOffset(i + 1, amplitude, noise) * (i % 2 === 0 ? 1 : -1) * envelope((i + 0.5) / segments);
+      points.push(
+        offsetPoint(samples[i], level, (i + 0.25) / segments),
+        offsetPoint({ ...samples[i + 1], nx: samples[i].nx, ny: samples[i].ny }, level, (i + 0.75) / segments),
+      );
     }
+
+    if (pinned) points.push(offsetPoint(samples[segments], 0, 1));
+    return points;
   }
 
-  return points;
+  if (waveStyle === "ragged") {
+    // Three jittered points per segment, wandering both ways at once
+    const steps = segments * 3;
+    return resamplePolyline(edge, steps).map((sample, i) =>
+      offsetPoint(sample, pinned && (i === 0 || i === steps) ? 0 : amplitude * envelope(i / steps) * noise(i * 1.37), i / steps),
+    );
+  }
+
+  const samples = resamplePolyline(edge, segments);
+
+  return samples.map((sample, i) => {
+    // Keep corner points fixed, only wave the points in between
+    if (pinned && (i === 0 || i === segments)) {
+      return offsetPoint(sample, 0, i / segments);
+    }
+
+    // Scallop joints only drift a little; the arcs between them make the waves
+    if (waveStyle === "scallop") {
+      return offsetPoint(sample, (getOrganicOffset(i, amplitude, noise) - amplitude * 0.5) * envelope(i / segments), i / segments);
+    }
+
+    const offset = getOrganicOffset(i, amplitude, noise);
+    const direction = i % 2 === 0 ? 1 : -1; // Alternate wave direction
+
+    return offsetPoint(sample, offset * direction * envelope(i / segments), i / segments);
+  });
 }
 
 /**
@@ -85,22 +258,35 @@ function generateEdgePoints(startX, startY, endX, endY, segments, amplitude, see
  * Catmull-Rom splines pass through all control points and create smooth curves.
  * We convert them to cubic Bezier curves which SVG understands.
  *
- * @param {Array<{x: number, y: number}>} points - Points to connect
+ * @param {Array<{x: number, y: number, straight?: boolean}>} points - Points to connect; a point
+ *   marked `straight` is reached with a straight line instead of a curve
+ * @param {boolean} [closed=false] - Treat the points as a loop and curve back to the first one
+ * @param {number} [tension=0.5] - Controls curve tightness (0 = sharp, 1 = loose)
  * @returns {string} SVG path data string
  */
-function generateSmoothPath(points) {
+function generateSmoothPath(points, closed = false, tension = 0.5) {
   if (points.length < 2) return "";
 
-  const tension = 0.5; // Controls curve tightness (0 = sharp, 1 = loose)
+  const count = points.length;
   let path = `M ${points[0].x} ${points[0].y}`;
 
-  for (let i = 0; i < points.length - 1; i++) {
+  // Wrap around for closed loops, otherwise clamp to array bounds
+  const getPoint = (i) => (closed ? points[(i + count) % count] : points[Math.max(0, Math.min(count - 1, i))]);
+
+  for (let i = 0; i < (closed ? count : count - 1); i++) {
     // Get four points for Catmull-Rom calculation
-    // Clamp to array bounds for start and end segments
-    const p0 = points[Math.max(0, i - 1)];
-    const p1 = points[i];
-    const p2 = points[i + 1];
-    const p3 = points[Math.min(points.length - 1, i + 2)];
+    const p1 = getPoint(i);
+    const p2 = getPoint(i + 1);
+
+    // Next to a straight run, only take its direction from the far point,
+    // so the curve meets the line smoothly without overshooting
+    const chord = Math.hypot(p2.x - p1.x, p2.y - p1.y);
+    const toward = (from, to) => {
+      const length = Math.hypot(to.x - from.x, to.y - from.y) || 1;
+      return { x: from.x + ((to.x - from.x) * chord) / length, y: from.y + ((to.y - from.y) * chord) / length };
+    };
+    const p0 = p1.straight ? toward(p1, getPoint(i - 1)) : getPoint(i - 1);
+    const p3 = getPoint(i + 2).straight ? toward(p2, getPoint(i + 2)) : getPoint(i + 2);
 
     // Convert Catmull-Rom to Bezier control points
     const cp1x = p1.x + ((p2.x - p0.x) * tension) / 3;
@@ -108,12 +294,78 @@ function generateSmoothPath(points) {
     const cp2x = p2.x - ((p3.x - p1.x) * tension) / 3;
     const cp2y = p2.y - ((p3.y - p1.y) * tension) / 3;
 
-    path += ` C ${cp1x} ${cp1y}, ${cp2x} ${cp2y}, ${p2.x} ${p2.y}`;
+    // Edges that don't wiggle stay ruler-straight
+    path += p2.straight ? ` L ${p2.x} ${p2.y}` : ` C ${cp1x} ${cp1y}, ${cp2x} ${cp2y}, ${p2.x} ${p2.y}`;
+  }
+
+  return path;
+}
+
+/**
+ * Connect points with straight lines, for the sharp wave styles.
+ *
+ * @param {Array<{x: number, y: number}>} points - Points to connect
+ * @param {boolean} [closed=false] - Draw a line back to the first point
+ * @returns {string} SVG path data string
+ */
+function generateLinearPath(points, closed = false) {
+  if (points.length < 2) return "";
+
+  const loop = closed ? [...points, points[0]] : points;
+  return loop.map((point, i) => `${i === 0 ? "M" : "L"} ${point.x} ${point.y}`).join(" ");
+}
+
+/**
+ * Connect points with semicircular arcs that bulge outward, for the scallop style.
+ *
+ * Arcs sweep clockwise, which is outward for outlines drawn clockwise on screen.
+ *
+ * @param {Array<{x: number, y: number, straight?: boolean}>} points - Points to connect; a point
+ *   marked `straight` is reached with a straight line instead of an arc
+ * @param {boolean} [closed=false] - Arc back to the first point
+ * @returns {string} SVG path data string
+ */
+function generateScallopPath(points, closed = false) {
+  if (points.length < 2) return "";
+
+  const loop = closed ? [...points, points[0]] : points;
+  let path = `M ${loop[0].x} ${loop[0].y}`;
+
+  for (let i = 1; i < loop.length; i++) {
+    if (loop[i].straight) {
+      path += ` L ${loop[i].x} ${loop[i].y}`;
+      continue;
+    }
+
+    const radius = Math.hypot(loop[i].x - loop[i - 1].x, loop[i].y - loop[i - 1].y) / 2;
+    path += ` A ${radius} ${radius} 0 0 1 ${loop[i].x} ${loop[i].y}`;
   }
 
   return path;
 }
 
+/**
+ * Connect waved points the way their wave style calls for.
+ *
+ * @param {Array<{x: number, y: number}>} points - Points from generateEdgePoints
+ * @param {boolean} closed - Whether the points form a loop
+ * @param {string} waveStyle - Wave style the points were generated with
+ * @param {number} tension - Curve tightness for the smooth styles
+ * @returns {string} SVG path data string
+ */
+function generateStyledPath(points, closed, waveStyle, tension) {
+  switch (WAVE_STYLE_JOINS[waveStyle]) {
+    case "smooth":
+      return generateSmoothPath(points, closed, tension);
+    case "arc":
+      return generateScallopPath(points, closed);
+    case "linear":
+      return generateLinearPath(points, closed);
+    default:
+      throw new Error(`Unknown wave style "${waveStyle}"`);
+  }
+}
+
 /**
  * Calculate viewBox dimensions that match the target aspect ratio.
  *
@@ -140,251 +392,3607 @@ function calculateViewBox(targetWidth, targetHeight) {
 }
 
 /**
- * Calculate uniform segment counts based on edge lengths.
- * This ensures consistent wave density regardless of aspect ratio.
+ * Calculate a uniform segment count based on edge length.
+ * This ensures consistent wave density regardless of aspect ratio or shape.
  *
- * @param {number} horizontalLength - Length of horizontal edges
- * @param {number} verticalLength - Length of vertical edges
+ * @param {number} length - Length of the edge
  * @param {number} waveSegmentSize - Target size for each wave segment
- * @returns {{horizontal: number, vertical: number}} Segment counts
+ * @param {number} [minSegments=1] - Fewest segments the edge may have
+ * @returns {number} Segment count
+ */
+function calculateSegments(length, waveSegmentSize, minSegments = 1) {
+  return Math.max(minSegments, Math.round(length / waveSegmentSize));
+}
+
+/**
+ * Approximate an elliptical arc with a polyline.
+ *
+ * Angles are in radians and increase clockwise on screen (SVG's y axis points down).
+ *
+ * @param {number} cx - Centre X
+ * @param {number} cy - Centre Y
+ * @param {number} rx - Horizontal radius
+ * @param {number} ry - Vertical radius
+ * @param {number} startAngle - Angle to start at
+ * @param {number} endAngle - Angle to end at
+ * @returns {Array<{x: number, y: number}>} Points along the arc
  */
-function calculateSegments(horizontalLength, verticalLength, waveSegmentSize) {
-  // Calculate segments proportionally to edge length
-  const horizontalSegments = Math.max(4, Math.round(horizontalLength / waveSegmentSize));
-  const verticalSegments = Math.max(4, Math.round(verticalLength / waveSegmentSize));
+function getArcPoints(cx, cy, rx, ry, startAngle, endAngle) {
+  const steps = Math.max(2, Math.ceil(Math.abs(endAngle - startAngle) / (Math.PI / 32)));
+  const points = [];
 
-  return {
-    horizontal: horizontalSegments,
-    vertical: verticalSegments,
-  };
+  for (let i = 0; i <= steps; i++) {
+    const angle = startAngle + ((endAngle - startAngle) * i) / steps;
+    points.push({ x: cx + rx * Math.cos(angle), y: cy + ry * Math.sin(angle) });
+  }
+
+  return points;
 }
 
 /**
- * Generate the complete wiggly border path data.
+ * Build a rectangle with rounded corners as edges, going clockwise from top-left.
+ * Radii of 0 give the plain four-edge rectangle.
+ *
+ * @param {{left: number, top: number, right: number, bottom: number}} bounds - Rectangle bounds
+ * @param {{topLeft: number, topRight: number, bottomRight: number, bottomLeft: number}} radii - Radius of each corner
+ * @returns {Array<{name: string, points: Array<{x: number, y: number}>, minSegments: number}>} Edges
+ */
+function getRoundedRectEdges(bounds, radii) {
+  const { left, top, right, bottom } = bounds;
+  const clamp = (radius) => Math.max(0, Math.min(radius, (right - left) / 2, (bottom - top) / 2));
+  const tl = clamp(radii.topLeft);
+  const tr = clamp(radii.topRight);
+  const br = clamp(radii.bottomRight);
+  const bl = clamp(radii.bottomLeft);
+  const quarter = Math.PI / 2;
+
+  // Straight edges keep at least four waves, as the plain rectangle always has
+  const edges = [
+    {
+      name: "top",
+      points: [
+        { x: left + tl, y: top },
+        { x: right - tr, y: top },
+      ],
+      minSegments: 4,
+    },
+    { name: "topRight", points: getArcPoints(right - tr, top + tr, tr, tr, -quarter, 0), minSegments: 1 },
+    {
+      name: "right",
+      points: [
+        { x: right, y: top + tr },
+        { x: right, y: bottom - br },
+      ],
+      minSegments: 4,
+    },
+    { name: "bottomRight", points: getArcPoints(right - br, bottom - br, br, br, 0, quarter), minSegments: 1 },
+    {
+      name: "bottom",
+      points: [
+        { x: right - br, y: bottom },
+        { x: left + bl, y: bottom },
+      ],
+      minSegments: 4,
+    },
+    { name: "bottomLeft", points: getArcPoints(left + bl, bottom - bl, bl, bl, quarter, 2 * quarter), minSegments: 1 },
+    {
+      name: "left",
+      points: [
+        { x: left, y: bottom - bl },
+        { x: left, y: top + tl },
+      ],
+      minSegments: 4,
+    },
+    { name: "topLeft", points: getArcPoints(left + tl, top + tl, tl, tl, 2 * quarter, 3 * quarter), minSegments: 1 },
+  ];
+
+  // Drop corners with no radius and the straight runs a pill doesn't have
+  return edges.filter((edge) => getPolylineLength(edge.points) > 0.001);
+}
+
+/**
+ * Build the outline of a shape as edges, going clockwise.
+ *
+ * Each edge is a polyline. Neighbouring edges share their end points, and those
+ * stay fixed when waves are applied so corners and joins line up.
  *
+ * @param {string} shape - One of "rect", "roundedRect", "pill", "ellipse" or "polygon"
+ * @param {{left: number, top: number, right: number, bottom: number}} bounds - Box the shape fills
  * @param {Object} options
- * @param {number} [options.waveAmplitude=4] - How far waves extend from the edge
- * @param {number} [options.waveSegmentSize=25] - Distance between wave points
- * @param {number} [options.borderWidth=4] - Stroke width (affects inset)
- * @param {number} [options.targetWidth=400] - Actual display width in pixels
- * @param {number} [options.targetHeight=300] - Actual display height in pixels
- * @returns {{pathData: string, viewBoxWidth: number, viewBoxHeight: number}} Path data and viewBox dimensions
+ * @param {number} options.cornerRadius - Corner radius for "roundedRect"
+ * @param {Object} [options.corners] - Radius overrides keyed by corner ("topLeft", "topRight",
+ *   "bottomRight", "bottomLeft") for "rect" and "roundedRect"
+ * @param {number} options.sides - Number of sides for "polygon"
+ * @returns {Array<{name: string, points: Array<{x: number, y: number}>, minSegments: number}>} Edges
  */
-function generateWigglyPath(options = {}) {
-  const { waveAmplitude = 4, waveSegmentSize = 25, borderWidth = 4, targetWidth = 400, targetHeight = 300 } = options;
+function getShapeEdges(shape, bounds, options) {
+  const { left, top, right, bottom } = bounds;
+  const cx = (left + right) / 2;
+  const cy = (top + bottom) / 2;
+  const rx = (right - left) / 2;
+  const ry = (bottom - top) / 2;
+  const quarter = Math.PI / 2;
 
-  // Calculate viewBox dimensions to match aspect ratio
-  const viewBox = calculateViewBox(targetWidth, targetHeight);
-  const viewBoxWidth = viewBox.width;
-  const viewBoxHeight = viewBox.height;
+  // Every corner gets the same radius unless it has its own
+  const getRadii = (radius, corners = {}) => ({ topLeft: radius, topRight: radius, bottomRight: radius, bottomLeft: radius, ...corners });
 
-  // Inset the path so waves don't get clipped at viewBox edges
-  const padding = waveAmplitude + borderWidth;
-
-  // Define the rectangle bounds (inset from viewBox edges)
-  const left = padding;
-  const right = viewBoxWidth - padding;
-  const top = padding;
-  const bottom = viewBoxHeight - padding;
-
-  // Calculate actual edge lengths in viewBox units
-  const horizontalLength = right - left;
-  const verticalLength = bottom - top;
-
-  // Calculate segment counts based on edge lengths for uniform density
-  const segments = calculateSegments(horizontalLength, verticalLength, waveSegmentSize);
-
-  // Generate points for each edge, going clockwise from top-left
-  // The perpDirection vector points outward from the box
-
-  const topPoints = generateEdgePoints(
-    left,
-    top,
-    right,
-    top,
-    segments.horizontal,
-    waveAmplitude,
-    EDGE_SEEDS.top,
-    { x: 0, y: -1 }, // Waves go up
-  );
+  switch (shape) {
+    case "rect":
+      return getRoundedRectEdges(bounds, getRadii(0, options.corners));
 
-  const rightPoints = generateEdgePoints(
-    right,
-    top,
-    right,
-    bottom,
-    segments.vertical,
-    waveAmplitude,
-    EDGE_SEEDS.right,
-    { x: 1, y: 0 }, // Waves go right
-  );
+    case "roundedRect":
+      return getRoundedRectEdges(bounds, getRadii(options.cornerRadius, options.corners));
 
-  const bottomPoints = generateEdgePoints(
-    right,
-    bottom,
-    left,
-    bottom,
-    segments.horizontal,
-    waveAmplitude,
-    EDGE_SEEDS.bottom,
-    { x: 0, y: 1 }, // Waves go down
-  );
+    case "pill":
+      return getRoundedRectEdges(bounds, getRadii(Math.min(rx, ry)));
 
-  const leftPoints = generateEdgePoints(
-    left,
-    bottom,
-    left,
-    top,
-    segments.vertical,
-    waveAmplitude,
-    EDGE_SEEDS.left,
-    { x: -1, y: 0 }, // Waves go left
-  );
+    case "ellipse":
+      // Four quarters, starting at the top
+      return ["topRight", "bottomRight", "bottomLeft", "topLeft"].map((name, i) => ({
+        name,
+        points: getArcPoints(cx, cy, rx, ry, (i - 1) * quarter, i * quarter),
+        minSegments: 1,
+      }));
 
-  // Combine all edge points into one continuous path
-  // Skip duplicate corner points where edges meet
-  const allPoints = [...topPoints, ...rightPoints.slice(1), ...bottomPoints.slice(1), ...leftPoints.slice(1, -1)];
+    case "polygon": {
+      // Vertices sit on the ellipse that fills the bounds, first one at the top,
+      // so the polygon is regular when the box is square
+      const sides = Math.max(3, Math.round(options.sides));
+      const vertices = [];
+      for (let i = 0; i <= sides; i++) {
+        const angle = -quarter + (i * 2 * Math.PI) / sides;
+        vertices.push({ x: cx + rx * Math.cos(angle), y: cy + ry * Math.sin(angle) });
+      }
 
-  // Generate smooth path and close it
-  const pathData = `${generateSmoothPath(allPoints)} Z`;
+      return vertices.slice(0, -1).map((vertex, i) => ({
+        name: `side${i + 1}`,
+        points: [vertex, vertices[i + 1]],
+        minSegments: 1,
+      }));
+    }
 
-  return {
-    pathData,
-    viewBoxWidth,
-    viewBoxHeight,
-  };
+    default:
+      throw new Error(`Unknown shape "${shape}"`);
+  }
 }
 
 /**
- * Generate a complete standalone SVG string.
+ * Work tails, tabs and notches into the straight edges they're attached to.
  *
- * @param {Object} options
- * @param {string} [options.backgroundColor="#FFF8EA"]
- * @param {string} [options.borderColor="#815A0E"]
- * @param {number} [options.borderWidth=4]
- * @param {number} [options.waveAmplitude=4]
- * @param {number} [options.waveSegmentSize=25]
- * @param {number} [options.targetWidth=400]
- * @param {number} [options.targetHeight=300]
- * @returns {string} Complete SVG markup
+ * Each one replaces a stretch of its edge with a detour: a tail runs out
+ * to a point, a tab steps out to a flat top like a folder's and a notch
+ * cuts a V inwards. The corners of the detour are listed as the edge's
+ * `breaks`, which generateOutlinePoints keeps sharp, and the ones that
+ * start a side of a detour as its `detours`. The edge keeps its name, so
+ * it still takes that edge's overrides. Attachments that overlap
+ * one before them on the same edge are left out.
+ *
+ * @param {Array<{name: string, points: Array<{x: number, y: number}>, minSegments: number}>} edges - Edges
+ *   from getShapeEdges
+ * @param {Array<Object>} attachments - Attachments, see generateWigglyPath
+ * @returns {Array<{name: string, points: Array<{x: number, y: number}>, minSegments: number, breaks?: Array<number>,
+ *   detours?: Array<number>}>} Edges with the attachments worked in
+ * @throws {Error} If an attachment's type is unknown
  */
-function generateSvgString(options = {}) {
-  const {
-    backgroundColor = "#FFF8EA",
-    borderColor = "#815A0E",
-    borderWidth = 4,
-    waveAmplitude = 4,
-    waveSegmentSize = 25,
-    targetWidth = 400,
-    targetHeight = 300,
-  } = options;
+function addAttachments(edges, attachments) {
+  return edges.map((edge) => {
+    const matching = attachments.filter((attachment) => (attachment.edge || "bottom") === edge.name);
+    if (matching.length === 0 || edge.points.length !== 2) return edge;
 
-  const { pathData, viewBoxWidth, viewBoxHeight } = generateWigglyPath({
-    waveAmplitude,
-    waveSegmentSize,
-    borderWidth,
-    targetWidth,
-    targetHeight,
-  });
+    const [start, end] = edge.points;
+    const length = getPolylineLength(edge.points);
+    const ux = (end.x - start.x) / length;
+    const uy = (end.y - start.y) / length;
 
-  return `<svg
-  viewBox="0 0 ${viewBoxWidth} ${viewBoxHeight}"
-  preserveAspectRatio="none"
-  fill="none"
-  xmlns="http://www.w3.org/2000/svg"
->
-  <path d="${pathData}" fill="${backgroundColor}" />
-  <path
-    d="${pathData}"
-    stroke="${borderColor}"
-    stroke-width="${borderWidth}"
-    stroke-linecap="round"
-    stroke-linejoin="round"
-    fill="none"
-    vector-effect="non-scaling-stroke"
-  />
-</svg>`;
+    // A point `u` along the edge and `v` outwards, which is to the left of
+    // the direction of travel, as it is for the waves
+    const place = (u, v) => ({ x: start.x + ux * u + uy * v, y: start.y + uy * u - ux * v });
+
+    // Positions and leans read left to right and top to bottom, whichever
+    // way round the edge is drawn
+    const reversed = ux < -1e-9 || (Math.abs(ux) <= 1e-9 && uy < 0);
+
+    const points = [start];
+    const breaks = [];
+    const detours = [];
+    let reached = 0;
+
+    matching
+      .map(({ type, position = 0.5, width = 32, depth = 24, lean = 0 }) => {
+        const span = Math.min(width, length * 0.9);
+        const center = Math.min(length - span / 2, Math.max(span / 2, (reversed ? 1 - position : position) * length));
+        return { type, center, width: span, depth, lean: reversed ? -lean : lean };
+      })
+      .sort((a, b) => a.center - b.center)
+      .forEach(({ type, center, width, depth, lean }) => {
+        const from = center - width / 2;
+        const to = center + width / 2;
+        if (from < reached) return;
+
+        let corners;
+        if (type === "tail") {
+          corners = [
+            [from, 0],
+            [center + lean, depth],
+            [to, 0],
+          ];
+        } else if (type === "tab") {
+          const slant = Math.min(depth / 2, width / 4);
+          corners = [
+            [from, 0],
+            [from + slant, depth],
+            [to - slant, depth],
+            [to, 0],
+          ];
+        } else if (type === "notch") {
+          corners = [
+            [from, 0],
+            [center + lean, -depth],
+            [to, 0],
+          ];
+        } else {
+          throw new Error(`Unknown attachment type "${type}"`);
+        }
+
+        corners.forEach(([u, v], i) => {
+          breaks.push(points.length);
+          if (i < corners.length - 1) detours.push(points.length);
+          points.push(place(u, v));
+        });
+        reached = to;
+      });
+
+    points.push(end);
+    return { ...edge, points, breaks, detours };
+  });
 }
 
 /**
- * Generate a React component with the path baked in.
+ * Work out how far tails and tabs stick out past each side, so the outline
+ * can be inset to leave room for them. Notches cut inwards, so they need none.
  *
- * @param {Object} options
- * @param {string} [options.backgroundColor="#FFF8EA"]
- * @param {string} [options.borderColor="#815A0E"]
- * @param {number} [options.borderWidth=4]
- * @param {number} [options.waveAmplitude=4]
- * @param {number} [options.waveSegmentSize=25]
- * @param {number} [options.targetWidth=400]
- * @param {number} [options.targetHeight=300]
- * @returns {string} React component code
+ * @param {Object} options - Generator options
+ * @returns {{left: number, right: number, top: number, bottom: number}} Extra inset on each side
  */
-function generateReactComponent(options = {}) {
-  const {
-    backgroundColor = "#FFF8EA",
-    borderColor = "#815A0E",
-    borderWidth = 4,
-    waveAmplitude = 4,
-    waveSegmentSize = 25,
-    targetWidth = 400,
-    targetHeight = 300,
-  } = options;
+function getAttachmentInsets(options) {
+  const { attachments = [] } = options;
+  const insets = { left: 0, right: 0, top: 0, bottom: 0 };
 
-  const { pathData, viewBoxWidth, viewBoxHeight } = generateWigglyPath({
-    waveAmplitude,
-    waveSegmentSize,
-    borderWidth,
-    targetWidth,
-    targetHeight,
+  attachments.forEach(({ type, edge = "bottom", depth = 24 }) => {
+    if (type !== "notch" && edge in insets) insets[edge] = Math.max(insets[edge], depth);
   });
 
-  return `import type { ReactNode } from "react";
+  return insets;
+}
 
-type BoxWithWigglyBorderProps = {
-  children: ReactNode;
-  className?: string;
-};
+/**
+ * Approximate an SVG endpoint-parameterised arc ("A" command) with a polyline.
+ *
+ * Converts to centre parameterisation as described in the SVG spec
+ * (implementation notes, F.6.5) and then samples along the arc.
+ *
+ * @returns {Array<{x: number, y: number}>} Points after the start point, ending at (x2, y2)
+ */
+function getEndpointArcPoints(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2) {
+  if (rx === 0 || ry === 0) return [{ x: x2, y: y2 }];
 
-const PATH_DATA = "${pathData}";
+  const phi = (rotation * Math.PI) / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const x1p = cos * dx + sin * dy;
+  const y1p = -sin * dx + cos * dy;
 
-export const BoxWithWigglyBorder = ({
-  children,
-  className = "",
-}: BoxWithWigglyBorderProps) => {
-  return (
-    <div className={\`relative \${className}\`}>
-      <svg
-        className="absolute inset-0 w-full h-full overflow-visible"
-        viewBox="0 0 ${viewBoxWidth} ${viewBoxHeight}"
-        preserveAspectRatio="none"
-        fill="none"
-        xmlns="http://www.w3.org/2000/svg"
-      >
-        <path d={PATH_DATA} fill="${backgroundColor}" />
-        <path
-          d={PATH_DATA}
-          stroke="${borderColor}"
-          strokeWidth={${borderWidth}}
-          strokeLinecap="round"
-          strokeLinejoin="round"
-          fill="none"
-          vectorEffect="non-scaling-stroke"
-        />
-      </svg>
-      <div className="relative px-[20px] py-[32px] text-center">
-        {children}
-      </div>
-    </div>
-  );
-};
+  // Scale radii up if they're too small to reach the end point
+  let radiusX = Math.abs(rx);
+  let radiusY = Math.abs(ry);
+  const lambda = (x1p * x1p) / (radiusX * radiusX) + (y1p * y1p) / (radiusY * radiusY);
+  if (lambda > 1) {
+    radiusX *= Math.sqrt(lambda);
+    radiusY *= Math.sqrt(lambda);
+  }
 
-export default BoxWithWigglyBorder;`;
+  const rx2 = radiusX * radiusX;
+  const ry2 = radiusY * radiusY;
+  const sign = largeArc === sweep ? -1 : 1;
+  const coef = sign * Math.sqrt(Math.max(0, (rx2 * ry2 - rx2 * y1p * y1p - ry2 * x1p * x1p) / (rx2 * y1p * y1p + ry2 * x1p * x1p)));
+  const cxp = (coef * radiusX * y1p) / radiusY;
+  const cyp = (-coef * radiusY * x1p) / radiusX;
+  const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+  const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+  const startAngle = Math.atan2((y1p - cyp) / radiusY, (x1p - cxp) / radiusX);
+  let delta = Math.atan2((-y1p - cyp) / radiusY, (-x1p - cxp) / radiusX) - startAngle;
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+  if (sweep && delta < 0) delta += 2 * Math.PI;
+
+  const steps = Math.max(2, Math.ceil(Math.abs(delta) / (Math.PI / 16)));
+  const points = [];
+  for (let i = 1; i <= steps; i++) {
+    const angle = startAngle + (delta * i) / steps;
+    points.push({
+      x: cx + radiusX * Math.cos(angle) * cos - radiusY * Math.sin(angle) * sin,
+      y: cy + radiusX * Math.cos(angle) * sin + radiusY * Math.sin(angle) * cos,
+    });
+  }
+  points[points.length - 1] = { x: x2, y: y2 };
+
+  return points;
 }
 
-// Export functions for use by app.js
-window.WigglyBorder = {
-  generateWigglyPath,
-  generateSvgString,
-  generateReactComponent,
-  calculateViewBox,
-};
+/**
+ * Parse SVG path data and flatten every subpath into a polyline.
+ *
+ * Supports all path commands (M, L, H, V, C, S, Q, T, A, Z) in absolute and
+ * relative form. Curves are flattened finely enough to resample smoothly.
+ *
+ * @param {string} d - SVG path data
+ * @returns {Array<{points: Array<{x: number, y: number}>, closed: boolean}>} Flattened subpaths
+ * @throws {Error} If the path data can't be parsed
+ */
+function parsePathData(d) {
+  const subpaths = [];
+  let current = null;
+  let pos = 0;
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  let lastControl = null; // Previous curve control point, for S and T reflections
+  let lastType = "";
+
+  const skipSeparators = () => {
+    while (pos < d.length && /[\s,]/.test(d[pos])) pos++;
+  };
+
+  const hasNumber = () => {
+    skipSeparators();
+    return pos < d.length && /[-+.\d]/.test(d[pos]);
+  };
+
+  const readNumber = () => {
+    skipSeparators();
+    const match = /^[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/.exec(d.slice(pos));
+    if (!match) throw new Error(`Invalid path data at position ${pos}`);
+    pos += match[0].length;
+    return parseFloat(match[0]);
+  };
+
+  // Arc flags may be written without separators, e.g. "a5 5 0 0110 10"
+  const readFlag = () => {
+    skipSeparators();
+    if (d[pos] !== "0" && d[pos] !== "1") throw new Error(`Invalid arc flag at position ${pos}`);
+    return d[pos++] === "1";
+  };
+
+  // Drawing after a Z starts a new subpath from the closing point
+  const ensureSubpath = () => {
+    if (!current || current.closed) {
+      current = { points: [{ x: startX, y: startY }], closed: false };
+      subpaths.push(current);
+    }
+  };
+
+  const addPoint = (px, py) => {
+    const last = current.points[current.points.length - 1];
+    if (last.x !== px || last.y !== py) current.points.push({ x: px, y: py });
+  };
+
+  const addCurve = (steps, pointAt) => {
+    for (let i = 1; i <= steps; i++) {
+      const point = pointAt(i / steps);
+      addPoint(point.x, point.y);
+    }
+  };
+
+  skipSeparators();
+  while (pos < d.length) {
+    const command = d[pos];
+    if (!/[MmLlHhVvCcSsQqTtAaZz]/.test(command)) throw new Error(`Invalid path command "${command}" at position ${pos}`);
+    pos++;
+
+    const relative = command === command.toLowerCase();
+    let type = command.toUpperCase();
+
+    do {
+      const ox = relative ? x : 0;
+      const oy = relative ? y : 0;
+
+      switch (type) {
+        case "M":
+          x = startX = readNumber() + ox;
+          y = startY = readNumber() + oy;
+          current = { points: [{ x, y }], closed: false };
+          subpaths.push(current);
+          type = "L"; // Extra coordinate pairs after a move are line commands
+          break;
+
+        case "L":
+          ensureSubpath();
+          x = readNumber() + ox;
+          y = readNumber() + oy;
+          addPoint(x, y);
+          break;
+
+        case "H":
+          ensureSubpath();
+          x = readNumber() + ox;
+          addPoint(x, y);
+          break;
+
+        case "V":
+          ensureSubpath();
+          y = readNumber() + oy;
+          addPoint(x, y);
+          break;
+
+        case "C":
+        case "S": {
+          ensureSubpath();
+          const reflect = lastType === "C" || lastType === "S";
+          const c1 =
+            type === "C"
+              ? { x: readNumber() + ox, y: readNumber() + oy }
+              : { x: reflect ? 2 * x - lastControl.x : x, y: reflect ? 2 * y - lastControl.y : y };
+          const c2 = { x: readNumber() + ox, y: readNumber() + oy };
+          const end = { x: readNumber() + ox, y: readNumber() + oy };
+          const start = { x, y };
+
+          addCurve(16, (t) => {
+            const mt = 1 - t;
+            return {
+              x: mt * mt * mt * start.x + 3 * mt * mt * t * c1.x + 3 * mt * t * t * c2.x + t * t * t * end.x,
+              y: mt * mt * mt * start.y + 3 * mt * mt * t * c1.y + 3 * mt * t * t * c2.y + t * t * t * end.y,
+            };
+          });
+
+          lastControl = c2;
+          x = end.x;
+          y = end.y;
+          break;
+        }
+
+        case "Q":
+        case "T": {
+          ensureSubpath();
+          const reflect = lastType === "Q" || lastType === "T";
+          const c =
+            type === "Q"
+              ? { x: readNumber() + ox, y: readNumber() + oy }
+              : reflect
+                ? { x: 2 * x - lastControl.x, y: 2 * y - lastControl.y }
+                : { x, y };
+          const end = { x: readNumber() + ox, y: readNumber() + oy };
+          const start = { x, y };
+
+          addCurve(12, (t) => {
+            const mt = 1 - t;
+            return {
+              x: mt * mt * start.x + 2 * mt * t * c.x + t * t * end.x,
+              y: mt * mt * start.y + 2 * mt * t * c.y + t * t * end.y,
+            };
+          });
+
+          lastControl = c;
+          x = end.x;
+          y = end.y;
+          break;
+        }
+
+        case "A": {
+          ensureSubpath();
+          const rx = readNumber();
+          const ry = readNumber();
+          const rotation = readNumber();
+          const largeArc = readFlag();
+          const sweep = readFlag();
+          const endX = readNumber() + ox;
+          const endY = readNumber() + oy;
+
+          getEndpointArcPoints(x, y, rx, ry, rotation, largeArc, sweep, endX, endY).forEach((point) => addPoint(point.x, point.y));
+          x = endX;
+          y = endY;
+          break;
+        }
+
+        case "Z":
+          if (current && !current.closed) {
+            addPoint(startX, startY);
+            current.closed = true;
+          }
+          x = startX;
+          y = startY;
+          break;
+      }
+
+      lastType = type;
+    } while (type !== "Z" && hasNumber());
+
+    skipSeparators();
+  }
+
+  // A lone move draws nothing
+  return subpaths.filter((subpath) => subpath.points.length > 1);
+}
+
+/**
+ * Split a flattened subpath into edges at its sharp corners.
+ *
+ * Corners become fixed edge end points, just like the corners of a rectangle,
+ * so tips and points keep their shape once waves are applied.
+ *
+ * @param {Array<{x: number, y: number}>} points - Flattened subpath; closed subpaths end on their first point
+ * @param {boolean} closed - Whether the subpath is closed
+ * @returns {Array<{name: string, points: Array<{x: number, y: number}>, minSegments: number}>} Edges
+ */
+function splitAtCorners(points, closed) {
+  const cornerThreshold = Math.cos(Math.PI / 6); // Turns sharper than 30° count as corners
+
+  const isCorner = (previous, point, next) => {
+    const ax = point.x - previous.x;
+    const ay = point.y - previous.y;
+    const bx = next.x - point.x;
+    const by = next.y - point.y;
+    return (ax * bx + ay * by) / (Math.hypot(ax, ay) * Math.hypot(bx, by)) < cornerThreshold;
+  };
+
+  // Start closed loops on a corner when there is one, so the seam is sharp too
+  let loop = points;
+  if (closed) {
+    const open = points.slice(0, -1);
+    const first = open.findIndex((point, i) => isCorner(open[(i - 1 + open.length) % open.length], point, open[(i + 1) % open.length]));
+    if (first > 0) {
+      loop = [...open.slice(first), ...open.slice(0, first), open[first]];
+    }
+  }
+
+  const edges = [];
+  let edge = [loop[0]];
+  for (let i = 1; i < loop.length; i++) {
+    edge.push(loop[i]);
+    if (i < loop.length - 1 && isCorner(loop[i - 1], loop[i], loop[i + 1])) {
+      edges.push(edge);
+      edge = [loop[i]];
+    }
+  }
+  edges.push(edge);
+
+  return edges.map((edgePoints, i) => ({ name: `edge${i + 1}`, points: edgePoints, minSegments: 1 }));
+}
+
+/**
+ * Build outlines from SVG path data, stretched to fill the given bounds.
+ *
+ * @param {string} d - SVG path data
+ * @param {{left: number, top: number, right: number, bottom: number}} bounds - Box the path fills
+ * @returns {Array<{edges: Array, closed: boolean}>} One outline per subpath
+ */
+function getPathOutlines(d, bounds) {
+  const subpaths = parsePathData(d);
+  const allPoints = subpaths.flatMap((subpath) => subpath.points);
+  if (allPoints.length === 0) return [];
+
+  const minX = Math.min(...allPoints.map((point) => point.x));
+  const maxX = Math.max(...allPoints.map((point) => point.x));
+  const minY = Math.min(...allPoints.map((point) => point.y));
+  const maxY = Math.max(...allPoints.map((point) => point.y));
+
+  // Centre the path along any axis it has no extent in
+  const scaleX = maxX > minX ? (bounds.right - bounds.left) / (maxX - minX) : 0;
+  const scaleY = maxY > minY ? (bounds.bottom - bounds.top) / (maxY - minY) : 0;
+  const fit = (point) => ({
+    x: scaleX ? bounds.left + (point.x - minX) * scaleX : (bounds.left + bounds.right) / 2,
+    y: scaleY ? bounds.top + (point.y - minY) * scaleY : (bounds.top + bounds.bottom) / 2,
+  });
+
+  return subpaths.map((subpath) => ({
+    edges: splitAtCorners(subpath.points.map(fit), subpath.closed),
+    closed: subpath.closed,
+  }));
+}
+
+/**
+ * Wave an edge a piece at a time, split at its `breaks`, so the corners of
+ * a tail, tab or notch stay put. Segment counts are based on each piece's
+ * length for uniform density. Every piece reads its own stretch of the
+ * edge's noise, and places its points along the whole edge. Scallops
+ * would curl up on the short sides of a detour, so those are drawn straight.
+ *
+ * @param {{points: Array<{x: number, y: number}>, minSegments: number, ends?: string, breaks?: Array<number>,
+ *   detours?: Array<number>}} edge - Edge to wave
+ * @param {number} amplitude - Wave amplitude
+ * @param {number} segmentSize - Distance between wave points
+ * @param {function(number): number} noise - Noise source for the edge
+ * @param {string} waveStyle - Wave style to generate
+ * @returns {Array<Object>} Points as for generateEdgePoints, with `at` measured along the whole edge
+ */
+function generatePiecewiseEdgePoints(edge, amplitude, segmentSize, noise, waveStyle) {
+  const breaks = [0, ...(edge.breaks || []), edge.points.length - 1];
+  const total = getPolylineLength(edge.points);
+  const points = [];
+  let travelled = 0;
+
+  for (let k = 1; k < breaks.length; k++) {
+    const piece = edge.points.slice(breaks[k - 1], breaks[k] + 1);
+    const length = getPolylineLength(piece);
+    if (length < 0.001) continue;
+
+    const straight = waveStyle === "scallop" && edge.detours && edge.detours.includes(breaks[k - 1]);
+    const segments = straight ? 1 : calculateSegments(length, segmentSize, edge.breaks ? 1 : edge.minSegments);
+    const pieceNoise = k === 1 ? noise : (x) => noise(x + k * 61.7);
+    const from = travelled / total;
+    const to = (travelled + length) / total;
+    const piecePoints = generateEdgePoints(piece, segments, amplitude, pieceNoise, waveStyle, edge.ends).map((point, i) => ({
+      ...point,
+      at: from + point.at * (to - from),
+      ...(straight && i > 0 && { straight: true }),
+    }));
+
+    points.push(...(points.length === 0 ? piecePoints : piecePoints.slice(1)));
+    travelled += length;
+  }
+
+  return points;
+}
+
+/**
+ * Apply waves to every edge of an outline and join them into one list of points.
+ *
+ * @param {{edges: Array, closed: boolean}} outline - Edges to wave, in drawing order; an edge may set
+ *   `ends` for generateEdgePoints, and `breaks` for corners to keep sharp (see addAttachments)
+ * @param {Object} waves
+ * @param {number} waves.waveAmplitude - How far waves extend from the edge
+ * @param {number} waves.waveSegmentSize - Distance between wave points
+ * @param {string} waves.waveStyle - Wave style to generate
+ * @param {Object} [waves.edges] - Overrides keyed by edge name, see generateWigglyPath
+ * @param {function(): number} random - Seeded generator; each edge draws its own noise source from it
+ * @returns {Array<{x: number, y: number, straight?: boolean, edge?: string, at?: number}>} Points ready for
+ *   generateStyledPath; waved points also carry their edge's name and the fields of generateEdgePoints
+ */
+function generateOutlinePoints(outline, waves, random) {
+  // Skip the first point of every edge after the first, since it
+  // duplicates the previous edge's end point
+  const allPoints = [];
+  outline.edges.forEach((edge, i) => {
+    const { waveAmplitude, waveSegmentSize, seed, wiggle = true } = { ...waves, ...(waves.edges && waves.edges[edge.name]) };
+
+    // Always draw from the shared sequence, so giving one edge its own
+    // seed leaves the wobble of every other edge as it was
+    const sharedNoise = createNoise(random);
+    const noise = seed === waves.seed ? sharedNoise : createNoise(createRandom(seed));
+
+    // Edges that don't wiggle keep their own points, marked so they're drawn straight
+    const points = wiggle
+      ? generatePiecewiseEdgePoints(edge, waveAmplitude, waveSegmentSize, noise, waves.waveStyle).map((point) => ({
+          ...point,
+          edge: edge.name,
+        }))
+      : edge.points.map((point, j) => ({ x: point.x, y: point.y, ...(j > 0 && { straight: true }) }));
+    allPoints.push(...(i === 0 ? points : points.slice(1)));
+  });
+
+  // A closed outline ends where it began, so drop that repeat and let
+  // the path loop back round to the start, straight if the last edge is
+  if (outline.closed) {
+    const end = allPoints.pop();
+    if (end.straight) allPoints[0] = { ...allPoints[0], straight: true };
+  }
+
+  return allPoints;
+}
+
+/**
+ * Move waved points by hand-made offsets.
+ *
+ * An offset finds its point by edge name and how far along the edge it
+ * belongs, taking whichever point is nearest, so it still lands in the
+ * same place when the box is resized and the edge gets more or fewer
+ * points. It moves the point from where the wave put it, or, when
+ * pinned, from the spot on the edge it was pushed from, so a pinned
+ * point stays put whatever the seed, amplitude or animation frame.
+ *
+ * @param {Array<Object>} points - Points from generateOutlinePoints
+ * @param {Array<{contour?: number, edge: string, at: number, dx?: number, dy?: number, pinned?: boolean}>} offsets -
+ *   Offsets in viewBox units
+ * @param {number} contour - Index of the contour the points belong to
+ * @returns {Array<Object>} Points, with each moved one marked with the index of its offset
+ */
+function applyPointOffsets(points, offsets, contour) {
+  const result = points.slice();
+
+  offsets.forEach((offset, index) => {
+    if ((offset.contour || 0) !== contour) return;
+
+    let nearest = -1;
+    points.forEach((point, i) => {
+      if (point.edge !== offset.edge) return;
+      if (nearest < 0 || Math.abs(point.at - offset.at) < Math.abs(points[nearest].at - offset.at)) nearest = i;
+    });
+    if (nearest < 0) return;
+
+    const point = points[nearest];
+    const from = offset.pinned ? point.base : point;
+    result[nearest] = { ...point, x: from.x + (offset.dx || 0), y: from.y + (offset.dy || 0), offset: index };
+  });
+
+  return result;
+}
+
+/**
+ * Apply waves to every outline, giving the final points of each contour.
+ *
+ * @param {Array<{edges: Array, closed: boolean}>} outlines - Outlines to wave
+ * @param {Object} waves - Wave settings, as for generateOutlinePoints, plus:
+ * @param {string|number} waves.seed - Seed for the wobble
+ * @param {Array<Object>} [waves.pointOffsets] - Hand-made offsets, see applyPointOffsets
+ * @returns {Array<{points: Array<{x: number, y: number}>, closed: boolean}>} Waved contours
+ */
+function generateContours(outlines, waves) {
+  // Every edge draws its own noise source from one seeded sequence,
+  // so each one wobbles differently but reproducibly
+  const random = createRandom(waves.seed);
+  const { pointOffsets = [] } = waves;
+
+  return outlines.map((outline, i) => {
+    const points = generateOutlinePoints(outline, waves, random);
+    return { points: pointOffsets.length > 0 ? applyPointOffsets(points, pointOffsets, i) : points, closed: outline.closed };
+  });
+}
+
+/**
+ * Nudge every point by a smoothly varying amount, so a pen pass drifts
+ * off the line a little the way a second stroke by hand would.
+ *
+ * @param {Array<{x: number, y: number}>} points - Points to nudge
+ * @param {number} jitter - Largest distance a point moves
+ * @param {function(): number} random - Seeded generator for this pass
+ * @returns {Array<{x: number, y: number}>} Nudged points
+ */
+function jitterPoints(points, jitter, random) {
+  const noiseX = createNoise(random);
+  const noiseY = createNoise(random);
+
+  return points.map((point, i) => ({
+    ...point,
+    x: point.x + noiseX(i * 0.23 + 0.5) * jitter,
+    y: point.y + noiseY(i * 0.23 + 0.5) * jitter,
+  }));
+}
+
+/**
+ * Turn a closed loop of points into an open run that starts and ends at
+ * the first point, then carries on past it (overshoot) or stops short (gap).
+ *
+ * @param {Array<{x: number, y: number}>} points - Closed loop, without a repeated first point
+ * @param {number} overshoot - Distance to carry on past the start; negative leaves a gap instead
+ * @returns {Array<{x: number, y: number}>} Open run of points
+ */
+function openLoop(points, overshoot) {
+  const run = [...points, points[0]];
+  const lerp = (a, b, t) => ({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+  let remaining = Math.abs(overshoot);
+
+  if (overshoot > 0) {
+    for (let i = 1; i < points.length && remaining > 0; i++) {
+      const end = run[run.length - 1];
+      const length = Math.hypot(points[i].x - end.x, points[i].y - end.y);
+      if (length >= remaining) {
+        run.push(lerp(end, points[i], remaining / length));
+        break;
+      }
+      run.push(points[i]);
+      remaining -= length;
+    }
+  } else {
+    while (run.length > 2 && remaining > 0) {
+      const end = run[run.length - 1];
+      const previous = run[run.length - 2];
+      const length = Math.hypot(end.x - previous.x, end.y - previous.y);
+      if (length > remaining) {
+        run[run.length - 1] = lerp(end, previous, remaining / length);
+        break;
+      }
+      run.pop();
+      remaining -= length;
+    }
+  }
+
+  return run;
+}
+
+/**
+ * Turn waved contours into SVG path data, closing the closed ones.
+ *
+ * Given a pen pass, the points are jittered first, and closed contours are
+ * left open with an overshoot or gap where they start.
+ *
+ * @param {Array<{points: Array, closed: boolean}>} contours - Waved contours
+ * @param {Object} waves
+ * @param {string} waves.waveStyle - Wave style the points were generated with
+ * @param {number} waves.tension - Curve tightness for the smooth styles
+ * @param {number} [waves.precision] - Decimal places to keep; full precision when undefined
+ * @param {boolean} [waves.compactPaths=false] - Re-encode the path data as short as it goes
+ * @param {{seed: string, jitter: number, overshoot: number}} [pass] - Pen pass to draw
+ * @returns {string} SVG path data
+ */
+function renderContours(contours, waves, pass = null) {
+  const random = pass ? createRandom(pass.seed) : null;
+
+  const d = contours
+    .map((contour) => {
+      const points = pass && pass.jitter ? jitterPoints(contour.points, pass.jitter, random) : contour.points;
+
+      if (contour.closed && pass && pass.overshoot) {
+        return generateStyledPath(openLoop(points, pass.overshoot), false, waves.waveStyle, waves.tension);
+      }
+
+      const path = generateStyledPath(points, contour.closed, waves.waveStyle, waves.tension);
+      return contour.closed ? `${path} Z` : path;
+    })
+    .join(" ");
+
+  return waves.precision === undefined && !waves.compactPaths ? d : formatPathData(d, waves);
+}
+
+/**
+ * Write a number for path data: rounded to the precision, without a
+ * negative zero and, for compact paths, without a leading zero.
+ *
+ * @param {number} value - Number to write
+ * @param {number} [precision] - Decimal places to keep; full precision when undefined
+ * @param {boolean} compact - Drop the leading zero of fractions
+ * @returns {string} Formatted number
+ */
+function formatPathNumber(value, precision, compact) {
+  const scale = 10 ** precision;
+  const rounded = precision === undefined ? value : Math.round(value * scale) / scale;
+  const text = String(rounded === 0 ? 0 : rounded);
+  return compact ? text.replace(/^(-?)0\./, "$1.") : text;
+}
+
+/**
+ * Round the numbers in path data and, for compact paths, re-encode it as short
+ * as it goes: each command is written absolute or relative, whichever is
+ * shorter, curves that continue smoothly become `S`, straight runs along an
+ * axis become `H` or `V`, and separators are left out wherever the numbers
+ * stay unambiguous.
+ *
+ * Relative commands are measured from the rounded points, so the rounding
+ * never adds up along the path.
+ *
+ * @param {string} d - Absolute M, L, C, A and Z path data, as the generators write it
+ * @param {Object} options
+ * @param {number} [options.precision] - Decimal places to keep; full precision when undefined
+ * @param {boolean} [options.compactPaths=false] - Re-encode the path in as few bytes as possible
+ * @returns {string} Path data
+ */
+function formatPathData(d, options) {
+  const { precision, compactPaths = false } = options;
+  const numberPattern = /-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi;
+
+  if (!compactPaths) {
+    return precision === undefined ? d : d.replace(numberPattern, (value) => formatPathNumber(Number(value), precision, false));
+  }
+
+  const round = (value) => Number(formatPathNumber(value, precision, false));
+  // Half a unit in the last kept digit, so only control points that round to the reflection are dropped
+  const tolerance = precision === undefined ? 1e-9 : 0.5 * 10 ** -precision;
+  const argCounts = { M: 2, L: 2, C: 6, A: 7, Z: 0 };
+  const tokens = d.match(/[MLCAZ]|-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || [];
+
+  // A number needs a separator unless its sign or point can only start a new one
+  const separator = (previous, next) => (next.startsWith("-") || (next.startsWith(".") && /[.e]/i.test(previous)) ? "" : " ");
+  const joinNumbers = (numbers) =>
+    numbers.reduce((text, number, i) => (i === 0 ? number : text + separator(numbers[i - 1], number) + number), "");
+
+  let current = { x: 0, y: 0 };
+  let start = current;
+  let lastControl = null;
+  let lastLetter = "";
+  let lastNumber = "";
+  let output = "";
+
+  // Add a command, leaving out its letter when it repeats the one before
+  const emit = (letter, numbers) => {
+    const formatted = numbers.map((number) => formatPathNumber(number, precision, true));
+    const repeat = letter === lastLetter && letter.toUpperCase() !== "M";
+    output += (repeat ? separator(lastNumber, formatted[0]) : letter) + joinNumbers(formatted);
+    lastLetter = letter;
+    lastNumber = formatted[formatted.length - 1];
+  };
+
+  // Write absolute or relative, whichever is shorter; `relative` lists which numbers are coordinates
+  const emitShorter = (letter, numbers, relative) => {
+    const offsets = numbers.map((number, i) =>
+      relative[i] === "x" ? round(number - current.x) : relative[i] === "y" ? round(number - current.y) : number,
+    );
+    const length = (values) => joinNumbers(values.map((number) => formatPathNumber(number, precision, true))).length;
+    if (length(offsets) < length(numbers)) {
+      emit(letter.toLowerCase(), offsets);
+    } else {
+      emit(letter, numbers);
+    }
+  };
+
+  let i = 0;
+  while (i < tokens.length) {
+    const command = tokens[i++].toUpperCase();
+    const count = argCounts[command];
+
+    do {
+      const values = tokens.slice(i, i + count).map((token) => round(Number(token)));
+      i += count;
+
+      if (command === "Z") {
+        output += "z";
+        lastLetter = "z";
+        current = start;
+        lastControl = null;
+      } else if (command === "M") {
+        emitShorter("M", values, ["x", "y"]);
+        current = start = { x: values[0], y: values[1] };
+        lastControl = null;
+      } else if (command === "L") {
+        const [x, y] = values;
+        if (y === current.y) {
+          emitShorter("H", [x], ["x"]);
+        } else if (x === current.x) {
+          emitShorter("V", [y], ["y"]);
+        } else {
+          emitShorter("L", values, ["x", "y"]);
+        }
+        current = { x, y };
+        lastControl = null;
+      } else if (command === "C") {
+        const [x1, y1, x2, y2, x, y] = values;
+        const smooth =
+          lastControl &&
+          Math.abs(2 * current.x - lastControl.x - x1) <= tolerance &&
+          Math.abs(2 * current.y - lastControl.y - y1) <= tolerance;
+        if (smooth) {
+          emitShorter("S", [x2, y2, x, y], ["x", "y", "x", "y"]);
+        } else {
+          emitShorter("C", values, ["x", "y", "x", "y", "x", "y"]);
+        }
+        current = { x, y };
+        lastControl = { x: x2, y: y2 };
+      } else if (command === "A") {
+        emitShorter("A", values, [null, null, null, null, null, "x", "y"]);
+        current = { x: values[5], y: values[6] };
+        lastControl = null;
+      }
+    } while (count > 0 && i < tokens.length && !/^[a-z]$/i.test(tokens[i]));
+  }
+
+  return output;
+}
+
+/**
+ * Work out how far the outline sits inside the viewBox, so nothing is clipped.
+ *
+ * Leaves room for the biggest wave on any edge plus the stroke. Scallops bulge by
+ * half a segment, however small the amplitude, and sketchy pen passes can stray
+ * by their jitter on top.
+ *
+ * @param {Object} options - Generator options
+ * @returns {number} Padding in viewBox units
+ */
+function getPathPadding(options) {
+  const { waveAmplitude = 4, waveSegmentSize = 25, borderWidth = 4, waveStyle = "sine", edges = {} } = options;
+
+  const waveExtent = Math.max(
+    ...[{}, ...Object.values(edges)].map((edge) => {
+      const amplitude = edge.waveAmplitude ?? waveAmplitude;
+      return waveStyle === "scallop" ? Math.max(amplitude, (edge.waveSegmentSize ?? waveSegmentSize) / 2) : amplitude;
+    }),
+  );
+  const strokeExtent = Math.max(...getStrokePasses(options).map((pass) => pass.jitter));
+
+  return waveExtent + strokeExtent + borderWidth;
+}
+
+/**
+ * Work out how much further the outline must sit from each side of the
+ * viewBox to leave room for its offset shadow, on top of getPathPadding.
+ *
+ * The shadow is the outline moved by its offset, so it only needs extra room
+ * on the sides it's moved towards, plus the spread of any blur.
+ *
+ * @param {Object} options - Generator options
+ * @returns {{left: number, right: number, top: number, bottom: number}} Extra insets in viewBox units
+ */
+function getShadowInsets(options) {
+  const { shadow = false, shadowOffsetX = 6, shadowOffsetY = 6, shadowBlur = 0 } = options;
+  if (!shadow) return { left: 0, right: 0, top: 0, bottom: 0 };
+
+  // A Gaussian blur fades out within about three standard deviations
+  const spread = Math.max(0, shadowBlur) * 3;
+
+  return {
+    left: Math.max(0, -shadowOffsetX) + spread,
+    right: Math.max(0, shadowOffsetX) + spread,
+    top: Math.max(0, -shadowOffsetY) + spread,
+    bottom: Math.max(0, shadowOffsetY) + spread,
+  };
+}
+
+/**
+ * Find the inner safe area of a border: the largest axis-aligned box inside
+ * the outline that clears the inward waves and the stroke, for content.
+ *
+ * The drawn outline is flattened into points no further apart than the
+ * clearance, and each point in turn is taken as the box's left side and
+ * swept rightwards, narrowing the box at every point it meets (the maximal
+ * empty rectangle). The biggest box whose middle is inside the outline is
+ * then shrunk by half the stroke, plus the drift of any extra pen passes.
+ *
+ * @param {Array<{points: Array<Object>, closed: boolean}>} contours - Contours from generateContours
+ * @param {Object} options - Generator options, for the wave style, border width and pen passes
+ * @returns {{x: number, y: number, width: number, height: number}|null} Safe area in viewBox units,
+ *   or null when nothing fits
+ */
+function getSafeArea(contours, options) {
+  const { waveStyle = "sine", tension = 0.5, borderWidth = 4 } = options;
+  const clearance = borderWidth / 2 + Math.max(...getStrokePasses(options).map((pass) => pass.jitter));
+  const spacing = Math.max(1, clearance);
+
+  // Flatten the curves as drawn, since a sine wave swings past its points
+  const polygons = contours
+    .filter((contour) => contour.closed)
+    .flatMap((contour) => parsePathData(`${generateStyledPath(contour.points, true, waveStyle, tension)} Z`))
+    .map((subpath) => subpath.points);
+
+  const points = [];
+  polygons.forEach((polygon) => {
+    polygon.forEach((point, i) => {
+      const next = polygon[(i + 1) % polygon.length];
+      const steps = Math.ceil(Math.hypot(next.x - point.x, next.y - point.y) / spacing);
+      for (let step = 0; step < steps; step++) {
+        const sample = { x: point.x + ((next.x - point.x) * step) / steps, y: point.y + ((next.y - point.y) * step) / steps };
+        const last = points[points.length - 1];
+        if (!last || Math.hypot(sample.x - last.x, sample.y - last.y) >= spacing / 2) points.push(sample);
+      }
+    });
+  });
+  if (points.length === 0) return null;
+
+  // Even-odd test, so holes in a custom path stay outside
+  const isInside = (x, y) =>
+    polygons.reduce(
+      (inside, polygon) =>
+        polygon.reduce((flip, a, i) => {
+          const b = polygon[(i + 1) % polygon.length];
+          return a.y > y !== b.y > y && x < a.x + ((y - a.y) * (b.x - a.x)) / (b.y - a.y) ? !flip : flip;
+        }, inside),
+      false,
+    );
+
+  points.sort((a, b) => a.x - b.x);
+  const maxX = points[points.length - 1].x;
+  let best = null;
+  let bestArea = 0;
+
+  points.forEach((left, i) => {
+    let top = -Infinity;
+    let bottom = Infinity;
+
+    for (let j = i + 1; j < points.length; j++) {
+      const point = points[j];
+      if (point.x === left.x || point.y <= top || point.y >= bottom) continue;
+      if ((maxX - left.x) * (bottom - top) <= bestArea) break;
+
+      const area = (point.x - left.x) * (bottom - top);
+      if (area > bestArea && Number.isFinite(area) && isInside((left.x + point.x) / 2, (top + bottom) / 2)) {
+        best = { x: left.x, y: top, width: point.x - left.x, height: bottom - top };
+        bestArea = area;
+      }
+
+      if (point.y > left.y) bottom = point.y;
+      else if (point.y < left.y) top = point.y;
+      else break;
+    }
+  });
+
+  if (!best || best.width <= clearance * 2 || best.height <= clearance * 2) return null;
+  return {
+    x: best.x + clearance,
+    y: best.y + clearance,
+    width: best.width - clearance * 2,
+    height: best.height - clearance * 2,
+  };
+}
+
+/**
+ * Generate the complete wiggly border path data.
+ *
+ * @param {Object} options
+ * @param {number} [options.waveAmplitude=4] - How far waves extend from the edge
+ * @param {number} [options.waveSegmentSize=25] - Distance between wave points
+ * @param {number} [options.borderWidth=4] - Stroke width (affects inset)
+ * @param {number} [options.targetWidth=400] - Actual display width in pixels
+ * @param {number} [options.targetHeight=300] - Actual display height in pixels
+ * @param {string|number} [options.seed="wiggly"] - Seed for the wobble; the same seed always gives the same border
+ * @param {string} [options.shape="rect"] - "rect", "roundedRect", "pill", "ellipse", "polygon" or "path"
+ * @param {number} [options.cornerRadius=24] - Corner radius for "roundedRect", in viewBox units
+ * @param {Object} [options.corners] - Per-corner radius for "rect" and "roundedRect", keyed by
+ *   "topLeft", "topRight", "bottomRight" and "bottomLeft"
+ * @param {Object} [options.edges] - Per-edge overrides keyed by edge name ("top", "right", "bottom",
+ *   "left"), each `{waveAmplitude, waveSegmentSize, seed, wiggle}`; `wiggle: false` keeps the edge straight
+ * @param {number} [options.sides=6] - Number of sides for "polygon"
+ * @param {string} [options.path=""] - SVG path data for "path", stretched to fill the box
+ * @param {string} [options.waveStyle="sine"] - "sine", "zigzag", "scallop", "square" or "ragged"
+ * @param {number} [options.tension=0.5] - Curve tightness for "sine" waves (0 = sharp, 1 = loose)
+ * @param {boolean} [options.pixelViewBox=false] - Use the target size as the viewBox, so sizes are in CSS pixels
+ * @param {boolean} [options.shadow=false] - Leave room for an offset shadow, as set by the shadow
+ *   options of generateBorderLayers
+ * @param {number} [options.precision] - Decimal places to keep in the path data; full precision when undefined
+ * @param {boolean} [options.compactPaths=false] - Write the path data as short as it goes, with relative
+ *   and shorthand commands and no spare separators
+ * @param {Array<Object>} [options.pointOffsets=[]] - Hand-made moves of single points, as
+ *   `{contour, edge, at, dx, dy, pinned}` in viewBox units; see applyPointOffsets
+ * @param {Array<Object>} [options.attachments=[]] - Tails, tabs and notches woven into the outline, as
+ *   `{type, edge, position, width, depth, lean}`: type "tail", "tab" or "notch"; edge "top", "right",
+ *   "bottom" (default) or "left"; position along the edge from 0 to 1 (default 0.5); width (default 32)
+ *   and depth (default 24) in viewBox units; and lean, which moves the point of a tail or notch along the edge.
+ *   Positions and leans run left to right, or top to bottom
+ * @param {boolean} [options.safeArea=false] - Also find the safe area for content (see getSafeArea), which
+ *   is slow enough to leave out wherever nothing lays content out
+ * @returns {{pathData: string, viewBoxWidth: number, viewBoxHeight: number, contours: Array, safeArea?: Object|null}}
+ *   Path data, viewBox dimensions, the waved points of each contour, which name their edge and place along
+ *   it for pointOffsets, and with `safeArea` the safe area for content
+ */
+function generateWigglyPath(options = {}) {
+  const {
+    waveAmplitude = 4,
+    waveSegmentSize = 25,
+    targetWidth = 400,
+    targetHeight = 300,
+    seed = DEFAULT_SEED,
+    shape = "rect",
+    cornerRadius = 24,
+    sides = 6,
+    corners = {},
+    edges = {},
+    path = "",
+    waveStyle = "sine",
+    tension = 0.5,
+    pixelViewBox = false,
+    precision,
+    compactPaths = false,
+    pointOffsets = [],
+    attachments = [],
+    safeArea = false,
+  } = options;
+
+  // Calculate viewBox dimensions to match aspect ratio. A pixel viewBox keeps
+  // wave spacing constant in CSS pixels, which the responsive runtime relies on
+  const viewBox = pixelViewBox ? { width: targetWidth, height: targetHeight } : calculateViewBox(targetWidth, targetHeight);
+  const viewBoxWidth = viewBox.width;
+  const viewBoxHeight = viewBox.height;
+
+  // Inset the path so waves, the shadow, tails and tabs don't get clipped at viewBox edges
+  const padding = getPathPadding(options);
+  const shadowInsets = getShadowInsets(options);
+  const attachmentInsets = getAttachmentInsets(options);
+
+  // Define the shape bounds (inset from viewBox edges)
+  const bounds = {
+    left: padding + shadowInsets.left + attachmentInsets.left,
+    right: viewBoxWidth - padding - shadowInsets.right - attachmentInsets.right,
+    top: padding + shadowInsets.top + attachmentInsets.top,
+    bottom: viewBoxHeight - padding - shadowInsets.bottom - attachmentInsets.bottom,
+  };
+
+  // A custom path may hold several subpaths; every other shape is one closed
+  // outline, with any attachments worked in
+  let outlines;
+  if (shape === "path") {
+    outlines = getPathOutlines(path, bounds);
+  } else {
+    const shapeEdges = getShapeEdges(shape, bounds, { cornerRadius, corners, sides });
+    outlines = [{ edges: attachments.length > 0 ? addAttachments(shapeEdges, attachments) : shapeEdges, closed: true }];
+  }
+
+  const waves = { waveAmplitude, waveSegmentSize, waveStyle, tension, seed, edges, precision, compactPaths, pointOffsets };
+  const contours = generateContours(outlines, waves);
+  const result = { pathData: renderContours(contours, waves), viewBoxWidth, viewBoxHeight, contours };
+
+  return safeArea ? { ...result, safeArea: getSafeArea(contours, options) } : result;
+}
+
+/**
+ * Generate a hand-drawn line: a rule, divider or underline, or a loop for
+ * circling a word.
+ *
+ * Lines use the same waves as borders, but straight lines and arcs are open
+ * paths, so they have ends, which can taper the waves away or wobble freely.
+ * Loops are closed; draw them with `strokeOvershoot` for a pen circling back
+ * past its start. Lines are always drawn in CSS pixels, since a thin line's
+ * viewBox would otherwise shrink its waves to almost nothing.
+ *
+ * @param {Object} options - Accepts the wave, seed, size, stroke, shadow, precision and point offset options of
+ *   generateWigglyPath, plus:
+ * @param {string} [options.lineShape="straight"] - "straight", "arc" or "loop"
+ * @param {number} [options.arcHeight=8] - How far an arc's middle dips below its ends; negative arches it up
+ * @param {string} [options.lineEnds="taper"] - "taper", "wobble" or "pinned" (see generateEdgePoints)
+ * @param {number} [options.targetHeight=40] - Actual display height in pixels
+ * @returns {{pathData: string, viewBoxWidth: number, viewBoxHeight: number, contours: Array}} Path data, viewBox
+ *   dimensions and the waved points of the line
+ */
+function generateWigglyLine(options = {}) {
+  const {
+    waveAmplitude = 4,
+    waveSegmentSize = 25,
+    targetWidth = 400,
+    targetHeight = 40,
+    seed = DEFAULT_SEED,
+    edges = {},
+    waveStyle = "sine",
+    tension = 0.5,
+    lineShape = "straight",
+    arcHeight = 8,
+    lineEnds = "taper",
+    precision,
+    compactPaths = false,
+    pointOffsets = [],
+  } = options;
+
+  const padding = getPathPadding(options);
+  const shadowInsets = getShadowInsets(options);
+  const bounds = {
+    left: padding + shadowInsets.left,
+    right: targetWidth - padding - shadowInsets.right,
+    top: padding + shadowInsets.top,
+    bottom: targetHeight - padding - shadowInsets.bottom,
+  };
+
+  let outline;
+  if (lineShape === "loop") {
+    outline = { edges: getShapeEdges("ellipse", bounds, {}), closed: true };
+  } else {
+    // Arcs are a quadratic curve, kept within the bounds and centred on them
+    const middle = (bounds.top + bounds.bottom) / 2;
+    const dip = lineShape === "arc" ? Math.max(bounds.top - bounds.bottom, Math.min(arcHeight, bounds.bottom - bounds.top)) : 0;
+    const endY = middle - dip / 2;
+    const controlY = endY + dip * 2;
+    const steps = dip === 0 ? 1 : 24;
+
+    const baseline = Array.from({ length: steps + 1 }, (_, i) => {
+      const t = i / steps;
+      return {
+        x: bounds.left + (bounds.right - bounds.left) * t,
+        y: (1 - t) * (1 - t) * endY + 2 * t * (1 - t) * controlY + t * t * endY,
+      };
+    });
+
+    outline = { edges: [{ name: "line", points: baseline, minSegments: 1, ends: lineEnds }], closed: false };
+  }
+
+  const waves = { waveAmplitude, waveSegmentSize, waveStyle, tension, seed, edges, precision, compactPaths, pointOffsets };
+  const contours = generateContours([outline], waves);
+
+  return {
+    pathData: renderContours(contours, waves),
+    viewBoxWidth: targetWidth,
+    viewBoxHeight: targetHeight,
+    contours,
+  };
+}
+
+/**
+ * Generate the outline a set of options describes: a line when `lineShape`
+ * is set, otherwise a border.
+ *
+ * @param {Object} options - Options for generateWigglyLine or generateWigglyPath
+ * @returns {{pathData: string, viewBoxWidth: number, viewBoxHeight: number, contours: Array}} As generateWigglyPath
+ */
+function generateOutline(options) {
+  return options.lineShape ? generateWigglyLine(options) : generateWigglyPath(options);
+}
+
+/**
+ * Wiggle an arbitrary SVG path, such as an icon outline or a speech bubble.
+ *
+ * The path is flattened, resampled every `waveSegmentSize` units and pushed
+ * along its normal like a border edge. Sharp corners stay fixed. The result
+ * keeps the input's coordinates, so it can replace the original `d` directly.
+ *
+ * @param {string} d - SVG path data
+ * @param {Object} [options]
+ * @param {number} [options.waveAmplitude=4] - How far waves extend from the path
+ * @param {number} [options.waveSegmentSize=25] - Distance between wave points
+ * @param {string|number} [options.seed="wiggly"] - Seed for the wobble
+ * @param {string} [options.waveStyle="sine"] - "sine", "zigzag", "scallop", "square" or "ragged"
+ * @param {number} [options.tension=0.5] - Curve tightness for "sine" waves (0 = sharp, 1 = loose)
+ * @param {number} [options.precision] - Decimal places to keep; full precision when undefined
+ * @param {boolean} [options.compactPaths=false] - Write the path data as short as it goes
+ * @returns {string} Wiggly SVG path data
+ * @throws {Error} If the path data can't be parsed
+ */
+function wigglifyPath(d, options = {}) {
+  const {
+    waveAmplitude = 4,
+    waveSegmentSize = 25,
+    seed = DEFAULT_SEED,
+    waveStyle = "sine",
+    tension = 0.5,
+    precision,
+    compactPaths = false,
+  } = options;
+
+  const outlines = parsePathData(d).map((subpath) => ({
+    edges: splitAtCorners(subpath.points, subpath.closed),
+    closed: subpath.closed,
+  }));
+
+  const waves = { waveAmplitude, waveSegmentSize, waveStyle, tension, seed, precision, compactPaths };
+  return renderContours(generateContours(outlines, waves), waves);
+}
+
+/**
+ * Work out the options of every animation frame, each with its own seed.
+ * The first frame uses the seed itself, so a still border matches the first
+ * frame of an animated one. Edges with their own seed get a frame seed too.
+ *
+ * @param {Object} options - Generator options
+ * @returns {Array<Object>} Generator options per frame
+ */
+function getFrameOptions(options) {
+  const { animate = false, frames = 4, seed = DEFAULT_SEED, edges = {} } = options;
+  const count = animate ? Math.max(1, Math.round(frames)) : 1;
+  const frameSeed = (base, i) => (i === 0 ? base : `${base}:${i}`);
+
+  const frameOptions = [];
+  for (let i = 0; i < count; i++) {
+    const frameEdges = {};
+    Object.entries(edges).forEach(([name, edge]) => {
+      frameEdges[name] = edge.seed === undefined ? edge : { ...edge, seed: frameSeed(edge.seed, i) };
+    });
+    frameOptions.push({ ...options, seed: frameSeed(seed, i), edges: frameEdges });
+  }
+  return frameOptions;
+}
+
+/**
+ * Generate the frames of an animated "boiling line" border.
+ *
+ * Every frame shares the same geometry but uses its own seed, so cycling
+ * through them redraws the outline with a slightly different wobble each
+ * time, like hand-drawn animation.
+ *
+ * @param {Object} options - Accepts every generateWigglyPath option, or with `lineShape` every
+ *   generateWigglyLine option, plus:
+ * @param {boolean} [options.animate=false] - Generate several frames instead of one
+ * @param {number} [options.frames=4] - Number of frames when animating
+ * @returns {{frames: Array<string>, viewBoxWidth: number, viewBoxHeight: number}} Path data per frame and viewBox dimensions
+ */
+function generateWigglyFrames(options = {}) {
+  const results = getFrameOptions(options).map((frameOptions) => generateOutline(frameOptions));
+
+  return {
+    frames: results.map((result) => result.pathData),
+    viewBoxWidth: results[0].viewBoxWidth,
+    viewBoxHeight: results[0].viewBoxHeight,
+  };
+}
+
+/**
+ * Work out the pen passes for the border stroke.
+ *
+ * `strokes` is either a count or a list of passes. In a counted set the first
+ * pass is the clean line, and the rest wander off it, thinner and lighter.
+ *
+ * @param {Object} options - Generator options
+ * @returns {Array<{seed: string, jitter: number, opacity: number, width: number, overshoot: number}>} Pen passes
+ */
+function getStrokePasses(options) {
+  const { strokes = 1, strokeJitter = 1.5, strokeOvershoot = 0, borderWidth = 4, seed = DEFAULT_SEED } = options;
+  const passes = Array.isArray(strokes) ? strokes : Array.from({ length: Math.max(1, Math.round(strokes)) }, () => ({}));
+
+  return passes.map((pass, i) => ({
+    seed: `${seed}:stroke${i}`,
+    jitter: i === 0 ? 0 : strokeJitter,
+    opacity: i === 0 ? 1 : 0.7,
+    width: i === 0 ? borderWidth : borderWidth * 0.6,
+    overshoot: strokeOvershoot,
+    ...pass,
+  }));
+}
+
+/**
+ * Generate every path a border is drawn with: the fill, plus one stroke
+ * path per pen pass, each with a path per animation frame.
+ *
+ * @param {Object} options - Accepts every generateWigglyFrames option, plus:
+ * @param {number|Array<Object>} [options.strokes=1] - Number of pen passes, or a list of
+ *   `{seed, jitter, opacity, width, overshoot}` passes
+ * @param {number} [options.strokeJitter=1.5] - How far passes after the first drift off the line
+ * @param {number} [options.strokeOvershoot=0] - How far each pass runs past its start; negative leaves a gap
+ * @param {boolean} [options.shadow=false] - Add an offset shadow behind the border, like a misregistered
+ *   riso print; the shadow's offset, color and blur are drawn by the exports
+ * @param {string} [options.shadowOutline="same"] - "same" to cast the border's own outline, or "fresh"
+ *   for an outline with its own wobble
+ * @param {boolean} [options.safeArea=false] - Also find the safe area for content
+ * @returns {{viewBoxWidth: number, viewBoxHeight: number, fill: Array<string>, strokes: Array<{width: number,
+ *   opacity: number, frames: Array<string>}>, shadow?: Array<string>, safeArea?: Object|null}} Fill frames,
+ *   stroke layers, with a shadow its frames, and with `safeArea` the safe area every frame of a border leaves for content
+ */
+function generateBorderLayers(options = {}) {
+  const { waveStyle = "sine", tension = 0.5, precision, compactPaths = false, shadow = false, shadowOutline = "same" } = options;
+  const frameOptions = getFrameOptions(options);
+  const results = frameOptions.map((frame) => generateOutline(frame));
+  const waves = { waveStyle, tension, precision, compactPaths };
+
+  const layers = {
+    viewBoxWidth: results[0].viewBoxWidth,
+    viewBoxHeight: results[0].viewBoxHeight,
+    fill: results.map((result) => result.pathData),
+    strokes: getStrokePasses(options).map((pass) => ({
+      width: pass.width,
+      opacity: pass.opacity,
+      frames: results.map((result) => renderContours(result.contours, waves, pass)),
+    })),
+  };
+
+  if (shadow) {
+    layers.shadow =
+      shadowOutline === "fresh"
+        ? frameOptions.map((frame) => generateOutline({ ...frame, seed: `${frame.seed}:shadow`, safeArea: false }).pathData)
+        : layers.fill;
+  }
+
+  // Content must stay clear of the waves in every frame, so keep the overlap
+  if (results[0].safeArea !== undefined) {
+    const areas = results.map((result) => result.safeArea);
+    const left = Math.max(...areas.map((area) => (area ? area.x : Infinity)));
+    const top = Math.max(...areas.map((area) => (area ? area.y : Infinity)));
+    const right = Math.min(...areas.map((area) => (area ? area.x + area.width : -Infinity)));
+    const bottom = Math.min(...areas.map((area) => (area ? area.y + area.height : -Infinity)));
+    layers.safeArea = right > left && bottom > top ? { x: left, y: top, width: right - left, height: bottom - top } : null;
+  }
+
+  return layers;
+}
+
+/**
+ * List the frames of every path in a border, in the order the paths are drawn.
+ *
+ * @param {Object} layers - Result of generateBorderLayers
+ * @returns {Array<Array<string>>} Frames for each path
+ */
+function getLayerFrames(layers) {
+  return [...(layers.shadow ? [layers.shadow] : []), layers.fill, ...layers.strokes.map((stroke) => stroke.frames)];
+}
+
+// Every function a responsive export's runtime may need, in the order they're
+// defined; getRuntimeFunctions picks the ones its options use
+const RUNTIME_FUNCTIONS = [
+  hashSeed,
+  createRandom,
+  createNoise,
+  getOrganicOffset,
+  getPolylineLength,
+  resamplePolyline,
+  generateEdgePoints,
+  generateSmoothPath,
+  generateLinearPath,
+  generateScallopPath,
+  generateStyledPath,
+  calculateSegments,
+  getArcPoints,
+  getRoundedRectEdges,
+  getShapeEdges,
+  addAttachments,
+  getAttachmentInsets,
+  getEndpointArcPoints,
+  parsePathData,
+  splitAtCorners,
+  getPathOutlines,
+  generatePiecewiseEdgePoints,
+  generateOutlinePoints,
+  applyPointOffsets,
+  generateContours,
+  jitterPoints,
+  openLoop,
+  renderContours,
+  formatPathNumber,
+  formatPathData,
+  getPathPadding,
+  getShadowInsets,
+  generateWigglyPath,
+  generateWigglyLine,
+  generateOutline,
+  getFrameOptions,
+  getStrokePasses,
+  generateBorderLayers,
+  getLayerFrames,
+];
+
+/**
+ * Pick the functions a responsive export's runtime needs to regenerate its
+ * border. The generator only calls the helpers for the shape, wave style and
+ * extras the options ask for, so the rest can be left out. The runtime always
+ * draws in pixels and never needs the safe area.
+ *
+ * @param {Object} options - Generator options
+ * @returns {Array<Function>} Functions, in the order they're defined
+ */
+function getRuntimeFunctions(options) {
+  const { shape = "rect", lineShape, waveStyle = "sine", precision, compactPaths = false, pointOffsets = [], attachments = [] } = options;
+  const passes = getStrokePasses(options);
+  const joins = { smooth: generateSmoothPath, arc: generateScallopPath, linear: generateLinearPath };
+
+  let shapeFunctions;
+  if (lineShape) {
+    shapeFunctions = lineShape === "loop" ? [generateWigglyLine, getShapeEdges, getArcPoints] : [generateWigglyLine];
+  } else if (shape === "path") {
+    shapeFunctions = [generateWigglyPath, getAttachmentInsets, getPathOutlines, parsePathData, getEndpointArcPoints, splitAtCorners];
+  } else {
+    shapeFunctions = [generateWigglyPath, getAttachmentInsets, getShapeEdges];
+    if (shape !== "polygon") shapeFunctions.push(getArcPoints);
+    if (shape !== "polygon" && shape !== "ellipse") shapeFunctions.push(getRoundedRectEdges);
+    if (attachments.length > 0) shapeFunctions.push(addAttachments);
+  }
+
+  const needed = new Set([
+    hashSeed,
+    createRandom,
+    createNoise,
+    getOrganicOffset,
+    getPolylineLength,
+    resamplePolyline,
+    generateEdgePoints,
+    joins[WAVE_STYLE_JOINS[waveStyle]],
+    generateStyledPath,
+    calculateSegments,
+    generatePiecewiseEdgePoints,
+    generateOutlinePoints,
+    generateContours,
+    renderContours,
+    getPathPadding,
+    getShadowInsets,
+    generateOutline,
+    getFrameOptions,
+    getStrokePasses,
+    generateBorderLayers,
+    getLayerFrames,
+    ...shapeFunctions,
+    ...(pointOffsets.length > 0 ? [applyPointOffsets] : []),
+    ...(passes.some((pass) => pass.jitter) ? [jitterPoints] : []),
+    ...(passes.some((pass) => pass.overshoot) ? [openLoop] : []),
+    ...(precision !== undefined || compactPaths ? [formatPathNumber, formatPathData] : []),
+  ]);
+
+  return RUNTIME_FUNCTIONS.filter((fn) => needed.has(fn));
+}
+
+/**
+ * Build the source of a small standalone runtime that defines generateBorderLayers
+ * and the helpers it uses for the given options.
+ *
+ * Responsive exports embed it so they can regenerate the path for the real
+ * container size. It's built from this file's own functions, so it always
+ * matches the generator that produced the export.
+ *
+ * @param {Object} options - Generator options
+ * @param {boolean} [typescript=false] - Add the types a strict TypeScript build needs (see addRuntimeTypes)
+ * @returns {string} JavaScript or TypeScript source
+ */
+function getRuntimeSource(options, typescript = false) {
+  const constants = { DEFAULT_SEED, WAVE_STYLE_JOINS };
+  const functions = getRuntimeFunctions(options);
+  const source = [
+    ...Object.entries(constants).map(([name, value]) => `const ${name} = ${JSON.stringify(value)};`),
+    ...functions.map((fn) => fn.toString()),
+  ].join("\n\n");
+
+  return typescript ? addRuntimeTypes(source, functions) : source;
+}
+
+/**
+ * Mark which characters of JavaScript source are code, as opposed to
+ * comments, strings, template literals and regular expressions. Good
+ * enough for this file's own functions, which is all it's used on.
+ *
+ * @param {string} source - JavaScript source
+ * @returns {Uint8Array} 1 for each character of code
+ */
+function getCodeMask(source) {
+  const mask = new Uint8Array(source.length);
+  let previous = "";
+  let i = 0;
+
+  // A slash starts a regular expression where a value is expected
+  const startsRegExp = () => previous === "" || "(,=:[!&|?{};+-*%<>~^".includes(previous) || /\breturn\s*$/.test(source.slice(0, i));
+
+  while (i < source.length) {
+    const char = source[i];
+    const next = source[i + 1];
+
+    if (char === "/" && next === "/") {
+      i = source.indexOf("\n", i);
+      if (i === -1) i = source.length;
+    } else if (char === "/" && next === "*") {
+      i = source.indexOf("*/", i + 2) + 2;
+    } else if (char === '"' || char === "'" || char === "`" || (char === "/" && startsRegExp())) {
+      let inClass = false;
+      for (i++; i < source.length; i++) {
+        if (source[i] === "\\") i++;
+        else if (char === "/" && source[i] === "[") inClass = true;
+        else if (char === "/" && source[i] === "]") inClass = false;
+        else if (source[i] === char && !inClass) break;
+      }
+      i++;
+      previous = "x";
+    } else {
+      mask[i] = 1;
+      if (!/\s/.test(char)) previous = char;
+      i++;
+    }
+  }
+
+  return mask;
+}
+
+/**
+ * Map each closing parenthesis in JavaScript code to the one that opens it.
+ *
+ * @param {string} source - JavaScript source
+ * @param {Uint8Array} mask - Result of getCodeMask
+ * @returns {Map<number, number>} Index of each ")" to the index of its "("
+ */
+function matchParentheses(source, mask) {
+  const pairs = new Map();
+  const open = [];
+
+  for (let i = 0; i < source.length; i++) {
+    if (!mask[i]) continue;
+    if (source[i] === "(") open.push(i);
+    if (source[i] === ")") pairs.set(i, open.pop());
+  }
+
+  return pairs;
+}
+
+/**
+ * Find where each parameter in a parameter list can take a type: after its
+ * name or pattern, before any default value.
+ *
+ * @param {string} source - JavaScript source
+ * @param {Uint8Array} mask - Result of getCodeMask
+ * @param {number} start - Index just inside the opening parenthesis
+ * @param {number} end - Index of the closing parenthesis
+ * @returns {Array<{index: number, rest: boolean}>} Insertion points
+ */
+function getParameterTypePositions(source, mask, start, end) {
+  const positions = [];
+  const add = (from, to) => {
+    const text = source.slice(from, to);
+    if (text.trim()) positions.push({ index: from + text.trimEnd().length, rest: text.trimStart().startsWith("...") });
+  };
+
+  let depth = 0;
+  let from = start;
+  let defaultAt;
+  for (let i = start; i < end; i++) {
+    const char = source[i];
+    if (!mask[i]) continue;
+
+    if ("([{".includes(char)) depth++;
+    else if (")]}".includes(char)) depth--;
+    else if (depth === 0 && char === "=" && defaultAt === undefined) defaultAt = i;
+    else if (depth === 0 && char === ",") {
+      add(from, defaultAt ?? i);
+      from = i + 1;
+      defaultAt = undefined;
+    }
+  }
+  add(from, defaultAt ?? end);
+
+  return positions;
+}
+
+/**
+ * Turn the runtime into TypeScript that compiles under `strict`, so a React
+ * export can keep type checking on for the whole file. The functions are
+ * this file's own JavaScript, so their parameters, results and empty
+ * collections are typed `any`. Functions the runtime leaves out, because
+ * these options never reach them, are declared instead.
+ *
+ * @param {string} source - Runtime source from getRuntimeSource
+ * @param {Array<Function>} functions - The functions it defines
+ * @returns {string} TypeScript source
+ */
+function addRuntimeTypes(source, functions) {
+  const mask = getCodeMask(source);
+  const pairs = matchParentheses(source, mask);
+  const openers = new Map([...pairs].map(([close, open]) => [open, close]));
+  const insertions = [];
+  const typeParameters = (open, close) =>
+    getParameterTypePositions(source, mask, open + 1, close).forEach(({ index, rest }) =>
+      insertions.push({ index, text: rest ? ": any[]" : ": any" }),
+    );
+
+  // Parameter lists of function declarations, which also get a result type,
+  // and of arrow functions
+  for (const match of source.matchAll(/\bfunction\b[\w\s]*\(/g)) {
+    const open = match.index + match[0].length - 1;
+    if (!mask[match.index] || !mask[open]) continue;
+
+    typeParameters(open, openers.get(open));
+    insertions.push({ index: openers.get(open) + 1, text: ": any" });
+  }
+  for (const match of source.matchAll(/\)\s*=>/g)) {
+    if (mask[match.index]) typeParameters(pairs.get(match.index), match.index);
+  }
+
+  let typed = source;
+  insertions
+    .sort((a, b) => b.index - a.index)
+    .forEach(({ index, text }) => {
+      typed = typed.slice(0, index) + text + typed.slice(index);
+    });
+
+  // Objects here gain keys after they're made, and are read by computed keys
+  typed = typed
+    .replace(/\b(const|let) (\w+) = \[\];/g, "$1 $2: any[] = [];")
+    .replace(/\b(const|let) (\w+) = \{/g, "$1 $2: Record<string, any> = {")
+    .replace(/\blet (\w+) = null;/g, "let $1: any = null;")
+    .replace(/\blet (\w+);/g, "let $1: any;");
+
+  const defined = new Set(functions);
+  const omitted = [...RUNTIME_FUNCTIONS, calculateViewBox, getSafeArea].filter(
+    (fn) => !defined.has(fn) && new RegExp(`\\b${fn.name}\\(`).test(source),
+  );
+
+  return [...omitted.map((fn) => `declare function ${fn.name}(...args: any[]): any;`), typed].join("\n");
+}
+
+/**
+ * Escape a value for use inside a single-quoted HTML or JSX attribute.
+ *
+ * @param {string} value - Raw attribute value
+ * @returns {string} Escaped value
+ */
+function escapeAttribute(value) {
+  return value.replace(/&/g, "&amp;").replace(/'/g, "&#39;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+// Marks the options comment of component and CSS exports, e.g.
+// `// wiggly-border options: {"seed":"card"}`
+const OPTIONS_MARKER = "wiggly-border options:";
+
+/**
+ * Write the options an export was made with as JSON that is safe inside
+ * markup, scripts and comments. Anything that could close the element or
+ * comment around it can only appear within strings, so it is escaped there.
+ *
+ * @param {Object} options - Export options
+ * @param {boolean} [options.metadata=true] - Set to false to leave the options out
+ * @returns {string} JSON on one line, or "" without metadata
+ */
+function serializeExportOptions(options) {
+  const { metadata = true, ...exported } = options;
+  const json = JSON.stringify(exported);
+  if (!metadata) return "";
+
+  return json.replace(/[<>&\u2028\u2029]|\*\//g, (match) =>
+    match === "*/" ? "*\\/" : `\\u${match.charCodeAt(0).toString(16).padStart(4, "0")}`,
+  );
+}
+
+/**
+ * Build the comment that carries a component's options, so the editor can
+ * import it again (see readExportOptions).
+ *
+ * @param {Object} options - Export options, as for serializeExportOptions
+ * @returns {string} A line comment and a blank line, or "" without metadata
+ */
+function getOptionsComment(options) {
+  const exported = serializeExportOptions(options);
+  return exported ? `// ${OPTIONS_MARKER} ${exported}\n\n` : "";
+}
+
+/**
+ * Pick the options a responsive export hands to its runtime.
+ * The target size is left out, since the runtime measures the real one.
+ *
+ * @param {Object} options - Generator options
+ * @returns {Object} Options for the runtime
+ */
+function getRuntimeOptions(options) {
+  const { targetWidth, targetHeight, responsive, ...runtimeOptions } = options;
+  return runtimeOptions;
+}
+
+/**
+ * Describe the gradients, patterns and filters a border's paints need, as
+ * `[tag, attributes, children]` nodes that each export format renders in
+ * its own syntax. Attribute values are plain strings, `{prop}` for a color
+ * the components take as a prop, or `{ref}` for an ID within the border.
+ *
+ * Solid paints need no definitions, so their output is unchanged.
+ *
+ * @param {Object} options
+ * @param {string} [options.fillStyle="solid"] - "solid", "linear", "radial", "dots", "hatch" or "grain"
+ * @param {string} [options.backgroundAccentColor="#F2DDB3"] - Gradient end, or the color of the pattern's marks
+ * @param {boolean} [options.strokeGradient=false] - Blend the border from borderColor to borderAccentColor
+ * @param {string} [options.borderAccentColor="#C9973A"] - Gradient end for the border
+ * @param {number} [options.gradientAngle=90] - Direction of linear gradients in degrees; 0 runs left to right, 90 top to bottom
+ * @param {boolean} [options.shadow=false] - Draw an offset shadow behind the border
+ * @param {number} [options.shadowOffsetX=6] - How far right the shadow sits, in viewBox units; negative moves it left
+ * @param {number} [options.shadowOffsetY=6] - How far down the shadow sits, in viewBox units; negative moves it up
+ * @param {string} [options.shadowColor="#E0A33B"] - Shadow color
+ * @param {number} [options.shadowBlur=0] - Blur radius (standard deviation) in viewBox units; 0 keeps a crisp edge
+ * @param {string} [options.lineShape] - Set for lines, which are stroked but never filled
+ * @returns {{defs: Array<Array>, fill: string|Object, stroke: string|Object, shadow: Object|null}} Definitions,
+ *   the fill and stroke paints, and the shadow path's attributes, or null without a shadow
+ */
+function getPaintNodes(options) {
+  const {
+    fillStyle = "solid",
+    backgroundAccentColor = "#F2DDB3",
+    strokeGradient = false,
+    borderAccentColor = "#C9973A",
+    gradientAngle = 90,
+    shadow = false,
+    shadowOffsetX = 6,
+    shadowOffsetY = 6,
+    shadowColor = "#E0A33B",
+    shadowBlur = 0,
+    strokeLinecap = "round",
+    strokeLinejoin = "round",
+    lineShape,
+  } = options;
+
+  // Gradient ends sit on opposite sides of the bounding box along the angle
+  const radians = (gradientAngle * Math.PI) / 180;
+  const offset = (sign, trig) => `${Math.round((50 + sign * 50 * trig(radians)) * 100) / 100}%`;
+  const linearGradient = (ref, from, to) => [
+    "linearGradient",
+    { id: { ref }, x1: offset(-1, Math.cos), y1: offset(-1, Math.sin), x2: offset(1, Math.cos), y2: offset(1, Math.sin) },
+    [
+      ["stop", { offset: "0", "stop-color": from }],
+      ["stop", { offset: "1", "stop-color": to }],
+    ],
+  ];
+
+  const background = { prop: "backgroundColor" };
+  const tile = (size, marks, attributes = {}) => [
+    "pattern",
+    { id: { ref: "fill" }, width: `${size}`, height: `${size}`, patternUnits: "userSpaceOnUse", ...attributes },
+    [["rect", { width: `${size}`, height: `${size}`, fill: background }], ...marks],
+  ];
+
+  const fills = {
+    linear: () => [linearGradient("fill", background, backgroundAccentColor)],
+    radial: () => [
+      [
+        "radialGradient",
+        { id: { ref: "fill" }, cx: "50%", cy: "50%", r: "71%" },
+        [
+          ["stop", { offset: "0", "stop-color": background }],
+          ["stop", { offset: "1", "stop-color": backgroundAccentColor }],
+        ],
+      ],
+    ],
+    dots: () => [tile(12, [["circle", { cx: "6", cy: "6", r: "1.5", fill: backgroundAccentColor }]])],
+    hatch: () => [tile(8, [["rect", { width: "2", height: "8", fill: backgroundAccentColor }]], { patternTransform: "rotate(45)" })],
+
+    // Noise turned into specks of the accent color; stitched so the tiles meet seamlessly
+    grain: () => [
+      [
+        "filter",
+        { id: { ref: "grain" }, x: "0", y: "0", width: "1", height: "1" },
+        [
+          ["feTurbulence", { type: "fractalNoise", baseFrequency: "0.8", numOctaves: "3", stitchTiles: "stitch" }],
+          ["feColorMatrix", { type: "matrix", values: "0 0 0 0 0 0 0 0 0 0 0 0 0 0 0 1.6 0 0 0 -0.7", result: "noise" }],
+          ["feFlood", { "flood-color": backgroundAccentColor }],
+          ["feComposite", { in2: "noise", operator: "in" }],
+        ],
+      ],
+      tile(128, [["rect", { width: "128", height: "128", filter: { ref: "grain", url: true } }]]),
+    ],
+  };
+
+  // Lines are only ever stroked
+  const fillDefs = !lineShape && fills[fillStyle] ? fills[fillStyle]() : [];
+  const strokeDefs = strokeGradient ? [linearGradient("stroke", { prop: "borderColor" }, borderAccentColor)] : [];
+
+  // The filter region is widened so the blur isn't cut off at the shadow's bounding box
+  const blurred = shadow && shadowBlur > 0;
+  const shadowDefs = blurred
+    ? [
+        [
+          "filter",
+          { id: { ref: "shadow" }, x: "-50%", y: "-50%", width: "200%", height: "200%" },
+          [["feGaussianBlur", { stdDeviation: `${shadowBlur}` }]],
+        ],
+      ]
+    : [];
+
+  // The shadow is filled and stroked at the border width, so it has the same silhouette as the border
+  const shadowAttributes = shadow
+    ? {
+        fill: lineShape ? "none" : shadowColor,
+        stroke: shadowColor,
+        "stroke-width": { prop: "borderWidth" },
+        "stroke-linecap": strokeLinecap,
+        "stroke-linejoin": strokeLinejoin,
+        ...(blurred ? { filter: { ref: "shadow", url: true } } : {}),
+        transform: `translate(${shadowOffsetX} ${shadowOffsetY})`,
+        "vector-effect": "non-scaling-stroke",
+      }
+    : null;
+
+  return {
+    defs: [...fillDefs, ...strokeDefs, ...shadowDefs],
+    fill: lineShape ? "none" : fillDefs.length > 0 ? { ref: "fill", url: true } : background,
+    stroke: strokeDefs.length > 0 ? { ref: "stroke", url: true } : { prop: "borderColor" },
+    shadow: shadowAttributes,
+  };
+}
+
+/**
+ * Turn a paint node's attribute value into its plain value.
+ *
+ * @param {string|Object} value - Plain string, `{prop}` or `{ref, url}` (see getPaintNodes)
+ * @param {Object} values - The colors by prop name, and `id`, the prefix for IDs
+ * @returns {string} Attribute value
+ */
+function resolvePaintValue(value, values) {
+  if (typeof value === "string") return value;
+
+  const literal = value.prop ? values[value.prop] : `${values.id}-${value.ref}`;
+  return value.url ? `url(#${literal})` : literal;
+}
+
+/**
+ * Turn a paint node's attribute value into a JavaScript expression, for
+ * exports that bind it. Expects `id` and the color props in scope.
+ *
+ * @param {string|Object} value - Plain string, `{prop}` or `{ref, url}` (see getPaintNodes)
+ * @returns {string} JavaScript expression
+ */
+function getPaintExpression(value) {
+  if (typeof value === "string") return JSON.stringify(value);
+  if (value.prop) return value.prop;
+  return value.url ? `\`url(#\${id}-${value.ref})\`` : `\`\${id}-${value.ref}\``;
+}
+
+/**
+ * Format one attribute of a paint node (see getPaintNodes).
+ *
+ * "svg" writes plain values, looked up in `values`. The other syntaxes bind
+ * props and IDs as expressions, which expect `id` and the color props in scope:
+ * "jsx" for React, "vue", "svelte", and "template" for HTML in a JS template literal.
+ *
+ * @param {string} name - SVG attribute name
+ * @param {string|Object} value - Plain string, `{prop}` or `{ref, url}`
+ * @param {string} syntax - "svg", "jsx", "vue", "svelte" or "template"
+ * @param {Object} [values] - For "svg": the colors by prop name, and `id`
+ * @returns {string} The attribute, e.g. `fill="url(#wiggly-fill)"`
+ */
+function formatPaintAttribute(name, value, syntax, values = {}) {
+  const attributeName = syntax === "jsx" ? name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase()) : name;
+
+  if (typeof value === "string" || syntax === "svg") return `${attributeName}="${resolvePaintValue(value, values)}"`;
+
+  const expression = getPaintExpression(value);
+
+  return {
+    jsx: `${attributeName}={${expression}}`,
+    vue: `:${attributeName}="${expression}"`,
+    svelte: `${attributeName}={${expression}}`,
+    template: `${attributeName}="\${${expression}}"`,
+  }[syntax];
+}
+
+/**
+ * Render paint nodes as markup in one of formatPaintAttribute's syntaxes.
+ *
+ * @param {Array<Array>} nodes - From getPaintNodes
+ * @param {string} syntax - See formatPaintAttribute
+ * @param {string} indent - Indent of the outermost nodes
+ * @param {Object} [values] - See formatPaintAttribute
+ * @returns {string} Markup, one element per line
+ */
+function renderPaintNodes(nodes, syntax, indent, values) {
+  return nodes
+    .map(([tag, attributes, children = []]) => {
+      const formatted = Object.entries(attributes)
+        .map(([name, value]) => ` ${formatPaintAttribute(name, value, syntax, values)}`)
+        .join("");
+
+      return children.length > 0
+        ? `${indent}<${tag}${formatted}>\n${renderPaintNodes(children, syntax, `${indent}  `, values)}\n${indent}</${tag}>`
+        : `${indent}<${tag}${formatted} />`;
+    })
+    .join("\n");
+}
+
+/**
+ * Wrap rendered paint definitions in a `<defs>` element, or return an empty
+ * string when there are none, so solid borders keep their plain markup.
+ *
+ * @param {Array<Array>} nodes - From getPaintNodes
+ * @param {string} syntax - See formatPaintAttribute
+ * @param {string} indent - Indent of the `<defs>` element
+ * @param {Object} [values] - See formatPaintAttribute
+ * @returns {string} Markup followed by a newline, or ""
+ */
+function renderPaintDefs(nodes, syntax, indent, values) {
+  if (nodes.length === 0) return "";
+  return `${indent}<defs>\n${renderPaintNodes(nodes, syntax, `${indent}  `, values)}\n${indent}</defs>\n`;
+}
+
+// Counts the standalone borders that got their own definition IDs, so two
+// copies of the same border inlined on one page still don't share them
+let defsCount = 0;
+
+/**
+ * Work out the ID prefix for a standalone border's definitions. Without a
+ * `defsId`, it's a hash of the options plus a count of the calls, so no two
+ * borders inlined on one page share IDs, even identical ones. Borders from
+ * separate runs only meet on the hash, so they clash only when they're the same.
+ *
+ * @param {Object} options - Generator options, plus:
+ * @param {string} [options.defsId] - Prefix to use instead
+ * @returns {string} ID prefix
+ */
+function getDefsId(options) {
+  if (options.defsId) return options.defsId;
+
+  defsCount++;
+  return `wiggly-${hashSeed(JSON.stringify(options)).toString(36)}-${defsCount}`;
+}
+
+/**
+ * Get the stroke attributes that style the line itself: its caps, joins and dashes.
+ *
+ * @param {Object} options
+ * @param {string} [options.strokeLinecap="round"] - "round", "butt" or "square"
+ * @param {string} [options.strokeLinejoin="round"] - "round", "miter" or "bevel"
+ * @param {string} [options.strokeDasharray=""] - SVG dash array for a dashed, dotted or stitched line, e.g. "12 8"
+ * @returns {Object<string, string>} Attribute values by SVG name
+ */
+function getStrokeStyleAttributes(options) {
+  const { strokeLinecap = "round", strokeLinejoin = "round", strokeDasharray = "" } = options;
+
+  return {
+    "stroke-linecap": strokeLinecap,
+    "stroke-linejoin": strokeLinejoin,
+    ...(strokeDasharray ? { "stroke-dasharray": strokeDasharray } : {}),
+  };
+}
+
+/**
+ * Render attributes, one per line, in one of formatPaintAttribute's syntaxes.
+ *
+ * @param {Object<string, string|Object>} attributes - Values by SVG name, as in paint nodes
+ * @param {string} syntax - See formatPaintAttribute
+ * @param {string} indent - Indent of each attribute
+ * @param {Object} [values] - See formatPaintAttribute
+ * @returns {string} Attributes, each starting on a new line
+ */
+function renderAttributeLines(attributes, syntax, indent, values) {
+  return Object.entries(attributes)
+    .map(([name, value]) => `\n${indent}${formatPaintAttribute(name, value, syntax, values)}`)
+    .join("");
+}
+
+/**
+ * Render the stroke style attributes, one per line, in one of formatPaintAttribute's syntaxes.
+ *
+ * @param {Object} options - See getStrokeStyleAttributes
+ * @param {string} syntax - See formatPaintAttribute
+ * @param {string} indent - Indent of each attribute
+ * @returns {string} Attributes, each starting on a new line
+ */
+function renderStrokeStyle(options, syntax, indent) {
+  return renderAttributeLines(getStrokeStyleAttributes(options), syntax, indent);
+}
+
+/**
+ * Generate the paint definitions for a border drawn by hand, such as in a
+ * page that updates its own `<path>` elements.
+ *
+ * @param {Object} options - Accepts the paint options of getPaintNodes and the
+ *   colors, plus `defsId` (see getDefsId)
+ * @returns {{defs: string, fill: string, stroke: string, shadow: Object<string, string>|null}} Markup for the
+ *   inside of a `<defs>` element (empty for solid paints), the fill and stroke attribute values, and the
+ *   shadow path's attributes, or null without a shadow
+ */
+function generatePaints(options = {}) {
+  const { backgroundColor = "#FFF8EA", borderColor = "#815A0E", borderWidth = 4 } = options;
+  const paints = getPaintNodes(options);
+  const values = { backgroundColor, borderColor, borderWidth, id: getDefsId(options) };
+
+  return {
+    defs: renderPaintNodes(paints.defs, "svg", "", values),
+    fill: resolvePaintValue(paints.fill, values),
+    stroke: resolvePaintValue(paints.stroke, values),
+    shadow:
+      paints.shadow &&
+      Object.fromEntries(Object.entries(paints.shadow).map(([name, value]) => [name, `${resolvePaintValue(value, values)}`])),
+  };
+}
+
+// The custom property each color reads from when colorTokens is "variables",
+// and the color it falls back to
+const COLOR_TOKENS = {
+  backgroundColor: { variable: "--wiggly-fill", fallback: "#FFF8EA" },
+  borderColor: { variable: "--wiggly-border", fallback: "#815A0E" },
+  backgroundAccentColor: { variable: "--wiggly-fill-accent", fallback: "#F2DDB3" },
+  borderAccentColor: { variable: "--wiggly-border-accent", fallback: "#C9973A" },
+  shadowColor: { variable: "--wiggly-shadow", fallback: "#E0A33B" },
+};
+
+/**
+ * Swap the color options for what an export writes in their place, so the
+ * border can follow the page's theme. "currentColor" draws the border in the
+ * surrounding text color; "variables" reads every color from a custom
+ * property, e.g. `var(--wiggly-fill, #FFF8EA)`, with the color as fallback.
+ *
+ * @param {Object} options - Generator options
+ * @param {string} [options.colorTokens="literal"] - "literal", "currentColor" or "variables"
+ * @returns {Object} The options, with their colors replaced
+ */
+function applyColorTokens(options) {
+  const { colorTokens = "literal" } = options;
+  if (colorTokens === "currentColor") return { ...options, borderColor: "currentColor" };
+  if (colorTokens !== "variables") return options;
+
+  const colors = Object.entries(COLOR_TOKENS).map(([key, { variable, fallback }]) => [
+    key,
+    `var(${variable}, ${options[key] ?? fallback})`,
+  ]);
+  return { ...options, ...Object.fromEntries(colors) };
+}
+
+/**
+ * Build the rules that switch a border to its dark palette when the page
+ * prefers a dark color scheme, by setting the custom properties its colors
+ * read from. `:where()` keeps them below any value the page sets itself.
+ *
+ * @param {Object} options
+ * @param {string} [options.colorTokens="literal"] - Only "variables" has properties to set
+ * @param {Object<string, string>} [options.darkColors] - Dark versions of any of the color options
+ * @param {string} [root=":where(:root)"] - Selector for the element the properties are set on
+ * @returns {string} CSS rules, or "" when there is nothing to switch
+ */
+function getColorSchemeStyles(options, root = ":where(:root)") {
+  const { colorTokens = "literal", darkColors = {} } = options;
+  const declarations = Object.entries(COLOR_TOKENS)
+    .filter(([key]) => darkColors[key])
+    .map(([key, { variable }]) => `    ${variable}: ${darkColors[key]};`);
+  if (colorTokens !== "variables" || declarations.length === 0) return "";
+
+  return `@media (prefers-color-scheme: dark) {
+  ${root} {
+${declarations.join("\n")}
+  }
+}`;
+}
+
+/**
+ * Work out which of a border's layers keep their own colors in forced colors
+ * mode, such as Windows High Contrast. Browsers leave SVG paints alone there,
+ * except for currentColor, so these layers need rules that hand them the
+ * system colors, or hide them in the case of the shadow.
+ *
+ * @param {Object} options - Generator options
+ * @returns {{fill: boolean, stroke: boolean, shadow: boolean}} Whether each layer needs a rule
+ */
+function getForcedColorLayers(options) {
+  const { lineShape, strokeGradient = false, shadow = false } = options;
+  const { borderColor = "#815A0E" } = applyColorTokens(options);
+
+  return { fill: !lineShape, stroke: strokeGradient || borderColor !== "currentColor", shadow };
+}
+
+/**
+ * Build the CSS rules that keep an exported border usable for everyone.
+ * In forced colors mode the fill and stroke take the system colors and the
+ * shadow goes. SMIL animations can't be paused from CSS, so an animated SVG
+ * also carries a still copy that replaces it when motion is reduced; the
+ * components just don't start their frame timer.
+ *
+ * The rules target the classes getLayerMarkup gives its paths and groups,
+ * which the components give theirs too.
+ *
+ * @param {{fill: boolean, stroke: boolean, shadow: boolean}} layers - Layers that need a forced colors rule,
+ *   from getForcedColorLayers
+ * @param {boolean} [animated=false] - Whether the border is an animated SVG with a still copy
+ * @returns {string} CSS rules, or "" when there is nothing to override
+ */
+function getAccessibilityStyles(layers, animated = false) {
+  const motionRules = animated
+    ? [
+        `.wiggly-still {
+  display: none;
+}`,
+        `@media (prefers-reduced-motion: reduce) {
+  .wiggly-moving {
+    display: none;
+  }
+
+  .wiggly-still {
+    display: inline;
+  }
+}`,
+      ]
+    : [];
+
+  const forcedRules = [
+    layers.fill ? ".wiggly-fill {\n    fill: Canvas;\n  }" : "",
+    layers.stroke ? ".wiggly-stroke {\n    stroke: CanvasText;\n  }" : "",
+    layers.shadow ? ".wiggly-shadow {\n    display: none;\n  }" : "",
+  ].filter(Boolean);
+  const forcedColors = forcedRules.length > 0 ? [`@media (forced-colors: active) {\n  ${forcedRules.join("\n\n  ")}\n}`] : [];
+
+  return [...motionRules, ...forcedColors].join("\n\n");
+}
+
+/**
+ * Wrap CSS rules in an SVG `<style>` element, indented for the inside of an `<svg>`.
+ *
+ * @param {Array<string>} ruleSets - CSS rules, from getColorSchemeStyles and getAccessibilityStyles; empty ones are left out
+ * @returns {string} SVG markup, or "" when every rule set is empty
+ */
+function renderStyleElement(ruleSets) {
+  const rules = ruleSets.filter(Boolean).join("\n\n");
+  if (!rules) return "";
+
+  return `  <style>
+${rules.replace(/^(?=.)/gm, "    ")}
+  </style>
+`;
+}
+
+/**
+ * Build the `<path>` elements that draw a border's layers: any shadow, the fill,
+ * then one stroke per pen pass, after any gradients and patterns they use.
+ * Animated paths step through their frames in lockstep, in a group followed by
+ * a still copy of the first frame for reduced motion (see getAccessibilityStyles).
+ *
+ * @param {{fill: Array<string>, strokes: Array<{width: number, opacity: number, frames: Array<string>}>, shadow?: Array<string>}} layers -
+ *   From generateBorderLayers
+ * @param {Object} options - Accepts the options of getPaintNodes and getStrokeStyleAttributes, plus:
+ * @param {string} [options.backgroundColor="#FFF8EA"]
+ * @param {string} [options.borderColor="#815A0E"]
+ * @param {number} [options.borderWidth=4] - Stroke width of the shadow's outline
+ * @param {number} [options.frameRate=8] - Frames per second when animating
+ * @param {string} [options.defsId] - Prefix for the IDs of gradients and patterns (see getDefsId)
+ * @returns {string} SVG markup, indented for the inside of an `<svg>`
+ */
+function getLayerMarkup(layers, options) {
+  const { backgroundColor = "#FFF8EA", borderColor = "#815A0E", borderWidth = 4, frameRate = 8 } = options;
+  const paints = getPaintNodes(options);
+  const values = { backgroundColor, borderColor, borderWidth, id: getDefsId(options) };
+  const strokeStyle = renderStrokeStyle(options, "svg", "    ");
+
+  const closePath = (frames, selfClosing) =>
+    frames.length > 1
+      ? `>
+    <animate
+      attributeName="d"
+      values="${frames.join(";")}"
+      dur="${frames.length / frameRate}s"
+      calcMode="discrete"
+      repeatCount="indefinite"
+    />
+  </path>`
+      : selfClosing;
+
+  // The still copy draws every layer from its first frame only
+  const renderPaths = (still) => {
+    const frames = (layerFrames) => (still ? layerFrames.slice(0, 1) : layerFrames);
+
+    const strokePaths = layers.strokes.map(
+      (stroke) => `  <path
+    class="wiggly-stroke"
+    d="${stroke.frames[0]}"
+    ${formatPaintAttribute("stroke", paints.stroke, "svg", values)}
+    stroke-width="${stroke.width}"${stroke.opacity < 1 ? `\n    stroke-opacity="${stroke.opacity}"` : ""}${strokeStyle}
+    fill="none"
+    vector-effect="non-scaling-stroke"
+  ${closePath(frames(stroke.frames), "/>")}`,
+    );
+
+    const fillPath = `  <path class="wiggly-fill" d="${layers.fill[0]}" ${formatPaintAttribute("fill", paints.fill, "svg", values)}${closePath(
+      frames(layers.fill),
+      " />",
+    )}`;
+
+    const shadowPaths = layers.shadow
+      ? [
+          `  <path
+    class="wiggly-shadow"
+    d="${layers.shadow[0]}"${renderAttributeLines(paints.shadow, "svg", "    ", values)}
+  ${closePath(frames(layers.shadow), "/>")}`,
+        ]
+      : [];
+
+    return [...shadowPaths, fillPath, ...strokePaths].join("\n");
+  };
+
+  const defs = renderPaintDefs(paints.defs, "svg", "  ", values);
+  if (layers.fill.length === 1) return `${defs}${renderPaths(false)}`;
+
+  const group = (className, paths) => `  <g class="${className}">
+${paths.replace(/^/gm, "  ")}
+  </g>`;
+  return `${defs}${group("wiggly-moving", renderPaths(false))}
+${group("wiggly-still", renderPaths(true))}`;
+}
+
+/**
+ * Generate a complete standalone SVG string.
+ *
+ * @param {Object} options - Accepts every generateBorderLayers option, plus:
+ * @param {string} [options.backgroundColor="#FFF8EA"]
+ * @param {string} [options.borderColor="#815A0E"]
+ * @param {number} [options.borderWidth=4]
+ * @param {boolean} [options.responsive=false] - Add a script that regenerates the path whenever the SVG is resized
+ * @param {boolean} [options.pixelSize=false] - Draw in CSS pixels at the target size and give the SVG that
+ *   width and height, for CSS images that need an intrinsic size
+ * @param {number} [options.frameRate=8] - Frames per second when animating
+ * @param {string} [options.colorTokens="literal"] - "currentColor" or "variables" to follow the page's colors (see applyColorTokens)
+ * @param {Object<string, string>} [options.darkColors] - Colors for a dark color scheme, with "variables" (see getColorSchemeStyles)
+ * @param {boolean} [options.metadata=true] - Keep the options in a `<metadata>` element, so the editor can import the SVG again
+ * @returns {string} Complete SVG markup
+ */
+function generateSvgString(options = {}) {
+  const { responsive = false, pixelSize = false } = options;
+
+  // Responsive output starts with paths drawn in pixels at the target size,
+  // which the runtime then keeps in step with the rendered size
+  const layers = generateBorderLayers({ ...options, pixelViewBox: responsive || pixelSize });
+  const { viewBoxWidth, viewBoxHeight } = layers;
+  const sizeAttributes = pixelSize ? `\n  width="${viewBoxWidth}"\n  height="${viewBoxHeight}"` : "";
+  const runtimeAttribute = responsive ? `\n  data-wiggly='${escapeAttribute(JSON.stringify(getRuntimeOptions(options)))}'` : "";
+  const exportedOptions = serializeExportOptions(options);
+  const metadataElement = exportedOptions ? `  <metadata>${exportedOptions}</metadata>\n` : "";
+  const styles = renderStyleElement([
+    getColorSchemeStyles(options),
+    getAccessibilityStyles(getForcedColorLayers(options), layers.fill.length > 1),
+  ]);
+
+  const svg = `<svg
+  viewBox="0 0 ${viewBoxWidth} ${viewBoxHeight}"${sizeAttributes}
+  preserveAspectRatio="none"
+  fill="none"
+  xmlns="http://www.w3.org/2000/svg"${runtimeAttribute}
+>
+${metadataElement}${styles}${getLayerMarkup(layers, applyColorTokens(options))}
+</svg>`;
+
+  if (!responsive) return svg;
+
+  return `${svg}
+<script>
+(function () {
+${getRuntimeSource(options)}
+
+// The runtime only covers this border's options, so each script looks after
+// the SVG just before it
+const svg = document.currentScript.previousElementSibling;
+const options = JSON.parse(svg.dataset.wiggly);
+new ResizeObserver(function (entries) {
+  const { width, height } = entries[0].contentRect;
+  if (!width || !height) return;
+
+  const layers = generateBorderLayers({ ...options, targetWidth: width, targetHeight: height, pixelViewBox: true });
+  const paths = svg.querySelectorAll("path");
+  const layerFrames = getLayerFrames(layers);
+  svg.setAttribute("viewBox", \`0 0 \${layers.viewBoxWidth} \${layers.viewBoxHeight}\`);
+
+  // Paths appear in the same order the layers list them, followed by
+  // the still copy of an animated border
+  layerFrames.forEach(function (frames, i) {
+    paths[i].setAttribute("d", frames[0]);
+    const animate = paths[i].querySelector("animate");
+    if (animate) animate.setAttribute("values", frames.join(";"));
+    if (paths[i + layerFrames.length]) paths[i + layerFrames.length].setAttribute("d", frames[0]);
+  });
+}).observe(svg);
+})();
+</script>`;
+}
+
+/**
+ * Build the declarations a responsive component needs: the generator runtime
+ * and the options it regenerates the border with.
+ *
+ * @param {Object} options - Generator options
+ * @param {boolean} [typescript=false] - Write the runtime as TypeScript
+ * @returns {Array<string>} JavaScript or TypeScript declarations
+ */
+function getRuntimeDeclarations(options, typescript = false) {
+  return [
+    `// ---------------------------------------------------------
+// Wiggly border runtime (generated, do not edit)
+// ---------------------------------------------------------
+
+${getRuntimeSource(options, typescript)}`,
+    `const WIGGLY_OPTIONS = ${JSON.stringify(getRuntimeOptions(options))};`,
+  ];
+}
+
+/**
+ * Work out the content padding of a border at the target size: the room
+ * between the box and its safe area, plus some breathing space. Lines have
+ * no inside, so their content just gets the breathing space.
+ *
+ * @param {Object} layers - Result of generateBorderLayers, made with `safeArea: true`
+ * @param {Object} options - Generator options
+ * @param {number} [options.contentPadding=16] - Space between the safe area and the content, in CSS pixels
+ * @returns {{top: number, right: number, bottom: number, left: number}} Padding in whole CSS pixels
+ */
+function getContentPadding(layers, options = {}) {
+  const { targetWidth = 400, targetHeight = 300, contentPadding = 16 } = options;
+  const { safeArea, viewBoxWidth, viewBoxHeight } = layers;
+  if (!safeArea) return { top: contentPadding, right: contentPadding, bottom: contentPadding, left: contentPadding };
+
+  // The viewBox is stretched to the box, so each axis scales on its own
+  const scaleX = targetWidth / viewBoxWidth;
+  const scaleY = targetHeight / viewBoxHeight;
+  const pad = (inset, scale) => Math.ceil(inset * scale + contentPadding);
+
+  return {
+    top: pad(safeArea.y, scaleY),
+    right: pad(viewBoxWidth - safeArea.x - safeArea.width, scaleX),
+    bottom: pad(viewBoxHeight - safeArea.y - safeArea.height, scaleY),
+    left: pad(safeArea.x, scaleX),
+  };
+}
+
+/**
+ * Write content padding as a CSS value, shortened like the padding shorthand,
+ * e.g. "27px 26px" when top matches bottom and left matches right.
+ *
+ * @param {{top: number, right: number, bottom: number, left: number}} padding - From getContentPadding
+ * @param {string} [separator=" "] - Between values; Tailwind's arbitrary values need "_"
+ * @returns {string} CSS padding value
+ */
+function formatContentPadding(padding, separator = " ") {
+  const values = [padding.top, padding.right, padding.bottom, padding.left];
+  if (values[3] === values[1]) values.pop();
+  if (values.length === 3 && values[2] === values[0]) values.pop();
+  if (values.length === 2 && values[1] === values[0]) values.pop();
+
+  return values.map((value) => `${value}px`).join(separator);
+}
+
+/**
+ * Build the stylesheet shared by the Vue, Svelte and Web Component exports.
+ * The border fills the box behind the content, like the React component,
+ * its layers take the system colors in forced colors mode and any dark
+ * palette comes in with the page's color scheme.
+ *
+ * @param {string} root - Selector for the outer box
+ * @param {string} prefix - Prefix for the SVG and content class names
+ * @param {string} padding - Content padding, from formatContentPadding
+ * @param {{fill: boolean, stroke: boolean, shadow: boolean}} forced - Layers that need a forced colors rule,
+ *   from getForcedColorLayers
+ * @param {string} colorSchemeStyles - Dark palette rules, from getColorSchemeStyles, or ""
+ * @returns {string} CSS rules
+ */
+function getComponentStyles(root, prefix, padding, forced, colorSchemeStyles) {
+  const extraStyles = [colorSchemeStyles, getAccessibilityStyles(forced)].filter(Boolean).join("\n\n");
+
+  return `${root} {
+  display: block;
+  position: relative;
+}
+
+.${prefix}svg {
+  position: absolute;
+  inset: 0;
+  width: 100%;
+  height: 100%;
+  overflow: visible;
+}
+
+.${prefix}content {
+  position: relative;
+  padding: ${padding};
+  text-align: center;
+}${extraStyles ? `\n\n${extraStyles}` : ""}`;
+}
+
+/**
+ * Build the class attribute that ties a component's path to its forced colors
+ * rule (see getAccessibilityStyles), for layers that need one.
+ *
+ * @param {{fill: boolean, stroke: boolean, shadow: boolean}} forced - From getForcedColorLayers
+ * @param {string} layer - "fill", "stroke" or "shadow"
+ * @param {string} before - Written before the attribute, such as a newline and indent
+ * @param {string} after - Written after the attribute
+ * @returns {string} The attribute, or "" when the layer has no rule
+ */
+function getLayerClassAttribute(forced, layer, before, after) {
+  return forced[layer] ? `${before}class="wiggly-${layer}"${after}` : "";
+}
+
+/**
+ * Build the expression a component uses for a pen pass's stroke width. Passes
+ * keep their width relative to the border width the layers were made with, so
+ * a `borderWidth` prop scales all of them together.
+ *
+ * @param {number} borderWidth - Border width the layers were generated with
+ * @returns {string} JavaScript expression in terms of `stroke` and `borderWidth`
+ */
+function getStrokeWidthExpression(borderWidth) {
+  return `(stroke.width * borderWidth) / ${borderWidth}`;
+}
+
+/**
+ * Generate a React component with the path baked in.
+ *
+ * Colors and stroke width become props, defaulting to the values given here.
+ *
+ * @param {Object} options - Accepts every generateBorderLayers option, plus:
+ * @param {string} [options.backgroundColor="#FFF8EA"] - Default `backgroundColor` prop
+ * @param {string} [options.borderColor="#815A0E"] - Default `borderColor` prop
+ * @param {number} [options.borderWidth=4] - Default `borderWidth` prop
+ * @param {boolean} [options.responsive=false] - Regenerate the path with a ResizeObserver instead of stretching it
+ * @param {number} [options.frameRate=8] - Frames per second when animating
+ * @param {string} [options.styling="tailwind"] - "tailwind" for utility classes, or "css" for inline styles
+ * @param {number} [options.contentPadding=16] - Space between the border's safe area and the content, in
+ *   CSS pixels; see getContentPadding
+ * @param {string} [options.colorTokens="literal"] - "currentColor" or "variables" for color props that follow
+ *   the page's colors by default (see applyColorTokens)
+ * @param {Object<string, string>} [options.darkColors] - Colors for a dark color scheme, with "variables"
+ * @param {boolean} [options.metadata=true] - Keep the options in a comment, so the editor can import the component again
+ * @returns {string} React component code
+ */
+function generateReactComponent(options = {}) {
+  const {
+    backgroundColor = "#FFF8EA",
+    borderColor = "#815A0E",
+    borderWidth = 4,
+    responsive = false,
+    frameRate = 8,
+    styling = "tailwind",
+  } = applyColorTokens(options);
+
+  const layers = generateBorderLayers({ ...options, pixelViewBox: responsive, safeArea: true });
+  const { viewBoxWidth, viewBoxHeight } = layers;
+  const animated = layers.fill.length > 1;
+  const paints = getPaintNodes(applyColorTokens(options));
+  const padding = getContentPadding(layers, options);
+
+  // A still border with one clean stroke draws both paths from one constant;
+  // anything else renders from the full set of layers
+  const [firstStroke] = layers.strokes;
+  const plain =
+    !responsive &&
+    !animated &&
+    layers.strokes.length === 1 &&
+    firstStroke.frames[0] === layers.fill[0] &&
+    firstStroke.opacity === 1 &&
+    (!layers.shadow || layers.shadow[0] === layers.fill[0]);
+
+  // Assemble the module from the parts each mode needs
+  const declarations = [];
+  const hooks = [];
+  let source = "BORDER";
+  let viewBoxExpression = `"0 0 ${viewBoxWidth} ${viewBoxHeight}"`;
+  let refAttribute = "";
+
+  if (paints.defs.length > 0) {
+    hooks.push(`// Gradient and pattern IDs must be unique on the page
+  const id = useId().replace(/[^\\w-]/g, "");`);
+  }
+
+  if (plain) {
+    declarations.push(`const PATH_DATA = "${layers.fill[0]}";`);
+  } else if (responsive) {
+    declarations.push(...getRuntimeDeclarations(options, true));
+    hooks.push(`const svgRef = useRef<SVGSVGElement>(null);
+  const [border, setBorder] = useState(${JSON.stringify(layers, null, 2).replace(/\n/g, "\n  ")});
+
+  // Regenerate the paths at the rendered size so wave spacing stays constant
+  useEffect(() => {
+    const observer = new ResizeObserver(([entry]) => {
+      const { width, height } = entry.contentRect;
+      if (!width || !height) return;
+
+      setBorder(generateBorderLayers({ ...WIGGLY_OPTIONS, targetWidth: width, targetHeight: height, pixelViewBox: true }));
+    });
+
+    if (svgRef.current) observer.observe(svgRef.current);
+    return () => observer.disconnect();
+  }, []);`);
+    source = "border";
+    viewBoxExpression = "{`0 0 ${border.viewBoxWidth} ${border.viewBoxHeight}`}";
+    refAttribute = "\n        ref={svgRef}";
+  } else {
+    declarations.push(`const BORDER = ${JSON.stringify(layers, null, 2)};`);
+  }
+
+  if (animated) {
+    declarations.push(`const FRAME_COUNT = ${layers.fill.length};\nconst FRAME_RATE = ${frameRate};`);
+    hooks.push(`const [frame, setFrame] = useState(0);
+
+  // Step through the frames for the boiling line effect, unless motion is reduced
+  useEffect(() => {
+    if (window.matchMedia("(prefers-reduced-motion: reduce)").matches) return;
+
+    const timer = setInterval(() => setFrame((current) => (current + 1) % FRAME_COUNT), 1000 / FRAME_RATE);
+    return () => clearInterval(timer);
+  }, []);`);
+  }
+
+  const forced = getForcedColorLayers(options);
+  const svgStyles = [getColorSchemeStyles(options), styling === "css" ? getAccessibilityStyles(forced) : ""].filter(Boolean).join("\n\n");
+  if (svgStyles) {
+    declarations.push(`// Props and inline styles can't hold media queries, so these rules get a stylesheet
+const SVG_STYLES = \`
+${svgStyles}
+\`;`);
+  }
+
+  if (styling === "css") {
+    declarations.push(`const STYLES = {
+  root: { position: "relative" },
+  svg: { position: "absolute", inset: 0, width: "100%", height: "100%", overflow: "visible" },
+  content: { position: "relative", padding: "${formatContentPadding(padding)}", textAlign: "center" },
+} as const;`);
+  }
+
+  const attributes =
+    styling === "css"
+      ? {
+          root: "className={className} style={STYLES.root}",
+          svg: "style={STYLES.svg}",
+          content: "style={STYLES.content}",
+          shadow: "wiggly-shadow",
+          fill: "wiggly-fill",
+          stroke: "wiggly-stroke",
+        }
+      : {
+          root: "className={`relative ${className}`}",
+          svg: 'className="absolute inset-0 w-full h-full overflow-visible"',
+          content: `className="relative p-[${formatContentPadding(padding, "_")}] text-center"`,
+          shadow: "forced-colors:hidden",
+          fill: "forced-colors:fill-[color:Canvas]",
+          stroke: "forced-colors:stroke-[color:CanvasText]",
+        };
+  const styleElement = svgStyles ? "<style>{SVG_STYLES}</style>\n        " : "";
+
+  // Only layers that keep their own colors in forced colors mode need a class
+  const layerClass = (layer, before, after) => (forced[layer] ? `${before}className="${attributes[layer]}"${after}` : "");
+
+  const frame = animated ? "frame" : "0";
+  const shadowPath = layers.shadow
+    ? `<path${layerClass("shadow", "\n          ", "")}
+          d={${plain ? "PATH_DATA" : `${source}.shadow[${frame}]`}}${renderAttributeLines(paints.shadow, "jsx", "          ")}
+        />
+        `
+    : "";
+  const paths = plain
+    ? `<path ${layerClass("fill", "", " ")}d={PATH_DATA} ${formatPaintAttribute("fill", paints.fill, "jsx")} />
+        <path${layerClass("stroke", "\n          ", "")}
+          d={PATH_DATA}
+          ${formatPaintAttribute("stroke", paints.stroke, "jsx")}
+          strokeWidth={borderWidth}${renderStrokeStyle(options, "jsx", "          ")}
+          fill="none"
+          vectorEffect="non-scaling-stroke"
+        />`
+    : `<path ${layerClass("fill", "", " ")}d={${source}.fill[${frame}]} ${formatPaintAttribute("fill", paints.fill, "jsx")} />
+        {${source}.strokes.map((stroke, index) => (
+          <path
+            key={index}${layerClass("stroke", "\n            ", "")}
+            d={stroke.frames[${frame}]}
+            ${formatPaintAttribute("stroke", paints.stroke, "jsx")}
+            strokeWidth={${getStrokeWidthExpression(borderWidth)}}
+            strokeOpacity={stroke.opacity}${renderStrokeStyle(options, "jsx", "            ")}
+            fill="none"
+            vectorEffect="non-scaling-stroke"
+          />
+        ))}`;
+
+  const reactHooks = [
+    ...(responsive || animated ? ["useEffect"] : []),
+    ...(paints.defs.length > 0 ? ["useId"] : []),
+    ...(responsive ? ["useRef"] : []),
+    ...(responsive || animated ? ["useState"] : []),
+  ];
+  const imports = [
+    ...(reactHooks.length > 0 ? [`import { ${reactHooks.join(", ")} } from "react";`] : []),
+    `import type { ReactNode } from "react";`,
+  ];
+
+  return `${imports.join("\n")}
+
+${getOptionsComment(options)}type BoxWithWigglyBorderProps = {
+  children: ReactNode;
+  className?: string;
+  backgroundColor?: string;
+  borderColor?: string;
+  borderWidth?: number;
+};
+
+${declarations.join("\n\n")}
+
+export const BoxWithWigglyBorder = ({
+  children,
+  className = "",
+  backgroundColor = "${backgroundColor}",
+  borderColor = "${borderColor}",
+  borderWidth = ${borderWidth},
+}: BoxWithWigglyBorderProps) => {
+${hooks.map((hook) => `  ${hook}\n\n`).join("")}  return (
+    <div ${attributes.root}>
+      <svg${refAttribute}
+        ${attributes.svg}
+        viewBox=${viewBoxExpression}
+        preserveAspectRatio="none"
+        fill="none"
+        xmlns="http://www.w3.org/2000/svg"
+      >
+${renderPaintDefs(paints.defs, "jsx", "        ")}        ${styleElement}${shadowPath}${paths}
+      </svg>
+      <div ${attributes.content}>
+        {children}
+      </div>
+    </div>
+  );
+};
+
+export default BoxWithWigglyBorder;`;
+}
+
+/**
+ * Generate a Vue single-file component with the path baked in.
+ *
+ * Colors and stroke width become props, defaulting to the values given here.
+ *
+ * @param {Object} options - Accepts the same options as generateReactComponent, except styling
+ * @returns {string} Vue SFC code
+ */
+function generateVueComponent(options = {}) {
+  const {
+    backgroundColor = "#FFF8EA",
+    borderColor = "#815A0E",
+    borderWidth = 4,
+    responsive = false,
+    frameRate = 8,
+  } = applyColorTokens(options);
+
+  const layers = generateBorderLayers({ ...options, pixelViewBox: responsive, safeArea: true });
+  const animated = layers.fill.length > 1;
+  const frame = animated ? "frame" : "0";
+  const paints = getPaintNodes(applyColorTokens(options));
+  const forced = getForcedColorLayers(options);
+
+  // Scoped styles would only reach the component's own elements, so the dark palette is set globally
+  const colorSchemeStyles = getColorSchemeStyles(options, ":global(:where(:root))");
+
+  // Assemble the script from the parts each mode needs
+  const imports = [];
+  const declarations = responsive ? getRuntimeDeclarations(options) : [];
+  const mounted = [];
+  const unmounted = [];
+
+  declarations.push(`defineProps({
+  backgroundColor: { type: String, default: "${backgroundColor}" },
+  borderColor: { type: String, default: "${borderColor}" },
+  borderWidth: { type: Number, default: ${borderWidth} },
+});`);
+
+  // Gradient and pattern IDs must be unique on the page, so each instance numbers its own
+  const moduleScript =
+    paints.defs.length > 0
+      ? `<script>
+let instanceCount = 0;
+</script>
+
+`
+      : "";
+  if (moduleScript) declarations.push("const id = `wiggly-box-${++instanceCount}`;");
+
+  if (responsive) {
+    imports.push("ref");
+    declarations.push(`const svg = ref(null);
+const border = ref(${JSON.stringify(layers, null, 2)});
+let observer;`);
+
+    // Regenerate the paths at the rendered size so wave spacing stays constant
+    mounted.push(`observer = new ResizeObserver(([entry]) => {
+    const { width, height } = entry.contentRect;
+    if (!width || !height) return;
+
+    border.value = generateBorderLayers({ ...WIGGLY_OPTIONS, targetWidth: width, targetHeight: height, pixelViewBox: true });
+  });
+  observer.observe(svg.value);`);
+    unmounted.push("observer.disconnect();");
+  } else {
+    declarations.push(`const border = ${JSON.stringify(layers, null, 2)};`);
+  }
+
+  if (animated) {
+    if (!imports.includes("ref")) imports.push("ref");
+    declarations.push(`const FRAME_COUNT = ${layers.fill.length};
+const FRAME_RATE = ${frameRate};
+const frame = ref(0);
+let timer;`);
+
+    // Step through the frames for the boiling line effect, unless motion is reduced
+    mounted.push(`if (!window.matchMedia("(prefers-reduced-motion: reduce)").matches) {
+    timer = setInterval(() => (frame.value = (frame.value + 1) % FRAME_COUNT), 1000 / FRAME_RATE);
+  }`);
+    unmounted.push("clearInterval(timer);");
+  }
+
+  if (mounted.length > 0) {
+    imports.unshift("onBeforeUnmount", "onMounted");
+    declarations.push(`onMounted(() => {
+  ${mounted.join("\n  ")}
+});
+
+onBeforeUnmount(() => {
+  ${unmounted.join("\n  ")}
+});`);
+  }
+
+  const importLine = imports.length > 0 ? `import { ${imports.join(", ")} } from "vue";\n\n` : "";
+
+  return `${moduleScript}<script setup>
+${getOptionsComment(options)}${importLine}${declarations.join("\n\n")}
+</script>
+
+<template>
+  <div class="wiggly-box">
+    <svg${responsive ? `\n      ref="svg"` : ""}
+      class="wiggly-box__svg"
+      :viewBox="\`0 0 \${border.viewBoxWidth} \${border.viewBoxHeight}\`"
+      preserveAspectRatio="none"
+      fill="none"
+      xmlns="http://www.w3.org/2000/svg"
+    >
+${renderPaintDefs(paints.defs, "vue", "      ")}${
+    layers.shadow
+      ? `      <path${getLayerClassAttribute(forced, "shadow", "\n        ", "")}
+        :d="border.shadow[${frame}]"${renderAttributeLines(paints.shadow, "vue", "        ")}
+      />
+`
+      : ""
+  }      <path ${getLayerClassAttribute(forced, "fill", "", " ")}:d="border.fill[${frame}]" ${formatPaintAttribute("fill", paints.fill, "vue")} />
+      <path
+        v-for="(stroke, index) in border.strokes"
+        :key="index"${getLayerClassAttribute(forced, "stroke", "\n        ", "")}
+        :d="stroke.frames[${frame}]"
+        ${formatPaintAttribute("stroke", paints.stroke, "vue")}
+        :stroke-width="${getStrokeWidthExpression(borderWidth)}"
+        :stroke-opacity="stroke.opacity"${renderStrokeStyle(options, "vue", "        ")}
+        fill="none"
+        vector-effect="non-scaling-stroke"
+      />
+    </svg>
+    <div class="wiggly-box__content">
+      <slot />
+    </div>
+  </div>
+</template>
+
+<style scoped>
+${getComponentStyles(".wiggly-box", "wiggly-box__", formatContentPadding(getContentPadding(layers, options)), forced, colorSchemeStyles)}
+</style>`;
+}
+
+/**
+ * Generate a Svelte component with the path baked in.
+ *
+ * Colors and stroke width become props, defaulting to the values given here.
+ *
+ * @param {Object} options - Accepts the same options as generateReactComponent, except styling
+ * @returns {string} Svelte component code
+ */
+function generateSvelteComponent(options = {}) {
+  const {
+    backgroundColor = "#FFF8EA",
+    borderColor = "#815A0E",
+    borderWidth = 4,
+    responsive = false,
+    frameRate = 8,
+  } = applyColorTokens(options);
+
+  const layers = generateBorderLayers({ ...options, pixelViewBox: responsive, safeArea: true });
+  const animated = layers.fill.length > 1;
+  const frame = animated ? "frame" : "0";
+  const paints = getPaintNodes(applyColorTokens(options));
+  const forced = getForcedColorLayers(options);
+
+  // Scoped styles would only reach the component's own elements, so the dark palette is set globally
+  const colorSchemeStyles = getColorSchemeStyles(options, ":global(:where(:root))");
+
+  // Assemble the script from the parts each mode needs
+  const declarations = responsive ? getRuntimeDeclarations(options) : [];
+  const mounted = [];
+  const unmounted = [];
+
+  // Svelte warns about unused props, and lines have no fill to use the background color
+  const props = [
+    ...(options.lineShape ? [] : [`export let backgroundColor = "${backgroundColor}";`]),
+    `export let borderColor = "${borderColor}";`,
+    `export let borderWidth = ${borderWidth};`,
+  ];
+  declarations.push(props.join("\n"));
+
+  // Gradient and pattern IDs must be unique on the page, so each instance numbers its own
+  const moduleScript =
+    paints.defs.length > 0
+      ? `<script context="module">
+let instanceCount = 0;
+</script>
+
+`
+      : "";
+  if (moduleScript) declarations.push("const id = `wiggly-box-${++instanceCount}`;");
+
+  if (responsive) {
+    declarations.push(`let svg;
+let border = ${JSON.stringify(layers, null, 2)};`);
+
+    // Regenerate the paths at the rendered size so wave spacing stays constant
+    mounted.push(`const observer = new ResizeObserver(([entry]) => {
+    const { width, height } = entry.contentRect;
+    if (!width || !height) return;
+
+    border = generateBorderLayers({ ...WIGGLY_OPTIONS, targetWidth: width, targetHeight: height, pixelViewBox: true });
+  });
+  observer.observe(svg);`);
+    unmounted.push("observer.disconnect();");
+  } else {
+    declarations.push(`const border = ${JSON.stringify(layers, null, 2)};`);
+  }
+
+  if (animated) {
+    declarations.push(`const FRAME_COUNT = ${layers.fill.length};
+const FRAME_RATE = ${frameRate};
+let frame = 0;`);
+
+    // Step through the frames for the boiling line effect, unless motion is reduced
+    mounted.push(`let timer;
+  if (!window.matchMedia("(prefers-reduced-motion: reduce)").matches) {
+    timer = setInterval(() => (frame = (frame + 1) % FRAME_COUNT), 1000 / FRAME_RATE);
+  }`);
+    unmounted.push("clearInterval(timer);");
+  }
+
+  if (mounted.length > 0) {
+    declarations.push(`onMount(() => {
+  ${mounted.join("\n  ")}
+
+  return () => {
+    ${unmounted.join("\n    ")}
+  };
+});`);
+  }
+
+  const importLine = mounted.length > 0 ? `import { onMount } from "svelte";\n\n` : "";
+
+  return `${moduleScript}<script>
+${getOptionsComment(options)}${importLine}${declarations.join("\n\n")}
+</script>
+
+<div class="wiggly-box">
+  <svg${responsive ? `\n    bind:this={svg}` : ""}
+    class="wiggly-box__svg"
+    viewBox="0 0 {border.viewBoxWidth} {border.viewBoxHeight}"
+    preserveAspectRatio="none"
+    fill="none"
+    xmlns="http://www.w3.org/2000/svg"
+  >
+${renderPaintDefs(paints.defs, "svelte", "    ")}${
+    layers.shadow
+      ? `    <path${getLayerClassAttribute(forced, "shadow", "\n      ", "")}
+      d={border.shadow[${frame}]}${renderAttributeLines(paints.shadow, "svelte", "      ")}
+    />
+`
+      : ""
+  }    <path ${getLayerClassAttribute(forced, "fill", "", " ")}d={border.fill[${frame}]} ${formatPaintAttribute("fill", paints.fill, "svelte")} />
+    {#each border.strokes as stroke}
+      <path${getLayerClassAttribute(forced, "stroke", "\n        ", "")}
+        d={stroke.frames[${frame}]}
+        ${formatPaintAttribute("stroke", paints.stroke, "svelte")}
+        stroke-width={${getStrokeWidthExpression(borderWidth)}}
+        stroke-opacity={stroke.opacity}${renderStrokeStyle(options, "svelte", "        ")}
+        fill="none"
+        vector-effect="non-scaling-stroke"
+      />
+    {/each}
+  </svg>
+  <div class="wiggly-box__content">
+    <slot />
+  </div>
+</div>
+
+<style>
+${getComponentStyles(".wiggly-box", "wiggly-box__", formatContentPadding(getContentPadding(layers, options)), forced, colorSchemeStyles)}
+</style>`;
+}
+
+/**
+ * Generate a framework-agnostic `<wiggly-box>` custom element.
+ *
+ * The border and its styles live in shadow DOM, and content goes through a slot.
+ * Colors and stroke width are read from the `background-color`, `border-color`
+ * and `border-width` attributes, defaulting to the values given here.
+ *
+ * @param {Object} options - Accepts the same options as generateReactComponent, except styling
+ * @returns {string} JavaScript module that defines the element
+ */
+function generateWebComponent(options = {}) {
+  const {
+    backgroundColor = "#FFF8EA",
+    borderColor = "#815A0E",
+    borderWidth = 4,
+    responsive = false,
+    frameRate = 8,
+  } = applyColorTokens(options);
+
+  const layers = generateBorderLayers({ ...options, pixelViewBox: responsive, safeArea: true });
+  const animated = layers.fill.length > 1;
+  const paints = getPaintNodes(applyColorTokens(options));
+  const forced = getForcedColorLayers(options);
+
+  // Rules in shadow DOM can't reach the page's root, so the dark palette is set on the element itself
+  const colorSchemeStyles = getColorSchemeStyles(options, ":host");
+
+  // Assemble the element from the parts each mode needs
+  const declarations = responsive ? getRuntimeDeclarations(options) : [];
+  const connected = ["this.render();"];
+  const disconnected = [];
+
+  declarations.push(`const BORDER = ${JSON.stringify(layers, null, 2)};`);
+
+  if (animated) {
+    declarations.push(`const FRAME_RATE = ${frameRate};`);
+
+    // Step through the frames for the boiling line effect, unless motion is reduced
+    connected.push(`if (!window.matchMedia("(prefers-reduced-motion: reduce)").matches) {
+      this.timer = setInterval(() => {
+        this.frame = (this.frame + 1) % this.border.fill.length;
+        this.render();
+      }, 1000 / FRAME_RATE);
+    }`);
+    disconnected.push("clearInterval(this.timer);");
+  }
+
+  if (responsive) {
+    // Regenerate the paths at the rendered size so wave spacing stays constant
+    connected.push(`this.observer = new ResizeObserver(([entry]) => {
+      const { width, height } = entry.contentRect;
+      if (!width || !height) return;
+
+      this.border = generateBorderLayers({ ...WIGGLY_OPTIONS, targetWidth: width, targetHeight: height, pixelViewBox: true });
+      this.render();
+    });
+    this.observer.observe(this.svg);`);
+    disconnected.push("this.observer.disconnect();");
+  }
+
+  // IDs only need to be unique within the shadow root, so every instance can share them
+  const defs =
+    paints.defs.length > 0
+      ? `
+
+    const id = "wiggly-box";
+    const defs = document.createElementNS(SVG_NS, "defs");
+    defs.innerHTML = \`
+${renderPaintNodes(paints.defs, "template", "      ")}
+    \`;`
+      : "";
+  const strokeStyle = Object.entries(getStrokeStyleAttributes(options))
+    .map(([name, value]) => `\n          "${name}": "${value}",`)
+    .join("");
+  // Only layers that keep their own colors in forced colors mode need a class
+  const layerClass = (layer, before, after) => (forced[layer] ? `${before}class: "wiggly-${layer}",${after}` : "");
+  const shadowPath = paints.shadow
+    ? `
+      createPath({${layerClass("shadow", "\n        ", "")}
+        d: this.border.shadow[this.frame],${Object.entries(paints.shadow)
+          .map(([name, value]) => `\n        "${name}": ${getPaintExpression(value)},`)
+          .join("")}
+      }),`
+    : "";
+
+  const disconnectedCallback =
+    disconnected.length > 0
+      ? `
+
+  disconnectedCallback() {
+    ${disconnected.join("\n    ")}
+  }`
+      : "";
+
+  return `${getOptionsComment(options)}${declarations.join("\n\n")}
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+class WigglyBox extends HTMLElement {
+  static observedAttributes = ["background-color", "border-color", "border-width"];
+
+  constructor() {
+    super();
+    this.border = BORDER;
+    this.frame = 0;
+
+    this.attachShadow({ mode: "open" }).innerHTML = \`
+      <style>
+${getComponentStyles(":host", "", formatContentPadding(getContentPadding(layers, options)), forced, colorSchemeStyles).replace(/^(?=.)/gm, "        ")}
+      </style>
+      <svg class="svg" part="border" preserveAspectRatio="none" fill="none" xmlns="http://www.w3.org/2000/svg"></svg>
+      <div class="content"><slot></slot></div>
+    \`;
+    this.svg = this.shadowRoot.querySelector("svg");
+  }
+
+  connectedCallback() {
+    ${connected.join("\n    ")}
+  }${disconnectedCallback}
+
+  attributeChangedCallback() {
+    this.render();
+  }
+
+  render() {
+    const backgroundColor = this.getAttribute("background-color") || "${backgroundColor}";
+    const borderColor = this.getAttribute("border-color") || "${borderColor}";
+    const borderWidth = Number(this.getAttribute("border-width") || ${borderWidth});
+
+    const createPath = (attributes) => {
+      const path = document.createElementNS(SVG_NS, "path");
+      Object.entries(attributes).forEach(([name, value]) => path.setAttribute(name, value));
+      return path;
+    };${defs}
+
+    this.svg.setAttribute("viewBox", \`0 0 \${this.border.viewBoxWidth} \${this.border.viewBoxHeight}\`);
+    this.svg.replaceChildren(${defs ? "\n      defs," : ""}${shadowPath}
+      createPath({ ${layerClass("fill", "", " ")}d: this.border.fill[this.frame], fill: ${getPaintExpression(paints.fill)} }),
+      ...this.border.strokes.map((stroke) =>
+        createPath({${layerClass("stroke", "\n          ", "")}
+          d: stroke.frames[this.frame],
+          stroke: ${getPaintExpression(paints.stroke)},
+          "stroke-width": ${getStrokeWidthExpression(borderWidth)},
+          "stroke-opacity": stroke.opacity,${strokeStyle}
+          fill: "none",
+          "vector-effect": "non-scaling-stroke",
+        }),
+      ),
+    );
+  }
+}
+
+if (!customElements.get("wiggly-box")) {
+  customElements.define("wiggly-box", WigglyBox);
+}`;
+}
+
+/**
+ * Expand a batch description into a list of option sets.
+ *
+ * A list is used as it is. An object is a grid: every key holding an array
+ * is a dimension, and one option set is made for every combination, e.g.
+ * `{seed: ["a", "b"], targetWidth: [200, 320]}` gives four. Any other value
+ * goes into every set.
+ *
+ * @param {Array<Object>|Object} variants - List of option sets, or a grid
+ * @returns {Array<Object>} Option sets, each holding only its own settings
+ */
+function expandVariants(variants) {
+  if (Array.isArray(variants)) return variants;
+
+  return Object.entries(variants).reduce(
+    (sets, [key, values]) =>
+      Array.isArray(values)
+        ? sets.flatMap((set) => values.map((value) => ({ ...set, [key]: value })))
+        : sets.map((set) => ({ ...set, [key]: values })),
+    [{}],
+  );
+}
+
+/**
+ * Work out a stable ID for a batch variant from its own settings, so the same
+ * variant keeps its ID however the batch is reordered. Variants can also set `id`.
+ *
+ * @param {Object} variant - The variant's own settings
+ * @param {number} index - Position in the batch, used when it has no settings
+ * @param {string} prefix - Prefix for every ID
+ * @returns {string} ID, safe for use in SVG and as a file name
+ */
+function getVariantId(variant, index, prefix) {
+  const parts = Object.entries(variant)
+    .filter(([, value]) => typeof value !== "object")
+    .map(([key, value]) => `${key}-${value}`);
+  const slug = parts
+    .join("-")
+    .replace(/[^A-Za-z0-9_]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+  return `${prefix}-${slug || index + 1}`;
+}
+
+/**
+ * Generate the path of every variant in a batch.
+ *
+ * Each variant is laid over the shared options, so a batch only has to list
+ * what changes, such as sizes, seeds or color themes.
+ *
+ * @param {Array<Object>|Object} variants - List of option sets, or a grid (see expandVariants)
+ * @param {Object} [options] - Options shared by every variant, plus:
+ * @param {string} [options.idPrefix="wiggly"] - Prefix for the generated IDs
+ * @returns {Array<{id: string, options: Object, pathData: string, viewBoxWidth: number, viewBoxHeight: number}>}
+ *   One result per variant, with the full options it was generated with
+ */
+function generateBatch(variants, options = {}) {
+  const { idPrefix = "wiggly", ...sharedOptions } = options;
+  const usedIds = new Set();
+
+  return expandVariants(variants).map((variant, index) => {
+    const { id: ownId, ...variantOptions } = variant;
+
+    // Identical variants would share an ID, so number the repeats
+    const baseId = ownId ? String(ownId) : getVariantId(variantOptions, index, idPrefix);
+    let id = baseId;
+    for (let n = 2; usedIds.has(id); n++) {
+      id = `${baseId}-${n}`;
+    }
+    usedIds.add(id);
+
+    const fullOptions = { ...sharedOptions, ...variantOptions };
+    const { pathData, viewBoxWidth, viewBoxHeight } = generateOutline(fullOptions);
+
+    return { id, options: fullOptions, pathData, viewBoxWidth, viewBoxHeight };
+  });
+}
+
+/**
+ * Generate an SVG sprite with one `<symbol>` per batch variant.
+ *
+ * Use a variant with `<svg preserveAspectRatio="none"><use href="sprite.svg#id" /></svg>`.
+ *
+ * @param {Array<Object>} batch - Results from generateBatch
+ * @returns {string} SVG sprite markup
+ */
+function generateSprite(batch) {
+  let animated = false;
+  const forced = { fill: false, stroke: false, shadow: false };
+  const symbols = batch.map((item) => {
+    const layers = generateBorderLayers(item.options);
+    const paths = getLayerMarkup(layers, { ...item.options, defsId: item.id }).replace(/^/gm, "  ");
+    if (layers.fill.length > 1) animated = true;
+    Object.entries(getForcedColorLayers(item.options)).forEach(([layer, needed]) => {
+      if (needed) forced[layer] = true;
+    });
+
+    return `  <symbol id="${item.id}" viewBox="0 0 ${layers.viewBoxWidth} ${layers.viewBoxHeight}" preserveAspectRatio="none">
+${paths}
+  </symbol>`;
+  });
+
+  // One set of rules serves every symbol. The sprite is hidden by giving it
+  // no size rather than with display: none, which would also stop the
+  // gradients, patterns and filters in its symbols from rendering
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="0" height="0" style="position: absolute">
+${renderStyleElement([getAccessibilityStyles(forced, animated)])}${symbols.join("\n")}
+</svg>`;
+}
+
+/**
+ * Generate a JSON manifest of a batch's path data, for build tools.
+ *
+ * @param {Array<Object>} batch - Results from generateBatch
+ * @returns {string} JSON text
+ */
+function generateManifest(batch) {
+  const variants = batch.map(({ id, pathData, viewBoxWidth, viewBoxHeight, options }) => ({
+    id,
+    viewBox: `0 0 ${viewBoxWidth} ${viewBoxHeight}`,
+    pathData,
+    options,
+  }));
+
+  return JSON.stringify({ variants }, null, 2);
+}
+
+/**
+ * Work out the CRC-32 of some bytes, as zip files store it.
+ *
+ * @param {Uint8Array} bytes - Data to check
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(bytes) {
+  let crc = 0xffffffff;
+
+  for (let i = 0; i < bytes.length; i++) {
+    crc ^= bytes[i];
+    for (let bit = 0; bit < 8; bit++) {
+      crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+    }
+  }
+
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Pack text files into an uncompressed (stored) zip archive.
+ *
+ * Every entry gets the same fixed timestamp, so the same files always give
+ * byte-identical archives.
+ *
+ * @param {Array<{name: string, content: string}>} files - Files to pack
+ * @returns {Uint8Array} Zip archive
+ */
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  // Writes little-endian fields into a fresh header
+  const header = (size, fields) => {
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    fields.forEach(([position, value, width]) =>
+      width === 4 ? view.setUint32(position, value, true) : view.setUint16(position, value, true),
+    );
+    return bytes;
+  };
+
+  files.forEach((file) => {
+    const name = encoder.encode(file.name);
+    const data = encoder.encode(file.content);
+    const crc = crc32(data);
+
+    // Version 2.0, UTF-8 names, stored, 1980-01-01 00:00
+    const shared = [
+      [4, 20, 2],
+      [6, 0x0800, 2],
+      [8, 0, 2],
+      [10, 0, 2],
+      [12, 0x21, 2],
+      [14, crc, 4],
+      [18, data.length, 4],
+      [22, data.length, 4],
+      [26, name.length, 2],
+    ];
+
+    localParts.push(header(30, [[0, 0x04034b50, 4], ...shared]), name, data);
+    centralParts.push(
+      header(46, [
+        [0, 0x02014b50, 4],
+        ...shared.map(([position, value, width]) => [position + 2, value, width]),
+        [4, 20, 2],
+        [42, offset, 4],
+      ]),
+      name,
+    );
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+  const end = header(22, [
+    [0, 0x06054b50, 4],
+    [8, files.length, 2],
+    [10, files.length, 2],
+    [12, centralSize, 4],
+    [16, offset, 4],
+  ]);
+
+  const parts = [...localParts, ...centralParts, end];
+  const zip = new Uint8Array(offset + centralSize + end.length);
+  parts.reduce((position, part) => {
+    zip.set(part, position);
+    return position + part.length;
+  }, 0);
+
+  return zip;
+}
+
+/**
+ * Bundle a batch into a zip archive: a standalone SVG per variant, named by
+ * its ID, plus the sprite and the JSON manifest.
+ *
+ * @param {Array<Object>} batch - Results from generateBatch
+ * @returns {Uint8Array} Zip archive
+ */
+function generateBundle(batch) {
+  return createZip([
+    ...batch.map((item) => ({ name: `${item.id}.svg`, content: generateSvgString(item.options) })),
+    { name: "sprite.svg", content: generateSprite(batch) },
+    { name: "manifest.json", content: generateManifest(batch) },
+  ]);
+}
+
+/**
+ * Turn SVG markup into a compact data URI for use in CSS `url()`.
+ *
+ * Double quotes become single ones so the URI can sit inside `url("…")`,
+ * and only the characters that would break it are percent-encoded.
+ *
+ * @param {string} svg - SVG markup
+ * @returns {string} data:image/svg+xml URI
+ */
+function toSvgDataUri(svg) {
+  const compact = svg
+    .replace(/\s+/g, " ")
+    .replace(/\s*(\/?>)\s*/g, "$1")
+    .replace(/"/g, "'");
+
+  return `data:image/svg+xml,${compact.replace(/[%#<>{}]/g, (char) => encodeURIComponent(char))}`;
+}
+
+/**
+ * Work out how much of each corner a border-image slice must keep unstretched:
+ * the padding and any shadow, plus the corner's curve, or a couple of waves for square corners.
+ *
+ * @param {Object} options - Generator options
+ * @returns {number} Slice size in CSS pixels
+ */
+function getBorderImageSlice(options) {
+  const { shape = "rect", cornerRadius = 24, corners = {}, waveSegmentSize = 25, targetWidth = 400, targetHeight = 300 } = options;
+  const shortSide = Math.min(targetWidth, targetHeight);
+  const cornerExtent =
+    {
+      rect: Math.max(waveSegmentSize * 2, ...Object.values(corners)),
+      roundedRect: Math.max(cornerRadius, ...Object.values(corners)),
+      pill: shortSide / 2,
+    }[shape] ?? shortSide / 4;
+
+  // The slice can't take more than half the box, or the middle would vanish
+  const shadowExtent = Math.max(...Object.values(getShadowInsets(options)));
+  return Math.ceil(Math.min(getPathPadding(options) + shadowExtent + cornerExtent, shortSide / 2));
+}
+
+/**
+ * Generate CSS that draws the border without any inline SVG markup.
+ *
+ * The SVG is URL-encoded into data URIs and used three ways, each with a
+ * usage snippet in its comment:
+ * - a stretched background image behind the content
+ * - a mask that clips any content, such as a photo, to the wiggly shape
+ * - a border-image whose corners keep their size at any box size
+ *
+ * Images can't see the page's custom properties or text color, so with
+ * `colorTokens` the colors keep their fallbacks and only `darkColors`
+ * switches them.
+ *
+ * @param {Object} options - Accepts every generateSvgString option except responsive, plus:
+ * @param {string} [options.className="wiggly-border"] - Base class name; the mask and border-image
+ *   classes add "-mask" and "-frame"
+ * @param {number} [options.contentPadding=16] - Space between the safe area and the content of the
+ *   background class
+ * @returns {string} CSS rules
+ */
+function generateCss(options = {}) {
+  const { className = "wiggly-border" } = options;
+  const cssOptions = { ...options, responsive: false, metadata: false };
+
+  const background = toSvgDataUri(generateSvgString(cssOptions));
+  const mask = toSvgDataUri(
+    generateSvgString({
+      ...cssOptions,
+      backgroundColor: "#000",
+      borderColor: "#000",
+      colorTokens: "literal",
+      fillStyle: "solid",
+      strokeGradient: false,
+      shadow: false,
+    }),
+  );
+  const frame = toSvgDataUri(generateSvgString({ ...cssOptions, pixelSize: true }));
+  const slice = getBorderImageSlice(options);
+  const padding = formatContentPadding(getContentPadding(generateBorderLayers({ ...cssOptions, safeArea: true }), options));
+
+  // The options go in one comment rather than in each of the three images
+  const exportedOptions = serializeExportOptions(options);
+  const optionsComment = exportedOptions ? `/* ${OPTIONS_MARKER} ${exportedOptions} */\n\n` : "";
+
+  return `${optionsComment}/* Wiggly border: background image
+   <div class="${className}">Your content here</div> */
+.${className} {
+  background: url("${background}") center / 100% 100% no-repeat;
+  padding: ${padding};
+}
+
+/* Wiggly border: mask, clips any content to the wiggly shape
+   <img class="${className}-mask" src="photo.jpg" alt="" /> */
+.${className}-mask {
+  -webkit-mask: url("${mask}") center / 100% 100% no-repeat;
+  mask: url("${mask}") center / 100% 100% no-repeat;
+}
+
+/* Wiggly border: border-image, corners keep their size at any box size
+   <div class="${className}-frame">Your content here</div> */
+.${className}-frame {
+  border: ${slice}px solid transparent;
+  border-image: url("${frame}") ${slice} fill / ${slice}px stretch;
+}`;
+}
+
+/**
+ * Read the options an export was made with back out of its code, to edit it
+ * again. SVGs keep them in a `<metadata>` element, and components and CSS in
+ * an options comment. Markup without either, such as an export from before
+ * they were added, only gives up the fill's outline and the colors; the
+ * outline is then drawn as it is, without waves of its own.
+ *
+ * @param {string} code - An exported SVG, component or stylesheet
+ * @returns {Object} Generator options
+ * @throws {Error} If the code holds neither options nor a path
+ */
+function readExportOptions(code) {
+  const embedded = code.match(/<metadata>\s*(\{.*?\})\s*<\/metadata>/s) || code.match(new RegExp(`${OPTIONS_MARKER} (\\{.*\\})`));
+  if (embedded) {
+    const options = JSON.parse(embedded[1]);
+    if (!options || typeof options !== "object" || Array.isArray(options)) throw new Error("The embedded options aren't an object");
+    return options;
+  }
+
+  // Shadows are moved into place with a transform, so the fill is the first
+  // path without one. Components keep their path data in a constant
+  const paths = [...code.matchAll(/<path\b[^>]*>/g)].map(([tag]) => tag).filter((tag) => !/\stransform=/.test(tag));
+  const attribute = (tag, name) => tag?.match(new RegExp(`\\s${name}="([^"]*)"`))?.[1];
+  const fillPath = paths.find((tag) => attribute(tag, "d"));
+  const pathData = code.match(/PATH_DATA = "([^"]+)"/)?.[1] ?? code.match(/"fill": \[\s*"([^"]+)"/)?.[1] ?? attribute(fillPath, "d");
+  if (!pathData) throw new Error("No wiggly border options or path found");
+
+  // Gradients and patterns have no one color to keep, and colors written
+  // as custom properties give up their fallback. Components keep their
+  // colors as the defaults of props or attributes
+  const color = (value) =>
+    !value || value === "none" || value.startsWith("url(") ? undefined : value.replace(/^var\([^,]+,\s*(.+)\)$/, "$1");
+  const prop = (name, attributeName) =>
+    code
+      .match(new RegExp(`${name}(?: = |: \\{ type: String, default: )"([^"]+)"|"${attributeName}"\\) \\|\\| "([^"]+)"`))
+      ?.slice(1)
+      .find(Boolean);
+  const backgroundColor = color(prop("backgroundColor", "background-color") ?? attribute(fillPath, "fill"));
+  const borderColor = color(prop("borderColor", "border-color") ?? paths.map((tag) => attribute(tag, "stroke")).find(Boolean));
+
+  return {
+    shape: "path",
+    path: pathData,
+    waveAmplitude: 0,
+    ...(backgroundColor && { backgroundColor }),
+    ...(borderColor && { borderColor }),
+  };
+}
+
+// Export functions for app.js in the browser, and as a CommonJS module
+// for Node and bundlers (wiggly-border.mjs re-exports it for ESM)
+const WigglyBorder = {
+  generateWigglyPath,
+  generateWigglyLine,
+  generateSvgString,
+  generateReactComponent,
+  generateVueComponent,
+  generateSvelteComponent,
+  generateWebComponent,
+  generateCss,
+  generateBatch,
+  generateSprite,
+  generateManifest,
+  generateBundle,
+  generateWigglyFrames,
+  generateBorderLayers,
+  getLayerFrames,
+  getContentPadding,
+  generatePaints,
+  readExportOptions,
+  wigglifyPath,
+  calculateViewBox,
+};
+
+if (typeof module === "object" && module.exports) {
+  module.exports = WigglyBorder;
+} else {
+  window.WigglyBorder = WigglyBorder;
+}
@@ -0,0 +1,31 @@
+/**
+ * ES module entry point. The generator itself is a plain script so it also
+ * runs straight from a <script> tag, and this re-exports its CommonJS build.
+ */
+
+import WigglyBorder from "./wiggly-border.js";
+
+export const {
+  generateWigglyPath,
+  generateWigglyLine,
+  generateSvgString,
+  generateReactComponent,
+  generateVueComponent,
+  generateSvelteComponent,
+  generateWebComponent,
+  generateCss,
+  generateBatch,
+  generateSprite,
+  generateManifest,
+  generateBundle,
+  generateWigglyFrames,
+  generateBorderLayers,
+  getLayerFrames,
+  getContentPadding,
+  generatePaints,
+  readExportOptions,
+  wigglifyPath,
+  calculateViewBox,
+} = WigglyBorder;
+
+export default WigglyBorder;